@@ -0,0 +1,11 @@
+import { redCards } from "../redCards.js";
+import { greenCards } from "../greenCards.js";
+
+export const classicPack = {
+  id: "classic",
+  name: "Classic",
+  description: "The original all-round deck of everyday objects, creatures, and chaos.",
+  rating: "everyone",
+  redCards,
+  greenCards
+};
@@ -0,0 +1,50 @@
+export const familyPack = {
+  id: "family",
+  name: "Family",
+  description: "Road trips, bedtime stories, and holiday dinners.",
+  rating: "everyone",
+  redCards: [
+    { text: "A family road trip", tags: ["adventure", "outdoors", "chaos"] },
+    { text: "Grandma's secret recipe", tags: ["food", "home", "mystery"] },
+    { text: "A pillow fort", tags: ["home", "playful", "cozy"] },
+    { text: "A bedtime story with extra chapters", tags: ["home", "calm", "sleep"] },
+    { text: "The kids' table at Thanksgiving", tags: ["food", "social", "funny"] },
+    { text: "A lost tooth", tags: ["tiny", "surprise", "cute"] },
+    { text: "A backyard campout", tags: ["outdoors", "night", "adventure"] },
+    { text: "Matching holiday sweaters", tags: ["style", "awkward", "party"] },
+    { text: "A sibling rivalry", tags: ["competition", "drama", "home"] },
+    { text: "A lemonade stand", tags: ["food", "work", "cute"] },
+    { text: "Chore chart stickers", tags: ["home", "daily", "colorful"] },
+    { text: "A family board game night", tags: ["competition", "home", "fun"] },
+    { text: "The minivan cup holder", tags: ["daily", "tiny", "annoying"] },
+    { text: "A backyard trampoline", tags: ["outdoors", "playful", "speed"] },
+    { text: "Dad's terrible puns", tags: ["funny", "awkward", "home"] },
+    { text: "A birthday piñata", tags: ["party", "surprise", "chaos"] },
+    { text: "A hand-me-down bicycle", tags: ["old", "outdoors", "speed"] },
+    { text: "A messy finger painting", tags: ["art", "colorful", "chaos"] },
+    { text: "A school science fair volcano", tags: ["science", "school", "chaos"] },
+    { text: "A tooth fairy receipt", tags: ["mystery", "funny", "tiny"] },
+    { text: "Sunday pancakes", tags: ["food", "home", "comfort"] },
+    { text: "A family reunion photo", tags: ["social", "crowd", "awkward"] },
+    { text: "A lost sock monster", tags: ["home", "mystery", "funny"] },
+    { text: "A sandcastle contest", tags: ["outdoors", "competition", "art"] },
+    { text: "A goldfish named Mr. Bubbles", tags: ["animal", "cute", "tiny"] },
+    { text: "Homemade slime", tags: ["science", "weird", "playful"] },
+    { text: "The car ride sing-along", tags: ["music", "loud", "fun"] },
+    { text: "A blanket straight from the dryer", tags: ["home", "warm", "cozy"] },
+    { text: "A family secret handshake", tags: ["social", "mystery", "playful"] },
+    { text: "Leftover holiday cookies", tags: ["food", "sweet", "comfort"] }
+  ],
+  greenCards: [
+    { text: "Tucked In", tags: ["home", "cute", "calm"] },
+    { text: "Embarrassing", tags: ["awkward", "social", "funny"] },
+    { text: "Old-Fashioned", tags: ["old", "home", "comfort"] },
+    { text: "Sticky", tags: ["food", "annoying", "weird"] },
+    { text: "Homemade", tags: ["home", "food", "art"] },
+    { text: "Rowdy", tags: ["loud", "chaos", "party"] },
+    { text: "Bedtime", tags: ["sleep", "night", "calm"] },
+    { text: "Sore Loser", tags: ["competition", "drama", "sports"] },
+    { text: "Huggable", tags: ["cute", "warm", "cozy"] },
+    { text: "Grounded", tags: ["home", "serious", "drama"] }
+  ]
+};
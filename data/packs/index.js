@@ -0,0 +1,21 @@
+import { classicPack } from "./classic.js";
+import { familyPack } from "./family.js";
+import { officePack } from "./office.js";
+import { scifiPack } from "./scifi.js";
+
+/**
+ * @typedef {Object} CardPack
+ * @property {string} id stable identifier used in room settings
+ * @property {string} name
+ * @property {string} description
+ * @property {"everyone"|"teen"|"mature"} rating
+ * @property {Array<{ text: string, tags: string[] }>} redCards
+ * @property {Array<{ text: string, tags: string[] }>} greenCards
+ */
+
+/** @type {CardPack[]} */
+export const PACKS = [classicPack, officePack, scifiPack, familyPack];
+
+export const PACK_RATINGS = ["everyone", "teen", "mature"];
+
+export const DEFAULT_PACK_IDS = ["classic"];
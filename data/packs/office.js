@@ -0,0 +1,50 @@
+export const officePack = {
+  id: "office",
+  name: "Office",
+  description: "Meetings, coffee machines, and the shared fridge.",
+  rating: "everyone",
+  redCards: [
+    { text: "A reply-all email chain", tags: ["work", "annoying", "chaos"] },
+    { text: "The broken printer", tags: ["work", "technology", "annoying"] },
+    { text: "A surprise performance review", tags: ["work", "stress", "surprise"] },
+    { text: "A stapler held hostage", tags: ["work", "funny", "drama"] },
+    { text: "The last donut in the break room", tags: ["food", "work", "competition"] },
+    { text: "A meeting that could have been an email", tags: ["work", "annoying", "slow"] },
+    { text: "A motivational cat poster", tags: ["work", "animal", "funny"] },
+    { text: "An ergonomic standing desk", tags: ["work", "home", "health"] },
+    { text: "A labeled lunch in the fridge", tags: ["food", "work", "social"] },
+    { text: "The company picnic", tags: ["work", "party", "outdoors"] },
+    { text: "A spinning office chair", tags: ["work", "speed", "playful"] },
+    { text: "An out-of-office autoreply", tags: ["work", "calm", "technology"] },
+    { text: "A forgotten mute button", tags: ["work", "awkward", "technology"] },
+    { text: "The boss's birthday cake", tags: ["food", "party", "work"] },
+    { text: "A color-coded spreadsheet", tags: ["work", "smart", "colorful"] },
+    { text: "Casual Friday", tags: ["work", "style", "fun"] },
+    { text: "A mysterious smell from the microwave", tags: ["food", "mystery", "annoying"] },
+    { text: "The office plant nobody waters", tags: ["work", "nature", "sad"] },
+    { text: "An overflowing inbox", tags: ["work", "stress", "technology"] },
+    { text: "A team-building trust fall", tags: ["work", "awkward", "social"] },
+    { text: "A jammed paper shredder", tags: ["work", "annoying", "loud"] },
+    { text: "The corner office", tags: ["work", "power", "luxury"] },
+    { text: "A sticky note reminder", tags: ["work", "tiny", "daily"] },
+    { text: "The intern's first presentation", tags: ["work", "awkward", "school"] },
+    { text: "An endless conference call", tags: ["work", "slow", "technology"] },
+    { text: "A secret snack drawer", tags: ["food", "work", "mystery"] },
+    { text: "The elevator small talk", tags: ["work", "awkward", "social"] },
+    { text: "A fire drill at noon", tags: ["work", "loud", "chaos"] },
+    { text: "A whiteboard covered in arrows", tags: ["work", "smart", "chaos"] },
+    { text: "Free coffee refills", tags: ["food", "work", "energy"] }
+  ],
+  greenCards: [
+    { text: "Productive", tags: ["work", "smart", "energy"] },
+    { text: "Corporate", tags: ["work", "serious", "power"] },
+    { text: "Overdue", tags: ["work", "stress", "slow"] },
+    { text: "Passive-aggressive", tags: ["work", "annoying", "social"] },
+    { text: "Synergistic", tags: ["work", "social", "funny"] },
+    { text: "Caffeinated", tags: ["food", "energy", "speed"] },
+    { text: "Unprofessional", tags: ["work", "awkward", "chaos"] },
+    { text: "Bureaucratic", tags: ["work", "slow", "annoying"] },
+    { text: "Promotable", tags: ["work", "power", "smart"] },
+    { text: "Burned Out", tags: ["work", "stress", "sad"] }
+  ]
+};
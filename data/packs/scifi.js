@@ -0,0 +1,50 @@
+export const scifiPack = {
+  id: "scifi",
+  name: "Sci-Fi",
+  description: "Spaceships, robots, and questionable time travel.",
+  rating: "everyone",
+  redCards: [
+    { text: "A laser sword", tags: ["science", "power", "danger"] },
+    { text: "A teleporter malfunction", tags: ["science", "chaos", "danger"] },
+    { text: "A friendly alien ambassador", tags: ["space", "social", "mystery"] },
+    { text: "A robot uprising", tags: ["technology", "danger", "chaos"] },
+    { text: "A wormhole in the kitchen", tags: ["space", "home", "mystery"] },
+    { text: "A jetpack with low fuel", tags: ["technology", "speed", "danger"] },
+    { text: "A cloning experiment", tags: ["science", "weird", "mystery"] },
+    { text: "A space station cafeteria", tags: ["space", "food", "daily"] },
+    { text: "A hologram assistant", tags: ["technology", "smart", "daily"] },
+    { text: "A black hole", tags: ["space", "danger", "mystery"] },
+    { text: "Zero-gravity dancing", tags: ["space", "music", "playful"] },
+    { text: "An android who loves poetry", tags: ["technology", "art", "weird"] },
+    { text: "A flying car traffic jam", tags: ["technology", "annoying", "daily"] },
+    { text: "A mind-reading helmet", tags: ["science", "mystery", "power"] },
+    { text: "A crash-landed spaceship", tags: ["space", "adventure", "danger"] },
+    { text: "A shrink ray", tags: ["science", "tiny", "chaos"] },
+    { text: "A Martian potato farm", tags: ["space", "food", "nature"] },
+    { text: "A self-aware toaster", tags: ["technology", "home", "weird"] },
+    { text: "A galactic bounty hunter", tags: ["space", "danger", "adventure"] },
+    { text: "A cryogenic nap", tags: ["science", "sleep", "cold"] },
+    { text: "An asteroid mining rig", tags: ["space", "work", "loud"] },
+    { text: "A parallel universe twin", tags: ["science", "mystery", "weird"] },
+    { text: "A tractor beam", tags: ["space", "power", "mystery"] },
+    { text: "A nanobot swarm", tags: ["technology", "tiny", "danger"] },
+    { text: "A robot butler", tags: ["technology", "home", "luxury"] },
+    { text: "A distress signal from deep space", tags: ["space", "mystery", "spooky"] },
+    { text: "A time loop", tags: ["science", "chaos", "annoying"] },
+    { text: "An intergalactic karaoke bar", tags: ["space", "music", "party"] },
+    { text: "A pet blob from Neptune", tags: ["space", "animal", "cute"] },
+    { text: "A warp drive", tags: ["space", "speed", "power"] }
+  ],
+  greenCards: [
+    { text: "Futuristic", tags: ["technology", "science", "smart"] },
+    { text: "Alien", tags: ["space", "weird", "mystery"] },
+    { text: "Cosmic", tags: ["space", "power", "mystery"] },
+    { text: "Robotic", tags: ["technology", "serious", "daily"] },
+    { text: "Dystopian", tags: ["technology", "danger", "serious"] },
+    { text: "Radioactive", tags: ["science", "danger", "glow"] },
+    { text: "Interstellar", tags: ["space", "adventure", "speed"] },
+    { text: "Experimental", tags: ["science", "chaos", "risk"] },
+    { text: "Gravity-defying", tags: ["space", "playful", "speed"] },
+    { text: "Artificial", tags: ["technology", "smart", "weird"] }
+  ]
+};
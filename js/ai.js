@@ -0,0 +1,131 @@
+// Tag-based card heuristics shared by the single-player AI and the multiplayer server bots.
+// Must stay free of DOM and socket code so both runtimes can import it. Every function takes the game's
+// `random` first, so AI choices replay with the rest of a seeded game.
+
+import { nextRandom, pickRandom } from "./random.js";
+
+export const AI_DIFFICULTIES = {
+  easy: { randomPickChance: 0.45, jitter: 3, judgeJitter: 2.5 },
+  normal: { randomPickChance: 0.18, jitter: 1.4, judgeJitter: 1.2 },
+  hard: { randomPickChance: 0.04, jitter: 0.4, judgeJitter: 0.3 }
+};
+
+export const DEFAULT_AI_DIFFICULTY = "normal";
+
+function getProfile(difficulty) {
+  return AI_DIFFICULTIES[difficulty] || AI_DIFFICULTIES[DEFAULT_AI_DIFFICULTY];
+}
+
+function normalizeWords(text) {
+  return new Set(
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, "")
+      .split(/\s+/)
+      .filter((word) => word.length > 2)
+  );
+}
+
+/** @param {import("./random.js").RandomState} random */
+export function scoreCardAgainstGreen(random, redCard, greenCard, jitter = AI_DIFFICULTIES.normal.jitter) {
+  const redTags = new Set(redCard.tags.map((tag) => tag.toLowerCase()));
+  const greenTags = new Set(greenCard.tags.map((tag) => tag.toLowerCase()));
+  const redWords = normalizeWords(redCard.text);
+  const greenWords = normalizeWords(greenCard.text);
+
+  let score = 0;
+
+  greenTags.forEach((tag) => {
+    if (redTags.has(tag)) {
+      score += 3;
+    }
+  });
+
+  greenWords.forEach((word) => {
+    if (redWords.has(word)) {
+      score += 2;
+    }
+  });
+
+  if (greenTags.has("funny") && redTags.has("awkward")) {
+    score += 1.5;
+  }
+  if (greenTags.has("spooky") && redTags.has("mystery")) {
+    score += 1.5;
+  }
+  if (greenTags.has("smart") && redTags.has("science")) {
+    score += 1.5;
+  }
+
+  return score + nextRandom(random) * jitter;
+}
+
+function compareForAim(aim) {
+  return aim === "worst" ? (a, b) => a.score - b.score : (a, b) => b.score - a.score;
+}
+
+/**
+ * Picks the red card from `hand` that best fits `greenCard`, with an occasional random pick
+ * so weaker difficulties feel less predictable. `aim` is `"worst"` under Crab Apples.
+ */
+export function pickCardForGreen(random, hand, greenCard, difficulty = DEFAULT_AI_DIFFICULTY, aim = "best") {
+  if (hand.length === 0) {
+    return null;
+  }
+
+  const profile = getProfile(difficulty);
+  if (!greenCard || nextRandom(random) < profile.randomPickChance) {
+    return pickRandom(random, hand);
+  }
+
+  return hand
+    .map((card) => ({
+      card,
+      score: scoreCardAgainstGreen(random, card, greenCard, profile.jitter)
+    }))
+    .sort(compareForAim(aim))[0].card;
+}
+
+/**
+ * Judges a list of `{ card }` submissions against `greenCard` and returns the winning entry.
+ */
+export function pickWinningSubmission(
+  random,
+  submissions,
+  greenCard,
+  difficulty = DEFAULT_AI_DIFFICULTY,
+  aim = "best"
+) {
+  if (submissions.length === 0) {
+    return null;
+  }
+
+  const profile = getProfile(difficulty);
+  if (!greenCard) {
+    return pickRandom(random, submissions);
+  }
+
+  return submissions
+    .map((submission) => ({
+      submission,
+      score:
+        scoreCardAgainstGreen(random, submission.card, greenCard, profile.jitter) +
+        nextRandom(random) * profile.judgeJitter
+    }))
+    .sort(compareForAim(aim))[0].submission;
+}
+
+// Below this score a card shares no tag or word with the green card.
+const HARVEST_FIT_THRESHOLD = 2;
+
+/**
+ * Whether an AI player backs a Bad Harvest call: yes when nothing in `hand` fits `greenCard`,
+ * with the occasional coin flip on weaker difficulties.
+ */
+export function supportsBadHarvest(random, hand, greenCard, difficulty = DEFAULT_AI_DIFFICULTY) {
+  const profile = getProfile(difficulty);
+  if (!greenCard || nextRandom(random) < profile.randomPickChance) {
+    return nextRandom(random) < 0.5;
+  }
+  return hand.every((card) => scoreCardAgainstGreen(random, card, greenCard, 0) < HARVEST_FIT_THRESHOLD);
+}
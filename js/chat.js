@@ -0,0 +1,72 @@
+// Room chat and submission reactions. DOM-free so the server and the multiplayer client share the limits.
+
+export const MAX_CHAT_LENGTH = 200;
+export const CHAT_HISTORY_SIZE = 50;
+export const REACTION_EMOJIS = ["😂", "🔥", "👏", "🤔", "😬", "🍐"];
+
+// Control characters and bidi overrides, which could garble or disguise how other messages render.
+const UNSAFE_CHARACTERS = /[\u0000-\u001f\u007f-\u009f\u202a-\u202e\u2066-\u2069]/g;
+
+/**
+ * @typedef {Object} ChatMessage
+ * @property {string} id
+ * @property {string} senderId player or spectator id
+ * @property {string} name sender's name when the message was sent
+ * @property {boolean} spectator
+ * @property {string} text
+ * @property {number} at epoch ms
+ */
+
+/**
+ * One player's reaction to a revealed submission. Only per-emoji counts are ever made public,
+ * so reactions cannot hint at who played which card.
+ * @typedef {Object} Reaction
+ * @property {string} submissionId
+ * @property {string} reactorId
+ * @property {string} emoji one of `REACTION_EMOJIS`
+ */
+
+/** @returns {string} single-line text of at most `MAX_CHAT_LENGTH` characters, empty when nothing is left */
+export function sanitizeChatText(input) {
+  return [...String(input ?? "").replace(UNSAFE_CHARACTERS, " ").replace(/\s+/g, " ").trim()]
+    .slice(0, MAX_CHAT_LENGTH)
+    .join("")
+    .trim();
+}
+
+/**
+ * Appends to the room's chat log, dropping the oldest messages past `CHAT_HISTORY_SIZE`.
+ * @param {ChatMessage[]} log
+ * @param {ChatMessage} message
+ */
+export function appendChatMessage(log, message) {
+  log.push(message);
+  if (log.length > CHAT_HISTORY_SIZE) {
+    log.splice(0, log.length - CHAT_HISTORY_SIZE);
+  }
+}
+
+/**
+ * Adds the reaction, or takes it back if the reactor already gave that emoji to that submission.
+ * @param {Reaction[]} reactions
+ * @param {Reaction} reaction
+ * @returns {Reaction[]}
+ */
+export function toggleReaction(reactions, reaction) {
+  const matches = (entry) =>
+    entry.submissionId === reaction.submissionId &&
+    entry.reactorId === reaction.reactorId &&
+    entry.emoji === reaction.emoji;
+  return reactions.some(matches) ? reactions.filter((entry) => !matches(entry)) : [...reactions, reaction];
+}
+
+/** @returns {Record<string, number>} reaction counts per emoji for one submission */
+export function countReactions(reactions, submissionId) {
+  const counts = {};
+  reactions
+    .filter((entry) => entry.submissionId === submissionId)
+    .forEach((entry) => {
+      counts[entry.emoji] = (counts[entry.emoji] || 0) + 1;
+    });
+  return counts;
+}
@@ -0,0 +1,166 @@
+// Card deck parsing and validation shared by `scripts/validate-data.js` and the server's
+// custom deck uploads. DOM-free so the browser can use it too.
+
+import { createCardPool } from "./rules.js";
+
+/** Minimums for the default pack combination. */
+export const BUILT_IN_MINIMUMS = { red: 120, green: 60 };
+/** Minimums for each pack on its own, so any non-empty selection is playable. */
+export const PACK_MINIMUMS = { red: 30, green: 10 };
+export const CUSTOM_DECK_MINIMUMS = { red: 30, green: 10 };
+export const CUSTOM_DECK_LIMITS = {
+  maxContentLength: 100_000,
+  maxCards: 500,
+  maxTextLength: 100,
+  maxTags: 6,
+  maxTagLength: 24
+};
+
+export function duplicateTexts(cards) {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  cards.forEach((card) => {
+    const normalized = card.text.trim().toLowerCase();
+    if (seen.has(normalized)) {
+      duplicates.add(card.text);
+    }
+    seen.add(normalized);
+  });
+
+  return [...duplicates];
+}
+
+/**
+ * Checks shape, minimum size, and duplicate texts.
+ * @param {Array<{ text: string, tags: string[] }>} cards
+ * @param {{ label: string, minCount: number }} options
+ * @returns {string[]} problems found, empty when the deck is valid
+ */
+export function validateDeck(cards, { label, minCount }) {
+  const errors = [];
+
+  cards.forEach((card, index) => {
+    if (!(typeof card.text === "string" && card.text.trim().length > 0)) {
+      errors.push(`${label}[${index}] is missing text`);
+    }
+    if (!(Array.isArray(card.tags) && card.tags.length > 0)) {
+      errors.push(`${label}[${index}] needs tags`);
+    }
+  });
+  if (errors.length > 0) {
+    return errors;
+  }
+
+  if (cards.length < minCount) {
+    errors.push(`Expected at least ${minCount} cards in ${label}, found ${cards.length}`);
+  }
+
+  const duplicates = duplicateTexts(cards);
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate texts in ${label}: ${duplicates.join(", ")}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Builds a pack's red and green pools. Card ids are prefixed with the pack id so pools from
+ * different packs can be merged without collisions.
+ * @returns {{ red: import("./rules.js").Card[], green: import("./rules.js").Card[] }}
+ */
+export function createPackPools(pack) {
+  return {
+    red: createCardPool(pack.redCards, `${pack.id}-r`),
+    green: createCardPool(pack.greenCards, `${pack.id}-g`)
+  };
+}
+
+function parseCsvLine(line) {
+  const fields = [];
+  let current = "";
+  let quoted = false;
+
+  for (let index = 0; index < line.length; index += 1) {
+    const char = line[index];
+    if (quoted) {
+      if (char === '"' && line[index + 1] === '"') {
+        current += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        current += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      fields.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  fields.push(current);
+  return fields;
+}
+
+/**
+ * CSV rows are `text,tags` with tags separated by `;`. A first row of `text,tags` is treated as a header.
+ */
+function parseCsv(content) {
+  const rows = content
+    .split(/\r?\n/)
+    .filter((line) => line.trim().length > 0)
+    .map(parseCsvLine);
+  if (rows[0] && rows[0][0].trim().toLowerCase() === "text") {
+    rows.shift();
+  }
+  return rows.map(([text = "", tags = ""]) => ({ text, tags: tags.split(";") }));
+}
+
+function normalizeCard(card) {
+  const text = typeof card?.text === "string" ? card.text.trim() : "";
+  const tags = Array.isArray(card?.tags)
+    ? card.tags
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter(Boolean)
+        .slice(0, CUSTOM_DECK_LIMITS.maxTags)
+        .map((tag) => tag.slice(0, CUSTOM_DECK_LIMITS.maxTagLength))
+    : [];
+  return { text: text.slice(0, CUSTOM_DECK_LIMITS.maxTextLength), tags };
+}
+
+/**
+ * Parses an uploaded deck. JSON must be an array of `{ text, tags }`; CSV is described on `parseCsv`.
+ * Text and tags are trimmed and truncated to `CUSTOM_DECK_LIMITS`.
+ * @returns {{ cards: Array<{ text: string, tags: string[] }>, error: string|null }}
+ */
+export function parseDeckContent(content, format) {
+  if (typeof content !== "string" || content.length === 0) {
+    return { cards: [], error: "Deck file is empty." };
+  }
+  if (content.length > CUSTOM_DECK_LIMITS.maxContentLength) {
+    return { cards: [], error: `Deck file must be under ${CUSTOM_DECK_LIMITS.maxContentLength} characters.` };
+  }
+
+  let rawCards;
+  if (format === "csv") {
+    rawCards = parseCsv(content);
+  } else {
+    try {
+      rawCards = JSON.parse(content);
+    } catch {
+      return { cards: [], error: "Deck JSON could not be parsed." };
+    }
+    if (!Array.isArray(rawCards)) {
+      return { cards: [], error: "Deck JSON must be an array of { text, tags } cards." };
+    }
+  }
+
+  if (rawCards.length > CUSTOM_DECK_LIMITS.maxCards) {
+    return { cards: [], error: `Decks are limited to ${CUSTOM_DECK_LIMITS.maxCards} cards.` };
+  }
+
+  return { cards: rawCards.map(normalizeCard), error: null };
+}
@@ -1,24 +1,50 @@
-import { redCards } from "../data/redCards.js";
-import { greenCards } from "../data/greenCards.js";
-
-const HAND_SIZE = 7;
-const WIN_SCORE = 10;
+import { DEFAULT_PACK_IDS, PACKS } from "../data/packs/index.js";
+import { DEFAULT_AI_DIFFICULTY, pickCardForGreen, pickWinningSubmission, supportsBadHarvest } from "./ai.js";
+import {
+  DEFAULT_RULES,
+  MULLIGAN_COSTS,
+  VARIANTS,
+  beginRound,
+  callBadHarvest,
+  chooseGreenCard,
+  countHarvestVotes,
+  createGameState,
+  createSubmissionId,
+  ensurePlayerHand,
+  getJudge as getRulesJudge,
+  getJudgeAim,
+  getHarvestVotesNeeded,
+  hasSubmitted,
+  isSittingOut,
+  judgePick,
+  prepareNextRound,
+  startGame as startRulesGame,
+  submitCard as submitRulesCard,
+  takeMulligan,
+  toLeaderboard
+} from "./rules.js";
+import { createPackPools } from "./decks.js";
+import { createRandom, pickRandom, shuffle } from "./random.js";
+import { createProfileStats, mergeProfileStats, summarizeMatch } from "./profiles.js";
+import { showStats } from "./statsPanel.js";
+
+const DEFAULT_PACK_POOLS = PACKS.filter((pack) => DEFAULT_PACK_IDS.includes(pack.id)).map(createPackPools);
+const RED_CARD_POOLS = DEFAULT_PACK_POOLS.map((pools) => pools.red);
+const GREEN_CARD_POOLS = DEFAULT_PACK_POOLS.map((pools) => pools.green);
+const PROFILE_STORAGE_KEY = "pearstopears:singlePlayerProfile";
+const HUMAN_PLAYER_ID = "p0";
 
 const state = {
-  players: [],
-  round: 0,
-  judgeIndex: 0,
-  greenDeck: [],
-  greenDiscard: [],
-  redDeck: [],
-  redDiscard: [],
-  currentGreen: null,
-  submissions: [],
-  winnerId: null,
-  gameOver: false,
+  // Decks, hands, scores, submissions and judge rotation live in the shared rules engine.
+  game: createGameState(DEFAULT_RULES),
+  // Last judged round, kept for display after game over clears the live round.
+  lastRound: null,
   phase: "idle",
   message: "Press Start Game to begin.",
-  revealOwners: false
+  revealOwners: false,
+  // Card ids marked for a mulligan, or null when not choosing.
+  mulliganSelection: null,
+  harvestCalledRound: 0
 };
 
 const ui = {
@@ -29,223 +55,209 @@ const ui = {
   hand: document.getElementById("hand"),
   message: document.getElementById("message"),
   actionButton: document.getElementById("action-button"),
-  log: document.getElementById("round-log")
+  log: document.getElementById("round-log"),
+  variantOptions: document.getElementById("variant-options"),
+  variantInputs: [],
+  mulliganCost: document.getElementById("mulligan-cost"),
+  seed: document.getElementById("game-seed"),
+  mulliganButton: document.getElementById("mulligan-button"),
+  harvestButton: document.getElementById("harvest-button"),
+  statsButton: document.getElementById("stats-button")
 };
 
-function shuffle(list) {
-  for (let i = list.length - 1; i > 0; i -= 1) {
-    const j = Math.floor(Math.random() * (i + 1));
-    [list[i], list[j]] = [list[j], list[i]];
+function buildVariantOptions() {
+  if (!ui.variantOptions) {
+    return;
   }
-  return list;
+  ui.variantInputs = Object.entries(VARIANTS).map(([variantId, variant]) => {
+    const label = document.createElement("label");
+    label.className = "mp-option";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = variantId;
+
+    const details = document.createElement("span");
+    details.append(createTextElement("strong", "", variant.name), ` ${variant.description}`);
+
+    label.append(input, details);
+    ui.variantOptions.append(label);
+    return input;
+  });
 }
 
-function cloneCards(cards) {
-  return cards.map((card) => ({ ...card, id: crypto.randomUUID() }));
+function readVariants() {
+  return ui.variantInputs.filter((input) => input.checked).map((input) => input.value);
 }
 
-function initPlayers() {
-  state.players = [
-    { id: "p0", name: "You", isHuman: true, score: 0, hand: [] },
-    { id: "p1", name: "Nova", isHuman: false, score: 0, hand: [] },
-    { id: "p2", name: "Blaze", isHuman: false, score: 0, hand: [] },
-    { id: "p3", name: "Echo", isHuman: false, score: 0, hand: [] },
-    { id: "p4", name: "Pixel", isHuman: false, score: 0, hand: [] }
-  ];
+function readMulliganCost() {
+  const cost = ui.mulliganCost?.value;
+  return MULLIGAN_COSTS.includes(cost) ? cost : DEFAULT_RULES.mulliganCost;
 }
 
-function resetDecks() {
-  state.redDeck = shuffle(cloneCards(redCards));
-  state.redDiscard = [];
-  state.greenDeck = shuffle(cloneCards(greenCards));
-  state.greenDiscard = [];
+/** @returns {string} empty for a fresh seed each game */
+function readSeed() {
+  return ui.seed?.value.trim() || "";
 }
 
-function drawRed() {
-  if (state.redDeck.length === 0) {
-    state.redDeck = shuffle(state.redDiscard);
-    state.redDiscard = [];
+/** @returns {import("./profiles.js").Profile} */
+function loadProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem(PROFILE_STORAGE_KEY));
+    if (profile?.stats) {
+      return profile;
+    }
+  } catch {
+    // Unreadable profiles start over.
   }
-  return state.redDeck.pop() || null;
+  const now = Date.now();
+  return { id: "local", name: "You", createdAt: now, updatedAt: now, stats: createProfileStats() };
 }
 
-function drawGreen() {
-  if (state.greenDeck.length === 0) {
-    state.greenDeck = shuffle(state.greenDiscard);
-    state.greenDiscard = [];
+/** Adds the finished game to the human's lifetime stats. */
+function recordProfileStats() {
+  const summary = summarizeMatch(state.game.history).get(HUMAN_PLAYER_ID);
+  if (!summary) {
+    return;
+  }
+  const profile = loadProfile();
+  profile.stats = mergeProfileStats(profile.stats, summary);
+  profile.updatedAt = Date.now();
+  try {
+    localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(profile));
+  } catch {
+    // Private browsing can refuse storage; the game still plays.
   }
-  return state.greenDeck.pop() || null;
 }
 
-function refillHands() {
-  state.players.forEach((player) => {
-    while (player.hand.length < HAND_SIZE) {
-      const card = drawRed();
-      if (!card) {
-        break;
-      }
-      player.hand.push(card);
-    }
-  });
+function viewStats() {
+  const profile = loadProfile();
+  showStats([{ name: profile.name, stats: profile.stats, note: "Single-player games on this browser" }]);
 }
 
-function getJudge() {
-  return state.players[state.judgeIndex];
+function initPlayers() {
+  state.game = createGameState({ ...DEFAULT_RULES, variants: readVariants(), mulliganCost: readMulliganCost() });
+  state.game.players = [
+    { id: HUMAN_PLAYER_ID, name: "You", isHuman: true, score: 0, connected: true },
+    { id: "p1", name: "Nova", isHuman: false, score: 0, connected: true },
+    { id: "p2", name: "Blaze", isHuman: false, score: 0, connected: true },
+    { id: "p3", name: "Echo", isHuman: false, score: 0, connected: true },
+    { id: "p4", name: "Pixel", isHuman: false, score: 0, connected: true }
+  ];
 }
 
-function normalizeWords(text) {
-  return new Set(
-    text
-      .toLowerCase()
-      .replace(/[^a-z0-9\s]/g, "")
-      .split(/\s+/)
-      .filter((word) => word.length > 2)
-  );
+function getJudge() {
+  return getRulesJudge(state.game);
 }
 
-function scoreCardAgainstGreen(redCard, greenCard) {
-  const redTags = new Set(redCard.tags.map((tag) => tag.toLowerCase()));
-  const greenTags = new Set(greenCard.tags.map((tag) => tag.toLowerCase()));
-  const redWords = normalizeWords(redCard.text);
-  const greenWords = normalizeWords(greenCard.text);
-
-  let score = 0;
-
-  greenTags.forEach((tag) => {
-    if (redTags.has(tag)) {
-      score += 3;
-    }
-  });
-
-  greenWords.forEach((word) => {
-    if (redWords.has(word)) {
-      score += 2;
-    }
-  });
-
-  if (greenTags.has("funny") && redTags.has("awkward")) {
-    score += 1.5;
-  }
-  if (greenTags.has("spooky") && redTags.has("mystery")) {
-    score += 1.5;
-  }
-  if (greenTags.has("smart") && redTags.has("science")) {
-    score += 1.5;
-  }
-
-  return score + Math.random() * 1.4;
+function getHand(playerId) {
+  return ensurePlayerHand(state.game, playerId);
 }
 
-function aiPickCard(player) {
-  if (player.hand.length === 0) {
-    return null;
-  }
-
-  const randomPickChance = 0.18;
-  if (Math.random() < randomPickChance) {
-    return player.hand[Math.floor(Math.random() * player.hand.length)];
-  }
-
-  return player.hand
-    .map((card) => ({
-      card,
-      score: scoreCardAgainstGreen(card, state.currentGreen)
-    }))
-    .sort((a, b) => b.score - a.score)[0].card;
+function getSubmissions() {
+  return [...state.game.submissions.values()];
 }
 
-function removeCardFromHand(playerId, cardId) {
-  const player = state.players.find((entry) => entry.id === playerId);
-  if (!player) {
-    return null;
-  }
-  const index = player.hand.findIndex((card) => card.id === cardId);
-  if (index < 0) {
-    return null;
-  }
-  return player.hand.splice(index, 1)[0];
+function aiPickCard(player) {
+  return pickCardForGreen(
+    state.game.random,
+    getHand(player.id),
+    state.game.currentGreenCard,
+    DEFAULT_AI_DIFFICULTY,
+    getJudgeAim(state.game)
+  );
 }
 
+/** @returns {string|null} the rules engine's error, e.g. once Apple Pickin' has closed submissions */
 function submitCard(player, card) {
   if (!card) {
-    return;
+    return "No card to play.";
   }
-  removeCardFromHand(player.id, card.id);
-  state.submissions.push({ playerId: player.id, card });
+  return submitRulesCard(state.game, player.id, card.id, createSubmissionId(state.game.random));
 }
 
 function everyoneSubmitted() {
-  return state.submissions.length === state.players.length - 1;
+  return state.game.phase === "judge_pick";
 }
 
 function resolveAiJudge() {
-  const scored = state.submissions.map((submission) => ({
-    ...submission,
-    score: scoreCardAgainstGreen(submission.card, state.currentGreen) + Math.random() * 1.2
-  }));
-  scored.sort((a, b) => b.score - a.score);
-  const winningSubmission = scored[0];
-  completeRound(winningSubmission.playerId);
+  const winningSubmission = pickWinningSubmission(
+    state.game.random,
+    getSubmissions(),
+    state.game.currentGreenCard,
+    DEFAULT_AI_DIFFICULTY,
+    getJudgeAim(state.game)
+  );
+  completeRound(winningSubmission.id);
 }
 
-function completeRound(winnerId) {
-  state.winnerId = winnerId;
-  state.revealOwners = true;
-  const winner = state.players.find((player) => player.id === winnerId);
-  winner.score += 1;
-
-  state.submissions.forEach((submission) => state.redDiscard.push(submission.card));
-  if (state.currentGreen) {
-    state.greenDiscard.push(state.currentGreen);
+function completeRound(submissionId) {
+  const game = state.game;
+  const submission = game.submissions.get(submissionId);
+  const judge = getJudge();
+  if (!submission || !judge) {
+    return;
   }
 
-  refillHands();
+  // Null when the Apple Potpourri house card wins.
+  const winner = game.players.find((player) => player.id === submission.playerId) || null;
+  state.lastRound = {
+    greenCard: game.currentGreenCard,
+    submissions: getSubmissions(),
+    winningSubmissionId: submission.id
+  };
+  logRoundResult(judge, winner);
+
+  judgePick(game, judge.id, submission.id);
+  state.revealOwners = true;
 
-  if (winner.score >= WIN_SCORE) {
-    state.gameOver = true;
+  if (game.phase === "game_over") {
+    recordProfileStats();
+    const champion = toLeaderboard(game.players)[0];
     state.phase = "game-over";
-    state.message = `${winner.name} wins the game with ${winner.score} points!`;
+    state.message = `${champion.name} wins the game with ${champion.score} points!`;
     ui.actionButton.textContent = "Restart Game";
   } else {
     state.phase = "round-end";
-    state.message = `${winner.name} wins the round with \"${state.submissions.find((entry) => entry.playerId === winnerId).card.text}\".`;
+    state.message = winner
+      ? `${winner.name} wins the round with \"${submission.card.text}\".`
+      : `The Apple Potpourri card \"${submission.card.text}\" wins. Nobody scores.`;
     ui.actionButton.textContent = "Next Round";
   }
 
-  logRoundResult(winner);
   render();
 }
 
-function logRoundResult(winner) {
-  const judge = getJudge();
-  const played = state.submissions
+function logRoundResult(judge, winner) {
+  const played = getSubmissions()
     .map((entry) => {
-      const player = state.players.find((p) => p.id === entry.playerId);
-      return `${player.name}: ${entry.card.text}`;
+      const player = state.game.players.find((p) => p.id === entry.playerId);
+      return `${player ? player.name : "Apple Potpourri"}: ${entry.card.text}`;
     })
     .join(" | ");
 
   const item = document.createElement("li");
-  item.textContent = `Round ${state.round}: Judge ${judge.name} | Green: ${state.currentGreen.text} | Winner: ${winner.name} | ${played}`;
+  item.textContent = `Round ${state.game.round}: Judge ${judge.name} | Green: ${state.game.currentGreenCard.text} | Winner: ${
+    winner ? winner.name : "Apple Potpourri"
+  } | ${played}`;
   ui.log.prepend(item);
 }
 
-function triggerAiSubmissions(excludingJudge = true) {
-  const judgeId = excludingJudge ? getJudge().id : null;
-  const aiPlayers = state.players.filter(
-    (player) => !player.isHuman && (judgeId ? player.id !== judgeId : true)
-  );
+function triggerAiSubmissions() {
+  const judgeId = getJudge().id;
+  const aiPlayers = state.game.players.filter((player) => !player.isHuman && player.id !== judgeId);
 
   aiPlayers.forEach((player, index) => {
     setTimeout(() => {
       if (state.phase === "game-over") {
         return;
       }
-      if (state.submissions.some((entry) => entry.playerId === player.id)) {
+      if (hasSubmitted(state.game, player.id)) {
+        return;
+      }
+      if (submitCard(player, aiPickCard(player))) {
         return;
       }
-      const card = aiPickCard(player);
-      submitCard(player, card);
       state.message = `${player.name} has submitted a card.`;
       render();
 
@@ -260,7 +272,10 @@ function handleJudgingPhase() {
   const judge = getJudge();
   if (judge.isHuman) {
     state.phase = "human-judge";
-    state.message = "You are the judge. Pick the winning red card.";
+    state.message =
+      getJudgeAim(state.game) === "worst"
+        ? "You are the judge. Crab Apples: pick the red card least like the green card."
+        : "You are the judge. Pick the winning red card.";
     ui.actionButton.textContent = "Waiting for Judge";
     render();
     return;
@@ -278,16 +293,16 @@ function handleJudgingPhase() {
 }
 
 function startRound() {
-  state.round += 1;
-  state.judgeIndex = (state.round - 1) % state.players.length;
-  state.currentGreen = drawGreen();
-  state.submissions = [];
-  state.winnerId = null;
+  if (state.game.phase !== "next_round") {
+    prepareNextRound(state.game);
+  }
+  beginRound(state.game);
+  state.lastRound = null;
   state.revealOwners = false;
+  state.mulliganSelection = null;
 
-  const judge = getJudge();
-  if (!state.currentGreen) {
-    state.gameOver = true;
+  if (state.game.phase === "game_over") {
+    recordProfileStats();
     state.phase = "game-over";
     state.message = "No more green cards. Restart to play again.";
     ui.actionButton.textContent = "Restart Game";
@@ -295,18 +310,59 @@ function startRound() {
     return;
   }
 
+  if (state.game.phase === "green_pick") {
+    handleGreenChoice();
+    return;
+  }
+  openSubmissions();
+}
+
+/** Judge's Choice: the judge picks this round's green card before anyone plays. */
+function handleGreenChoice() {
+  const judge = getJudge();
+  if (judge.isHuman) {
+    state.phase = "human-green";
+    state.message = `Round ${state.game.round}: You are the judge. Choose this round's green card.`;
+    ui.actionButton.textContent = "Choose a Green Card";
+    render();
+    return;
+  }
+
+  state.phase = "ai-green";
+  state.message = `Round ${state.game.round}: ${judge.name} is choosing the green card...`;
+  render();
+
+  setTimeout(() => {
+    if (state.phase !== "ai-green") {
+      return;
+    }
+    chooseGreenCard(state.game, judge.id, pickRandom(state.game.random, state.game.greenChoices).id);
+    openSubmissions();
+  }, 900);
+}
+
+function handleHumanGreenChoice(cardId) {
+  if (state.phase !== "human-green" || chooseGreenCard(state.game, getJudge().id, cardId)) {
+    return;
+  }
+  openSubmissions();
+}
+
+function openSubmissions() {
+  const judge = getJudge();
   if (judge.isHuman) {
     state.phase = "waiting-ai";
-    state.message = `Round ${state.round}: You are the judge.`;
+    state.message = `Round ${state.game.round}: You are the judge.`;
     ui.actionButton.textContent = "Waiting for Players";
     render();
-    triggerAiSubmissions(true);
+    triggerAiSubmissions();
   } else {
     state.phase = "human-play";
-    state.message = `Round ${state.round}: ${judge.name} is judge. Choose your best red card.`;
+    const goal = getJudgeAim(state.game) === "worst" ? "least fitting" : "best";
+    state.message = `Round ${state.game.round}: ${judge.name} is judge. Choose your ${goal} red card.`;
     ui.actionButton.textContent = "Choose a Card";
     render();
-    triggerAiSubmissions(true);
+    triggerAiSubmissions();
   }
 }
 
@@ -315,14 +371,60 @@ function handleHumanCardSelection(cardId) {
     return;
   }
 
-  const human = state.players[0];
-  const card = human.hand.find((entry) => entry.id === cardId);
+  if (state.mulliganSelection) {
+    if (!state.mulliganSelection.delete(cardId)) {
+      state.mulliganSelection.add(cardId);
+    }
+    render();
+    return;
+  }
+
+  const human = state.game.players[0];
+  const card = getHand(human.id).find((entry) => entry.id === cardId);
   if (!card) {
     return;
   }
 
-  submitCard(human, card);
-  state.message = `You submitted \"${card.text}\".`;
+  const error = submitCard(human, card);
+  state.message = error || `You submitted \"${card.text}\".`;
+  render();
+
+  if (everyoneSubmitted()) {
+    handleJudgingPhase();
+  }
+}
+
+/** First press starts marking cards, the next one redraws them (or cancels if nothing is marked). */
+function handleMulligan() {
+  if (state.phase !== "human-play") {
+    return;
+  }
+  if (!state.mulliganSelection) {
+    state.mulliganSelection = new Set();
+    state.message = "Click the cards to discard, then press Redraw.";
+    render();
+    return;
+  }
+
+  const cardIds = [...state.mulliganSelection];
+  state.mulliganSelection = null;
+  if (cardIds.length === 0) {
+    state.message = "Mulligan cancelled. Choose a card to play.";
+    render();
+    return;
+  }
+
+  const human = state.game.players[0];
+  const error = takeMulligan(state.game, human.id, cardIds);
+  if (error) {
+    state.message = error;
+  } else if (isSittingOut(state.game, human.id)) {
+    state.phase = "waiting-ai";
+    state.message = `You redrew ${cardIds.length} card${cardIds.length === 1 ? "" : "s"} and sit out this round.`;
+    ui.actionButton.textContent = "Waiting for Players";
+  } else {
+    state.message = `You paid a point to redraw ${cardIds.length} card${cardIds.length === 1 ? "" : "s"}.`;
+  }
   render();
 
   if (everyoneSubmitted()) {
@@ -330,61 +432,133 @@ function handleHumanCardSelection(cardId) {
   }
 }
 
-function handleHumanJudgePick(playerId) {
+/** The AI players answer a Bad Harvest call straight away. One call per round. */
+function handleBadHarvest() {
+  const game = state.game;
+  const human = game.players[0];
+  if (game.phase !== "submit" || state.harvestCalledRound === game.round || callBadHarvest(game, human.id)) {
+    return;
+  }
+  state.harvestCalledRound = game.round;
+
+  game.players
+    .filter((player) => !player.isHuman && game.lastHarvestRound !== game.round)
+    .forEach((player) => {
+      const support = supportsBadHarvest(game.random, getHand(player.id), game.currentGreenCard, DEFAULT_AI_DIFFICULTY);
+      callBadHarvest(game, player.id, support);
+    });
+
+  if (game.lastHarvestRound === game.round) {
+    state.mulliganSelection = null;
+    state.message = "Bad Harvest! Every hand was reshuffled into the deck and dealt again.";
+  } else {
+    state.message = `Bad Harvest failed: ${countHarvestVotes(game)} of ${getHarvestVotesNeeded(game)} needed votes.`;
+    callBadHarvest(game, human.id, false);
+  }
+  render();
+}
+
+function handleHumanJudgePick(submissionId) {
   if (state.phase !== "human-judge") {
     return;
   }
-  completeRound(playerId);
+  completeRound(submissionId);
 }
 
 function startGame() {
   initPlayers();
-  resetDecks();
-  refillHands();
-  state.round = 0;
-  state.gameOver = false;
+  startRulesGame(state.game, RED_CARD_POOLS, GREEN_CARD_POOLS, readSeed());
+  state.harvestCalledRound = 0;
   state.phase = "setup";
   ui.log.innerHTML = "";
   startRound();
 }
 
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * Fills `container` with the card layout. Card text and tags may come from user-supplied decks,
+ * so everything is set through `textContent`.
+ */
+function fillCard(container, label, card, ownerName = null) {
+  const tags = document.createElement("div");
+  tags.className = "card-tags";
+  card.tags.forEach((tag) => tags.append(createTextElement("span", "", tag)));
+
+  container.replaceChildren(
+    createTextElement("div", "card-label", label),
+    createTextElement("div", "card-title", card.text),
+    tags
+  );
+  if (ownerName !== null) {
+    container.append(createTextElement("div", "card-owner", ownerName));
+  }
+}
+
 function renderPlayers() {
   const judge = getJudge();
   ui.players.innerHTML = "";
-  state.players.forEach((player) => {
+  state.game.players.forEach((player) => {
     const panel = document.createElement("div");
     panel.className = "player-pill";
-    if (player.id === judge.id) {
+    if (judge && player.id === judge.id) {
       panel.classList.add("judge");
     }
-    if (player.id === state.winnerId) {
+    if (player.id === state.game.lastWinnerId) {
       panel.classList.add("winner");
     }
-    panel.innerHTML = `<span class="name">${player.name}</span><span class="score">${player.score}</span>`;
+    panel.append(createTextElement("span", "name", player.name), createTextElement("span", "score", player.score));
     ui.players.append(panel);
   });
 }
 
+function renderGreenChoices() {
+  const choosing = state.phase === "human-green";
+  ui.greenCard.replaceChildren(
+    ...state.game.greenChoices.map((greenCard) => {
+      const cardButton = document.createElement("button");
+      cardButton.type = "button";
+      cardButton.className = "card card-green fade-in";
+      fillCard(cardButton, "Green Choice", greenCard);
+      if (choosing) {
+        cardButton.classList.add("selectable");
+        cardButton.addEventListener("click", () => handleHumanGreenChoice(greenCard.id));
+      } else {
+        cardButton.disabled = true;
+      }
+      return cardButton;
+    })
+  );
+}
+
 function renderGreenCard() {
-  if (!state.currentGreen) {
-    ui.greenCard.innerHTML = "";
+  if (state.game.phase === "green_pick") {
+    renderGreenChoices();
     return;
   }
-  const tags = state.currentGreen.tags.map((tag) => `<span>${tag}</span>`).join("");
-  ui.greenCard.innerHTML = `
-    <div class="card card-green fade-in">
-      <div class="card-label">Green Card</div>
-      <div class="card-title">${state.currentGreen.text}</div>
-      <div class="card-tags">${tags}</div>
-    </div>
-  `;
+  const greenCard = state.game.currentGreenCard || state.lastRound?.greenCard;
+  if (!greenCard) {
+    ui.greenCard.replaceChildren();
+    return;
+  }
+  const card = document.createElement("div");
+  card.className = "card card-green fade-in";
+  fillCard(card, "Green Card", greenCard);
+  ui.greenCard.replaceChildren(card);
 }
 
 function renderSubmissions() {
   ui.submissions.innerHTML = "";
   const judge = getJudge();
+  const submissions = state.game.submissions.size > 0 ? getSubmissions() : state.lastRound?.submissions || [];
+  const winningSubmissionId = state.lastRound?.winningSubmissionId || null;
 
-  if (state.submissions.length === 0) {
+  if (submissions.length === 0) {
     const empty = document.createElement("p");
     empty.className = "muted";
     empty.textContent = "Waiting for red cards...";
@@ -392,30 +566,27 @@ function renderSubmissions() {
     return;
   }
 
-  const displayCards = shuffle([...state.submissions]);
+  // Its own generator, seeded per round, so the order holds across renders and drawing it leaves the game's alone.
+  const displayCards = shuffle(createRandom(`${state.game.random.seed}:display:${state.game.round}`), submissions);
   displayCards.forEach((submission) => {
     const cardButton = document.createElement("button");
     cardButton.className = "card card-red fade-in";
     cardButton.type = "button";
 
-    const owner = state.players.find((player) => player.id === submission.playerId);
-    const showOwner = state.revealOwners || !judge.isHuman;
+    const owner = state.game.players.find((player) => player.id === submission.playerId);
+    const showOwner = state.revealOwners || !judge?.isHuman;
 
-    cardButton.innerHTML = `
-      <div class="card-label">Red Card</div>
-      <div class="card-title">${submission.card.text}</div>
-      <div class="card-tags">${submission.card.tags.map((tag) => `<span>${tag}</span>`).join("")}</div>
-      <div class="card-owner">${showOwner ? owner.name : "Anonymous"}</div>
-    `;
+    const ownerName = owner ? owner.name : "Apple Potpourri";
+    fillCard(cardButton, "Red Card", submission.card, showOwner ? ownerName : "Anonymous");
 
     if (state.phase === "human-judge") {
       cardButton.classList.add("selectable");
-      cardButton.addEventListener("click", () => handleHumanJudgePick(submission.playerId));
+      cardButton.addEventListener("click", () => handleHumanJudgePick(submission.id));
     } else {
       cardButton.disabled = true;
     }
 
-    if (state.winnerId && submission.playerId === state.winnerId) {
+    if (submission.id === winningSubmissionId) {
       cardButton.classList.add("winner");
     }
 
@@ -424,12 +595,12 @@ function renderSubmissions() {
 }
 
 function renderHand() {
-  const human = state.players[0];
+  const human = state.game.players[0];
   ui.hand.innerHTML = "";
   const isSelectable = state.phase === "human-play";
   const judge = getJudge();
 
-  if (judge.isHuman) {
+  if (judge?.isHuman) {
     const label = document.createElement("p");
     label.className = "muted";
     label.textContent = "You are judging this round.";
@@ -437,27 +608,57 @@ function renderHand() {
     return;
   }
 
-  human.hand.forEach((card) => {
+  if (!human) {
+    return;
+  }
+
+  getHand(human.id).forEach((card) => {
     const cardBtn = document.createElement("button");
     cardBtn.type = "button";
     cardBtn.className = "card card-red hand-card";
     if (isSelectable) {
       cardBtn.classList.add("selectable");
     }
-    cardBtn.innerHTML = `
-      <div class="card-label">Your Card</div>
-      <div class="card-title">${card.text}</div>
-      <div class="card-tags">${card.tags.map((tag) => `<span>${tag}</span>`).join("")}</div>
-    `;
+    if (state.mulliganSelection?.has(card.id)) {
+      cardBtn.classList.add("discarding");
+    }
+    fillCard(cardBtn, "Your Card", card);
     cardBtn.disabled = !isSelectable;
     cardBtn.addEventListener("click", () => handleHumanCardSelection(card.id));
     ui.hand.append(cardBtn);
   });
 }
 
+function renderRoundControls() {
+  const game = state.game;
+  const human = game.players[0];
+  const pointCost = game.settings.mulliganCost === "point";
+  ui.mulliganButton.disabled = !(
+    state.phase === "human-play" &&
+    !game.mulligans.includes(human?.id) &&
+    (!pointCost || human.score > 0)
+  );
+  if (!state.mulliganSelection) {
+    ui.mulliganButton.textContent = pointCost ? "Mulligan (costs a point)" : "Mulligan (sit out this round)";
+  } else {
+    ui.mulliganButton.textContent =
+      state.mulliganSelection.size > 0 ? `Redraw ${state.mulliganSelection.size}` : "Cancel Mulligan";
+  }
+
+  ui.harvestButton.disabled = !(
+    game.phase === "submit" &&
+    (state.phase === "human-play" || state.phase === "waiting-ai") &&
+    state.harvestCalledRound !== game.round &&
+    game.lastHarvestRound !== game.round
+  );
+}
+
 function renderRoundInfo() {
   const judge = getJudge();
-  ui.roundInfo.textContent = `Round ${state.round} | Judge: ${judge.name} | First to ${WIN_SCORE}`;
+  const variantNames = state.game.settings.variants.map((variantId) => VARIANTS[variantId].name);
+  ui.roundInfo.textContent = `Round ${state.game.round} | Judge: ${judge?.name || "-"} | First to ${
+    state.game.settings.winScore
+  }${variantNames.length > 0 ? ` | House rules: ${variantNames.join(", ")}` : ""} | Seed: ${state.game.random.seed}`;
 }
 
 function render() {
@@ -466,11 +667,12 @@ function render() {
   renderGreenCard();
   renderSubmissions();
   renderHand();
+  renderRoundControls();
   ui.message.textContent = state.message;
 }
 
 ui.actionButton.addEventListener("click", () => {
-  if (state.phase === "idle" || state.gameOver) {
+  if (state.phase === "idle" || state.phase === "game-over") {
     startGame();
     return;
   }
@@ -480,4 +682,9 @@ ui.actionButton.addEventListener("click", () => {
   }
 });
 
+ui.mulliganButton.addEventListener("click", handleMulligan);
+ui.harvestButton.addEventListener("click", handleBadHarvest);
+ui.statsButton.addEventListener("click", viewStats);
+
+buildVariantOptions();
 render();
@@ -1,34 +1,111 @@
+import { DEFAULT_PACK_IDS, PACKS } from "../data/packs/index.js";
+import { CHAT_HISTORY_SIZE, MAX_CHAT_LENGTH, REACTION_EMOJIS } from "./chat.js";
+import { applyRoomPatch, checkRoomPatch } from "./roomPatch.js";
+import { VARIANTS } from "./rules.js";
+import { showStats } from "./statsPanel.js";
+
 const STORAGE_KEY = "pearstopears:multiplayerIdentity";
+const PROFILE_STORAGE_KEY = "pearstopears:multiplayerProfile";
+// Room code to the ban token from `room:kicked`, for the last few rooms this browser was banned from.
+const BANS_STORAGE_KEY = "pearstopears:multiplayerBans";
+const MAX_SAVED_BANS = 20;
+const REACTION_PHASES = ["judge_pick", "vote", "score"];
+const REQUEST_TIMEOUT_MS = 8000;
+const MAX_REQUEST_ATTEMPTS = 3;
+const RETRY_DELAY_MS = 1000;
+// Failures where trying again can help: the server throttled the request or never answered it.
+const TRANSIENT_CODES = ["RATE_LIMITED", "TIMEOUT"];
+// A throttled request was turned away unhandled, but one that timed out may have gone through, so only these
+// are sent again after a timeout: they set a state rather than add to or toggle it, so a repeat changes nothing.
+const IDEMPOTENT_EVENTS = ["room:sync", "room:settings", "room:ready", "host:lock", "spectator:deal_in", "deck:reset"];
+const TIMEOUT_RESULT = { ok: false, code: "TIMEOUT", message: "The server did not answer in time.", data: null };
 
 const state = {
   socket: null,
   roomCode: "",
   playerId: "",
+  sessionToken: "",
   playerName: "",
   room: null,
   playerState: { hand: [], submitted: false },
   isHost: false,
-  connected: false
+  connected: false,
+  clockOffsetMs: 0,
+  // True while a `room:sync` is out after a missed patch, so later patches do not ask again.
+  resyncing: false,
+  settingsSignature: "",
+  // Link to this room from `room:joined`, shown with its QR code so others can join.
+  inviteUrl: "",
+  chat: [],
+  // `{ profileId, profileToken, name }` once the player has created a profile on this server.
+  profile: null
 };
 
 const ui = {
   panel: document.getElementById("multiplayer-panel"),
   status: document.getElementById("mp-status"),
+  notice: document.getElementById("mp-notice"),
   serverUrl: document.getElementById("mp-server-url"),
   roomCode: document.getElementById("mp-room-code"),
   playerName: document.getElementById("mp-player-name"),
+  winScore: document.getElementById("mp-win-score"),
+  handSize: document.getElementById("mp-hand-size"),
+  maxPlayers: document.getElementById("mp-max-players"),
+  roundLimit: document.getElementById("mp-round-limit"),
+  applySettingsBtn: document.getElementById("mp-apply-settings"),
+  packs: document.getElementById("mp-packs"),
+  packInputs: [],
+  variants: document.getElementById("mp-variants"),
+  variantInputs: [],
+  pickinCount: document.getElementById("mp-pickin-count"),
+  mulliganCost: document.getElementById("mp-mulligan-cost"),
+  activeVariants: document.getElementById("mp-active-variants"),
+  historyLink: document.getElementById("mp-history-link"),
+  invite: document.getElementById("mp-invite"),
+  inviteQr: document.getElementById("mp-invite-qr"),
+  inviteLink: document.getElementById("mp-invite-link"),
+  botDifficulty: document.getElementById("mp-bot-difficulty"),
+  botThink: document.getElementById("mp-bot-think"),
+  addBotBtn: document.getElementById("mp-add-bot"),
+  redDeckFile: document.getElementById("mp-red-deck"),
+  greenDeckFile: document.getElementById("mp-green-deck"),
+  uploadDeckBtn: document.getElementById("mp-upload-deck"),
+  resetDeckBtn: document.getElementById("mp-reset-deck"),
+  deckInfo: document.getElementById("mp-deck-info"),
+  greenPickSeconds: document.getElementById("mp-green-pick-seconds"),
+  submitSeconds: document.getElementById("mp-submit-seconds"),
+  judgeSeconds: document.getElementById("mp-judge-seconds"),
+  scoreSeconds: document.getElementById("mp-score-seconds"),
+  voteSeconds: document.getElementById("mp-vote-seconds"),
+  mode: document.getElementById("mp-mode"),
+  tieBreak: document.getElementById("mp-tie-break"),
+  seed: document.getElementById("mp-seed"),
   createBtn: document.getElementById("mp-create-room"),
   joinBtn: document.getElementById("mp-join-room"),
+  watchBtn: document.getElementById("mp-watch-room"),
+  dealInBtn: document.getElementById("mp-deal-in"),
+  lockBtn: document.getElementById("mp-lock-room"),
   readyBtn: document.getElementById("mp-toggle-ready"),
   startBtn: document.getElementById("mp-start-game"),
   nextBtn: document.getElementById("mp-next-round"),
   handSelect: document.getElementById("mp-hand-select"),
   submitBtn: document.getElementById("mp-submit-card"),
+  mulliganCards: document.getElementById("mp-mulligan-cards"),
+  mulliganBtn: document.getElementById("mp-mulligan"),
+  harvestBtn: document.getElementById("mp-bad-harvest"),
   judgeTarget: document.getElementById("mp-judge-target"),
   judgeBtn: document.getElementById("mp-judge-pick"),
   phase: document.getElementById("mp-phase"),
+  timer: document.getElementById("mp-timer"),
   players: document.getElementById("mp-players"),
   leaderboard: document.getElementById("mp-leaderboard"),
+  chatLog: document.getElementById("mp-chat-log"),
+  chatInput: document.getElementById("mp-chat-input"),
+  chatSendBtn: document.getElementById("mp-chat-send"),
+  reactions: document.getElementById("mp-reactions"),
+  createProfileBtn: document.getElementById("mp-create-profile"),
+  viewStatsBtn: document.getElementById("mp-view-stats"),
+  profileInfo: document.getElementById("mp-profile-info"),
   singlePlayerShell: document.getElementById("singleplayer-shell"),
   singlePlayerActionBtn: document.getElementById("action-button")
 };
@@ -49,24 +126,180 @@ function saveIdentity() {
   const payload = {
     roomCode: state.roomCode,
     playerId: state.playerId,
+    sessionToken: state.sessionToken,
     playerName: state.playerName
   };
   localStorage.setItem(STORAGE_KEY, JSON.stringify(payload));
 }
 
+function loadProfile() {
+  try {
+    const raw = localStorage.getItem(PROFILE_STORAGE_KEY);
+    return raw ? JSON.parse(raw) : null;
+  } catch {
+    return null;
+  }
+}
+
+function saveProfile() {
+  localStorage.setItem(PROFILE_STORAGE_KEY, JSON.stringify(state.profile));
+}
+
+function loadBans() {
+  try {
+    const bans = JSON.parse(localStorage.getItem(BANS_STORAGE_KEY) || "{}");
+    return bans && typeof bans === "object" ? bans : {};
+  } catch {
+    return {};
+  }
+}
+
+/** Keeps the token a ban came with, so the server can turn this browser away from that room with a new seat. */
+function saveBan(roomCode, banToken) {
+  const entries = Object.entries(loadBans()).filter(([code]) => code !== roomCode);
+  entries.push([roomCode, banToken]);
+  localStorage.setItem(BANS_STORAGE_KEY, JSON.stringify(Object.fromEntries(entries.slice(-MAX_SAVED_BANS))));
+}
+
+/** Sent with `room:create` and `room:join` so the server credits this seat's games to the profile. */
+function profileCredentials() {
+  return state.profile ? { profileId: state.profile.profileId, profileToken: state.profile.profileToken } : {};
+}
+
 function setStatus(message) {
   ui.status.textContent = message;
 }
 
+/** Forgets the room and its saved session after being kicked or the room closing, and explains why. */
+function leaveRoom(message) {
+  localStorage.removeItem(STORAGE_KEY);
+  state.roomCode = "";
+  state.playerId = "";
+  state.sessionToken = "";
+  state.inviteUrl = "";
+  state.room = null;
+  state.resyncing = false;
+  state.chat = [];
+  state.isHost = false;
+  state.playerState = { hand: [], submitted: false };
+  setStatus(message);
+  renderChat();
+  render();
+}
+
+// Error notes shown next to the control whose request failed.
+const controlErrors = new WeakMap();
+
+/** Shows `message` right after `control`, or in the status line when the control is not on the page. */
+function showControlError(control, message) {
+  if (!control?.isConnected) {
+    if (message) {
+      setStatus(message);
+    }
+    return;
+  }
+  let note = controlErrors.get(control);
+  if (!note) {
+    note = document.createElement("span");
+    note.className = "mp-control-error";
+    note.setAttribute("role", "alert");
+    control.after(note);
+    controlErrors.set(control, note);
+  }
+  note.textContent = message;
+  note.classList.toggle("hidden", !message);
+}
+
+function wait(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function emitWithAck(eventName, payload) {
+  return new Promise((resolve) => {
+    state.socket.timeout(REQUEST_TIMEOUT_MS).emit(eventName, payload, (error, result) => {
+      resolve(error ? TIMEOUT_RESULT : result);
+    });
+  });
+}
+
+function canRetry(eventName, result) {
+  return result.code === "TIMEOUT" ? IDEMPOTENT_EVENTS.includes(eventName) : TRANSIENT_CODES.includes(result.code);
+}
+
+/**
+ * Sends a request and waits for the server's `{ ok, code, message, data }` acknowledgement, retrying
+ * `TRANSIENT_CODES` (timeouts only for `IDEMPOTENT_EVENTS`). Any error is shown next to `control` and cleared
+ * once a request from it succeeds.
+ */
+async function request(eventName, payload, control = null) {
+  let result = null;
+  for (let attempt = 1; attempt <= MAX_REQUEST_ATTEMPTS; attempt += 1) {
+    result = await emitWithAck(eventName, payload);
+    if (result.ok || !canRetry(eventName, result) || attempt === MAX_REQUEST_ATTEMPTS) {
+      break;
+    }
+    showControlError(control, `${result.message} Retrying...`);
+    await wait(result.data?.retryAfterMs ?? RETRY_DELAY_MS * attempt);
+  }
+  showControlError(control, result.ok ? "" : result.message);
+  return result;
+}
+
+function showRoomState(roomState) {
+  const harvested = roomState?.lastHarvestRound > 0 && roomState.lastHarvestRound === roomState.round;
+  if (harvested && state.room?.lastHarvestRound !== roomState.lastHarvestRound) {
+    setStatus("Bad Harvest! Every hand was reshuffled into the deck and dealt again.");
+  }
+  state.room = roomState;
+  if (typeof roomState?.serverTime === "number") {
+    state.clockOffsetMs = roomState.serverTime - Date.now();
+  }
+  render();
+}
+
+/** Asks for a full `room:update` after a patch went missing, since later patches no longer apply. */
+async function resyncRoom() {
+  if (state.resyncing) {
+    return;
+  }
+  state.resyncing = true;
+  const result = await request("room:sync", { roomCode: state.room.roomCode });
+  if (!result.ok) {
+    state.resyncing = false;
+  }
+}
+
+// The multiplayer server serves this page, so it is normally at the same origin.
 function defaultServerUrl() {
-  const protocol = window.location.protocol === "https:" ? "https:" : "http:";
-  const host = window.location.hostname || "localhost";
-  return `${protocol}//${host}:3000`;
+  return window.location.protocol.startsWith("http") ? window.location.origin : "http://localhost:3000";
 }
 
-function ensureSocket(serverUrl) {
+/**
+ * The page loads the Socket.IO client from the server that serves it. Opened from a file or another host,
+ * it fetches the client from `serverUrl` instead.
+ * @returns {Promise<boolean>} whether `window.io` is available
+ */
+function loadSocketClient(serverUrl) {
+  if (typeof window.io === "function") {
+    return Promise.resolve(true);
+  }
+  return new Promise((resolve) => {
+    const script = document.createElement("script");
+    script.src = `${serverUrl}/socket.io/socket.io.js`;
+    script.addEventListener("load", () => resolve(typeof window.io === "function"));
+    script.addEventListener("error", () => resolve(false));
+    document.head.append(script);
+  });
+}
+
+/** @returns {Promise<boolean>} false if the Socket.IO client could not be loaded */
+async function ensureSocket(serverUrl) {
   if (state.socket && state.socket.connected) {
-    return;
+    return true;
+  }
+  if (!(await loadSocketClient(serverUrl))) {
+    setStatus(`Could not load the Socket.IO client from ${serverUrl}.`);
+    return false;
   }
 
   state.socket = window.io(serverUrl, {
@@ -79,13 +312,22 @@ function ensureSocket(serverUrl) {
     state.connected = true;
     setStatus(`Connected to ${serverUrl}`);
 
+    // After a dropped connection, take the seat back. The first connection leaves that to whichever request
+    // opened it: `joinRoom` resumes a saved seat in the room it joins, and an invite or a new room must not
+    // also put this socket back in the saved one.
     const saved = loadIdentity();
-    if (saved?.roomCode && saved?.playerId) {
-      state.socket.emit("room:join", {
-        roomCode: saved.roomCode,
-        playerId: saved.playerId,
-        playerName: saved.playerName || ui.playerName.value.trim() || "Player"
-      });
+    if (state.roomCode && saved?.roomCode === state.roomCode && saved.sessionToken) {
+      request(
+        "room:join",
+        {
+          roomCode: saved.roomCode,
+          playerId: saved.playerId,
+          sessionToken: saved.sessionToken,
+          playerName: saved.playerName || ui.playerName.value.trim() || "Player",
+          ...profileCredentials()
+        },
+        ui.joinBtn
+      );
     }
   });
 
@@ -97,6 +339,8 @@ function ensureSocket(serverUrl) {
   state.socket.on("room:joined", (payload) => {
     state.roomCode = payload.roomCode;
     state.playerId = payload.playerId;
+    state.sessionToken = payload.sessionToken || "";
+    state.inviteUrl = payload.inviteUrl || "";
     state.isHost = Boolean(payload.isHost);
     state.playerState = { hand: [], submitted: false };
 
@@ -106,13 +350,30 @@ function ensureSocket(serverUrl) {
     }
 
     saveIdentity();
-    setStatus(payload.rejoined ? `Rejoined room ${payload.roomCode}` : `Joined room ${payload.roomCode}`);
+    const roleLabel = payload.role === "spectator" ? " as a spectator" : "";
+    setStatus(
+      payload.rejoined ? `Rejoined room ${payload.roomCode}${roleLabel}` : `Joined room ${payload.roomCode}${roleLabel}`
+    );
     render();
   });
 
+  // A full snapshot: sent on joining, rejoining, and `room:sync`.
   state.socket.on("room:update", (roomState) => {
-    state.room = roomState;
-    render();
+    if (roomState?.roomCode !== state.roomCode) {
+      return;
+    }
+    state.resyncing = false;
+    showRoomState(roomState);
+  });
+
+  state.socket.on("room:patch", (payload) => {
+    const room = state.room;
+    const action = checkRoomPatch(room, payload);
+    if (action === "resync") {
+      resyncRoom();
+    } else if (action === "apply") {
+      showRoomState({ ...applyRoomPatch(room, payload.patch), seq: payload.seq, serverTime: payload.serverTime });
+    }
   });
 
   state.socket.on("player:state", (playerState) => {
@@ -121,14 +382,80 @@ function ensureSocket(serverUrl) {
     }
     state.playerState = {
       hand: Array.isArray(playerState.hand) ? playerState.hand : [],
-      submitted: Boolean(playerState.submitted)
+      submitted: Boolean(playerState.submitted),
+      submissionId: playerState.submissionId || null,
+      voted: Boolean(playerState.voted),
+      mulliganed: Boolean(playerState.mulliganed),
+      sittingOut: Boolean(playerState.sittingOut),
+      // Only the host is sent the room's seed.
+      seed: typeof playerState.seed === "string" ? playerState.seed : ""
     };
     render();
   });
 
+  state.socket.on("chat:history", (payload) => {
+    state.chat = Array.isArray(payload?.messages) ? payload.messages : [];
+    renderChat();
+  });
+
+  state.socket.on("chat:message", (payload) => {
+    if (payload?.roomCode !== state.roomCode || !payload.message) {
+      return;
+    }
+    state.chat = [...state.chat, payload.message].slice(-CHAT_HISTORY_SIZE);
+    renderChat();
+  });
+
+  state.socket.on("room:kicked", (payload) => {
+    if (payload?.banToken) {
+      saveBan(payload.roomCode, payload.banToken);
+    }
+    leaveRoom(payload?.reason || "You were removed from the room.");
+  });
+
+  state.socket.on("room:closed", (payload) => {
+    leaveRoom(payload?.reason || "This room was closed.");
+  });
+
+  state.socket.on("server:notice", (payload) => {
+    if (typeof payload?.message !== "string") {
+      return;
+    }
+    ui.notice.textContent = `Server notice: ${payload.message}`;
+    ui.notice.classList.remove("hidden");
+  });
+
+  state.socket.on("profile:created", (payload) => {
+    state.profile = {
+      profileId: payload.profile.id,
+      profileToken: payload.profileToken,
+      name: payload.profile.name
+    };
+    saveProfile();
+    setStatus(`Profile created for ${payload.profile.name}. Finished games now count toward your stats.`);
+    // Rejoining with the session token links the current seat to the new profile.
+    const saved = loadIdentity();
+    if (state.roomCode && saved?.sessionToken) {
+      request(
+        "room:join",
+        {
+          roomCode: state.roomCode,
+          playerId: saved.playerId,
+          sessionToken: saved.sessionToken,
+          playerName: state.playerName,
+          ...profileCredentials()
+        },
+        ui.createProfileBtn
+      );
+    }
+    render();
+  });
+
+  // Requests are answered through acknowledgements; this only fires for servers that predate them.
   state.socket.on("server:error", (payload) => {
     setStatus(payload?.message || "Server error");
   });
+  return true;
 }
 
 function renderList(container, lines) {
@@ -147,29 +474,168 @@ function renderList(container, lines) {
   });
 }
 
-function renderJudgeOptions() {
-  ui.judgeTarget.innerHTML = "";
+function createModerationButton(label, onClick) {
+  const button = document.createElement("button");
+  button.type = "button";
+  button.className = "mp-inline-action";
+  button.textContent = label;
+  button.addEventListener("click", onClick);
+  return button;
+}
+
+function renderPlayers() {
+  const room = state.room;
+  const entries = room
+    ? [
+        ...room.players.map((player) => ({
+          id: player.id,
+          isPlayer: true,
+          isBot: player.isBot,
+          connected: player.connected,
+          text: `${
+            player.isBot
+              ? `${player.name} | score ${player.score} | bot (${player.difficulty})`
+              : `${player.name} | score ${player.score} | ${player.ready ? "ready" : "not ready"} | ${
+                  player.reconnectingUntil ? "reconnecting" : player.connected ? "online" : "offline"
+                }${player.isHost ? " | host" : ""}`
+          }${player.voted ? " | voted" : ""}${player.sittingOut ? " | sitting out" : ""}${
+            player.calledHarvest ? " | calls Bad Harvest" : ""
+          }`
+        })),
+        ...(room.spectators || []).map((spectator) => ({
+          id: spectator.id,
+          isPlayer: false,
+          connected: spectator.connected,
+          text: `${spectator.name} | spectator | ${spectator.connected ? "online" : "offline"}${
+            spectator.dealIn ? " | dealt in next round" : ""
+          }`
+        }))
+      ]
+    : [];
+
+  if (!state.isHost) {
+    renderList(ui.players, entries.map((entry) => entry.text));
+    return;
+  }
+
+  ui.players.innerHTML = "";
+  entries.forEach((entry) => {
+    const li = document.createElement("li");
+    li.textContent = entry.text;
+    if (entry.isBot) {
+      if (room.phase === "lobby") {
+        const actions = document.createElement("span");
+        actions.className = "mp-inline-actions";
+        actions.append(createModerationButton("Remove", () => moderate("bot:remove", entry.id)));
+        li.append(actions);
+      }
+    } else if (entry.id !== state.playerId) {
+      const actions = document.createElement("span");
+      actions.className = "mp-inline-actions";
+      if (entry.isPlayer && entry.connected) {
+        actions.append(createModerationButton("Make Host", () => moderate("host:transfer", entry.id)));
+      }
+      actions.append(createModerationButton("Kick", () => moderate("host:kick", entry.id)));
+      actions.append(createModerationButton("Ban", () => moderate("host:ban", entry.id)));
+      li.append(actions);
+    }
+    ui.players.append(li);
+  });
+}
 
+function getBallotSubmissions() {
   if (!state.room || !Array.isArray(state.room.submissions)) {
+    return [];
+  }
+  // Voters never see their own card as an option; the server rejects self-votes anyway.
+  return state.room.phase === "vote"
+    ? state.room.submissions.filter((submission) => submission.id !== state.playerState.submissionId)
+    : state.room.submissions;
+}
+
+function describeSubmission(submission) {
+  const notes = [];
+  if (typeof submission.votes === "number") {
+    notes.push(`${submission.votes} vote${submission.votes === 1 ? "" : "s"}`);
+  }
+  if (submission.potpourri) {
+    notes.push("Apple Potpourri");
+  }
+  return notes.length > 0 ? `${submission.cardText} (${notes.join(", ")})` : submission.cardText;
+}
+
+function renderChat() {
+  ui.chatLog.innerHTML = "";
+  state.chat.forEach((message) => {
+    const li = document.createElement("li");
+    const sender = document.createElement("span");
+    sender.className = "mp-chat-sender";
+    sender.textContent = `${message.name}${message.spectator ? " (watching)" : ""}: `;
+    li.append(sender, document.createTextNode(message.text));
+    ui.chatLog.append(li);
+  });
+  ui.chatLog.scrollTop = ui.chatLog.scrollHeight;
+}
+
+function renderReactions() {
+  const submissions = state.room?.submissions || [];
+  if (submissions.length === 0) {
+    renderList(ui.reactions, []);
     return;
   }
 
-  state.room.submissions.forEach((submission) => {
+  const canReact = REACTION_PHASES.includes(state.room.phase);
+  ui.reactions.innerHTML = "";
+  submissions.forEach((submission) => {
+    const li = document.createElement("li");
+    li.textContent = submission.cardText;
+    const actions = document.createElement("span");
+    actions.className = "mp-inline-actions";
+    REACTION_EMOJIS.forEach((emoji) => {
+      const count = submission.reactions?.[emoji] || 0;
+      const button = createModerationButton(count > 0 ? `${emoji} ${count}` : emoji, () =>
+        react(submission.id, emoji)
+      );
+      button.disabled = !canReact;
+      actions.append(button);
+    });
+    li.append(actions);
+    ui.reactions.append(li);
+  });
+}
+
+function renderJudgeOptions() {
+  ui.judgeTarget.innerHTML = "";
+
+  // In `green_pick` the same control lets the judge choose among the green card draws.
+  const options =
+    state.room?.phase === "green_pick"
+      ? state.room.greenChoices.map((card) => ({ value: card.id, text: card.text }))
+      : getBallotSubmissions().map((submission) => ({ value: submission.id, text: describeSubmission(submission) }));
+
+  options.forEach(({ value, text }) => {
     const option = document.createElement("option");
-    option.value = submission.id;
-    option.textContent = submission.cardText;
+    option.value = value;
+    option.textContent = text;
     ui.judgeTarget.append(option);
   });
 }
 
 function renderHandOptions() {
+  // Keep mulligan picks across updates for cards that are still in hand.
+  const marked = new Set([...ui.mulliganCards.selectedOptions].map((option) => option.value));
   ui.handSelect.innerHTML = "";
+  ui.mulliganCards.innerHTML = "";
   const hand = state.playerState?.hand || [];
   hand.forEach((card) => {
     const option = document.createElement("option");
     option.value = card.id;
     option.textContent = card.text;
     ui.handSelect.append(option);
+
+    const discardOption = option.cloneNode(true);
+    discardOption.selected = marked.has(card.id);
+    ui.mulliganCards.append(discardOption);
   });
 }
 
@@ -186,26 +652,218 @@ function syncSinglePlayerVisibility(multiplayerActive) {
   }
 }
 
+function readSettingsInputs() {
+  return {
+    winScore: Number(ui.winScore.value),
+    handSize: Number(ui.handSize.value),
+    maxPlayers: Number(ui.maxPlayers.value),
+    roundLimit: Number(ui.roundLimit.value),
+    mode: ui.mode.value,
+    tieBreak: ui.tieBreak.value,
+    phaseSeconds: {
+      green_pick: Number(ui.greenPickSeconds.value),
+      submit: Number(ui.submitSeconds.value),
+      judge_pick: Number(ui.judgeSeconds.value),
+      vote: Number(ui.voteSeconds.value),
+      score: Number(ui.scoreSeconds.value)
+    },
+    packIds: ui.packInputs.filter((input) => input.checked).map((input) => input.value),
+    variants: ui.variantInputs.filter((input) => input.checked).map((input) => input.value),
+    pickinCount: Number(ui.pickinCount.value),
+    mulliganCost: ui.mulliganCost.value,
+    seed: ui.seed.value
+  };
+}
+
+function buildVariantOptions() {
+  ui.variants.innerHTML = "";
+  ui.variantInputs = Object.entries(VARIANTS).map(([variantId, variant]) => {
+    const label = document.createElement("label");
+    label.className = "mp-option";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = variantId;
+
+    const name = document.createElement("strong");
+    name.textContent = variant.name;
+    const details = document.createElement("span");
+    details.append(name, ` ${variant.description}`);
+
+    label.append(input, details);
+    ui.variants.append(label);
+    return input;
+  });
+}
+
+function buildPackOptions() {
+  ui.packs.innerHTML = "";
+  ui.packInputs = PACKS.map((pack) => {
+    const label = document.createElement("label");
+    label.className = "mp-option";
+
+    const input = document.createElement("input");
+    input.type = "checkbox";
+    input.value = pack.id;
+    input.checked = DEFAULT_PACK_IDS.includes(pack.id);
+
+    const name = document.createElement("strong");
+    name.textContent = pack.name;
+    const details = document.createElement("span");
+    details.append(
+      name,
+      ` (${pack.rating}, ${pack.redCards.length} red / ${pack.greenCards.length} green) ${pack.description}`
+    );
+
+    label.append(input, details);
+    ui.packs.append(label);
+    return input;
+  });
+}
+
+function renderSettings(canEdit) {
+  const settings = state.room?.settings;
+  const seed = state.playerState.seed ?? "";
+  // Only overwrite the inputs when the server's settings change, so a host's unsaved edits survive other updates.
+  const signature = settings ? JSON.stringify({ ...settings, seed }) : "";
+  if (settings && signature !== state.settingsSignature) {
+    ui.winScore.value = settings.winScore;
+    ui.handSize.value = settings.handSize;
+    ui.maxPlayers.value = settings.maxPlayers;
+    ui.roundLimit.value = settings.roundLimit;
+    ui.greenPickSeconds.value = settings.phaseSeconds.green_pick;
+    ui.submitSeconds.value = settings.phaseSeconds.submit;
+    ui.judgeSeconds.value = settings.phaseSeconds.judge_pick;
+    ui.voteSeconds.value = settings.phaseSeconds.vote;
+    ui.mode.value = settings.mode;
+    ui.tieBreak.value = settings.tieBreak;
+    ui.scoreSeconds.value = settings.phaseSeconds.score;
+    ui.packInputs.forEach((input) => {
+      input.checked = settings.packIds.includes(input.value);
+    });
+    ui.variantInputs.forEach((input) => {
+      input.checked = settings.variants.includes(input.value);
+    });
+    ui.pickinCount.value = settings.pickinCount;
+    ui.mulliganCost.value = settings.mulliganCost;
+    ui.seed.value = seed;
+  }
+  state.settingsSignature = signature;
+
+  const inputsEnabled = !state.room || canEdit;
+  [
+    ui.winScore,
+    ui.handSize,
+    ui.maxPlayers,
+    ui.roundLimit,
+    ui.greenPickSeconds,
+    ui.submitSeconds,
+    ui.judgeSeconds,
+    ui.voteSeconds,
+    ui.mode,
+    ui.tieBreak,
+    ui.scoreSeconds,
+    ui.pickinCount,
+    ui.mulliganCost,
+    ui.seed,
+    ...ui.packInputs,
+    ...ui.variantInputs
+  ].forEach((input) => {
+    input.disabled = !inputsEnabled;
+  });
+  ui.applySettingsBtn.disabled = !canEdit;
+}
+
+function renderDeckInfo(canEdit) {
+  const deck = state.room?.deck;
+  const describe = (label, entry) => `${label}: ${entry.count} ${entry.custom ? "custom" : "from packs"}`;
+  ui.deckInfo.textContent = deck
+    ? `Deck | ${describe("Red", deck.red)} | ${describe("Green", deck.green)}`
+    : "Deck: selected packs.";
+
+  [ui.redDeckFile, ui.greenDeckFile, ui.uploadDeckBtn].forEach((control) => {
+    control.disabled = !canEdit;
+  });
+  ui.resetDeckBtn.disabled = !(canEdit && (deck?.red.custom || deck?.green.custom));
+}
+
+function renderInvite(serverUrl) {
+  ui.invite.classList.toggle("hidden", !state.inviteUrl);
+  if (!state.inviteUrl) {
+    return;
+  }
+  const qrUrl = `${serverUrl}/r/${encodeURIComponent(state.roomCode)}/qr.svg`;
+  if (ui.inviteQr.getAttribute("src") !== qrUrl) {
+    ui.inviteQr.src = qrUrl;
+  }
+  ui.inviteLink.href = state.inviteUrl;
+  ui.inviteLink.textContent = state.inviteUrl;
+}
+
+function renderCountdown() {
+  const deadline = state.room?.phaseDeadline;
+  if (!deadline) {
+    ui.timer.textContent = "No deadline.";
+    return;
+  }
+
+  const remainingMs = deadline - (Date.now() + state.clockOffsetMs);
+  const remainingSeconds = Math.max(0, Math.ceil(remainingMs / 1000));
+  const labels = {
+    submit: "Cards auto-submit",
+    green_pick: "Green card auto-picked",
+    judge_pick: "Winner auto-picked",
+    vote: "Votes tallied",
+    score: "Next round starts"
+  };
+  ui.timer.textContent = `${labels[state.room.phase] || "Phase ends"} in ${remainingSeconds}s`;
+}
+
 function render() {
   const room = state.room;
   const phase = room?.phase || "lobby";
+  if (room) {
+    state.isHost = room.hostPlayerId === state.playerId;
+  }
   const judgeId = room?.judgePlayerId || "";
   const judge = room?.players?.find((player) => player.id === judgeId);
   const me = room?.players?.find((player) => player.id === state.playerId);
+  const meSpectating = room?.spectators?.find((spectator) => spectator.id === state.playerId);
   const canReady = Boolean(room && phase === "lobby" && me);
   const connectedCount = room ? room.players.filter((player) => player.connected).length : 0;
   const canStart = Boolean(room && phase === "lobby" && state.isHost && connectedCount >= 2);
   const canRematch = Boolean(room && phase === "game_over" && state.isHost && connectedCount >= 2);
   const canSubmit = Boolean(
-    room && phase === "submit" && me && me.id !== judgeId && !state.playerState.submitted && state.playerState.hand.length > 0
+    room &&
+      phase === "submit" &&
+      me &&
+      me.id !== judgeId &&
+      !state.playerState.submitted &&
+      !state.playerState.sittingOut &&
+      state.playerState.hand.length > 0
+  );
+  const canJudge = Boolean(room && (phase === "judge_pick" || phase === "green_pick") && me && me.id === judgeId);
+  const canMulligan = Boolean(
+    canSubmit && !state.playerState.mulliganed && (room.settings.mulliganCost !== "point" || me.score > 0)
+  );
+  const calledHarvest = Boolean(me?.calledHarvest);
+  const canCallHarvest = Boolean(room && phase === "submit" && me && room.lastHarvestRound !== room.round);
+  const canVote = Boolean(
+    room && phase === "vote" && me && !state.playerState.voted && getBallotSubmissions().length > 0
   );
-  const canJudge = Boolean(room && phase === "judge_pick" && me && me.id === judgeId);
+  const voteMode = room?.settings?.mode === "vote";
   const canNext = Boolean(room && phase === "score" && state.isHost);
+  const canEditSettings = Boolean(room && phase === "lobby" && state.isHost);
+  const roundLimit = room?.settings?.roundLimit || 0;
   const topPlayer = room?.leaderboard?.[0] || null;
 
-  ui.phase.textContent = `Room: ${state.roomCode || "-"} | Phase: ${phase} | Round: ${room?.round || 0} | Judge: ${
-    judge?.name || "-"
-  } | Green: ${room?.greenCard?.text || "-"} | Hand: ${state.playerState.hand.length}`;
+  ui.phase.textContent = `Room: ${state.roomCode || "-"} | Phase: ${phase} | Round: ${room?.round || 0}${
+    roundLimit ? `/${roundLimit}` : ""
+  } | First to: ${room?.settings?.winScore || "-"} | ${
+    voteMode ? `Votes: ${room.voteCount}/${room.expectedVoteCount}` : `Judge: ${judge?.name || "-"}`
+  } | Green: ${
+    room?.greenCard?.text || "-"
+  } | Hand: ${state.playerState.hand.length}`;
 
   if (phase === "game_over" && topPlayer) {
     setStatus(`Game over. Winner: ${topPlayer.name} (${topPlayer.score}). Host can start rematch.`);
@@ -214,15 +872,7 @@ function render() {
   const multiplayerActive = Boolean(state.roomCode && state.playerId);
   syncSinglePlayerVisibility(multiplayerActive);
 
-  const playerLines = room
-    ? room.players.map(
-        (player) =>
-          `${player.name} | score ${player.score} | ${player.ready ? "ready" : "not ready"} | ${
-            player.connected ? "online" : "offline"
-          }${player.isHost ? " | host" : ""}`
-      )
-    : [];
-  renderList(ui.players, playerLines);
+  renderPlayers();
 
   const leaderboardLines = room
     ? room.leaderboard.map((entry, idx) => `${idx + 1}. ${entry.name}: ${entry.score}`)
@@ -230,6 +880,13 @@ function render() {
   renderList(ui.leaderboard, leaderboardLines);
 
   ui.readyBtn.disabled = !canReady;
+  ui.addBotBtn.disabled = !canEditSettings;
+  ui.botDifficulty.disabled = !canEditSettings;
+  ui.botThink.disabled = !canEditSettings;
+  ui.lockBtn.disabled = !(room && state.isHost);
+  ui.lockBtn.textContent = room?.locked ? "Unlock Room" : "Lock Room";
+  ui.dealInBtn.disabled = !meSpectating;
+  ui.dealInBtn.textContent = meSpectating?.dealIn ? "Keep Watching" : "Deal Me In";
   ui.startBtn.disabled = !(canStart || canRematch);
   ui.startBtn.textContent = phase === "game_over" ? "Start Rematch" : "Start Multiplayer Game";
   if (room && phase === "lobby" && state.isHost && connectedCount < 2) {
@@ -241,22 +898,60 @@ function render() {
   }
   ui.handSelect.disabled = !canSubmit;
   ui.submitBtn.disabled = !canSubmit;
-  ui.judgeTarget.disabled = !canJudge;
-  ui.judgeBtn.disabled = !canJudge;
+  ui.mulliganCards.disabled = !canMulligan;
+  ui.mulliganBtn.disabled = !canMulligan;
+  ui.mulliganBtn.textContent =
+    room?.settings?.mulliganCost === "point" ? "Mulligan (costs a point)" : "Mulligan (sit out this round)";
+  ui.harvestBtn.disabled = !canCallHarvest;
+  ui.harvestBtn.textContent = `${calledHarvest ? "Withdraw" : "Call"} Bad Harvest${
+    phase === "submit" ? ` (${room.harvestVoteCount}/${room.harvestVotesNeeded})` : ""
+  }`;
+  ui.judgeTarget.disabled = !(canJudge || canVote);
+  ui.judgeBtn.disabled = !(canJudge || canVote);
+  if (phase === "green_pick") {
+    ui.judgeBtn.textContent = "Choose Green";
+  } else {
+    ui.judgeBtn.textContent = voteMode ? "Vote" : "Judge Pick";
+  }
+  ui.activeVariants.textContent =
+    room?.variants?.length > 0
+      ? `House rules: ${room.variants.map((variant) => `${variant.name} (${variant.description})`).join(" | ")}`
+      : "House rules: none.";
   ui.nextBtn.disabled = !canNext;
+  ui.chatInput.disabled = !room;
+  ui.chatSendBtn.disabled = !room;
+  const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
+  ui.historyLink.href = state.roomCode
+    ? `replay.html?server=${encodeURIComponent(serverUrl)}&room=${encodeURIComponent(state.roomCode)}`
+    : "replay.html";
+  ui.historyLink.textContent = room?.matchCount
+    ? `Match history and replays (${room.matchCount} finished)`
+    : "Match history and replays";
+  renderInvite(serverUrl);
 
+  renderProfileInfo();
   renderHandOptions();
   renderJudgeOptions();
+  renderReactions();
+  renderSettings(canEditSettings);
+  renderDeckInfo(canEditSettings);
+  renderCountdown();
 }
 
-function createRoom() {
+async function createRoom() {
   state.playerName = ui.playerName.value.trim() || "Player";
   const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
-  ensureSocket(serverUrl);
-  state.socket.emit("room:create", { playerName: state.playerName });
+  if (!(await ensureSocket(serverUrl))) {
+    return;
+  }
+  request(
+    "room:create",
+    { playerName: state.playerName, settings: readSettingsInputs(), ...profileCredentials() },
+    ui.createBtn
+  );
 }
 
-function joinRoom() {
+async function joinRoom(spectate = false) {
   state.playerName = ui.playerName.value.trim() || "Player";
   const roomCode = ui.roomCode.value.trim().toUpperCase();
   if (!roomCode) {
@@ -265,21 +960,156 @@ function joinRoom() {
   }
 
   const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
-  ensureSocket(serverUrl);
+  if (!(await ensureSocket(serverUrl))) {
+    return;
+  }
 
   const saved = loadIdentity();
-  state.socket.emit("room:join", {
-    roomCode,
-    playerName: state.playerName,
-    playerId: saved?.roomCode === roomCode ? saved.playerId : undefined
-  });
+  const resumable = saved?.roomCode === roomCode;
+  request(
+    "room:join",
+    {
+      roomCode,
+      playerName: state.playerName,
+      playerId: resumable ? saved.playerId : undefined,
+      sessionToken: resumable ? saved.sessionToken : undefined,
+      banToken: loadBans()[roomCode],
+      spectate,
+      ...profileCredentials()
+    },
+    spectate ? ui.watchBtn : ui.joinBtn
+  );
+}
+
+async function createProfile() {
+  const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
+  if (!(await ensureSocket(serverUrl))) {
+    return;
+  }
+  request("profile:create", { name: ui.playerName.value.trim() || "Player" }, ui.createProfileBtn);
+}
+
+async function fetchProfile(serverUrl, profileId) {
+  try {
+    const response = await fetch(`${serverUrl}/profiles/${encodeURIComponent(profileId)}`);
+    return response.ok ? await response.json() : null;
+  } catch {
+    return null;
+  }
+}
+
+/** Shows your profile first, then everyone else in the room who has one. */
+async function viewStats() {
+  const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
+  const profileIds = [
+    ...new Set(
+      [state.profile?.profileId, ...(state.room?.players || []).map((player) => player.profileId)].filter(Boolean)
+    )
+  ];
+  const profiles = (await Promise.all(profileIds.map((profileId) => fetchProfile(serverUrl, profileId)))).filter(
+    Boolean
+  );
+  if (profileIds.length > 0 && profiles.length === 0) {
+    setStatus(`Could not load stats from ${serverUrl}.`);
+  }
+  showStats(
+    profiles.map((profile) => ({
+      name: profile.name,
+      stats: profile.stats,
+      note: profile.id === state.profile?.profileId ? "Your profile" : ""
+    }))
+  );
+}
+
+function renderProfileInfo() {
+  ui.createProfileBtn.disabled = Boolean(state.profile);
+  ui.profileInfo.textContent = state.profile
+    ? `Profile: ${state.profile.name}. Finished games count toward your lifetime stats.`
+    : "No profile: lifetime stats are not tracked.";
+}
+
+function moderate(eventName, playerId) {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  request(eventName, { roomCode: state.roomCode, playerId });
+}
+
+function addBot() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  request(
+    "bot:add",
+    { roomCode: state.roomCode, difficulty: ui.botDifficulty.value, thinkSeconds: Number(ui.botThink.value) },
+    ui.addBotBtn
+  );
+}
+
+function toggleLock() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  request("host:lock", { roomCode: state.roomCode, locked: !state.room?.locked }, ui.lockBtn);
+}
+
+function toggleDealIn() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  const me = state.room?.spectators?.find((spectator) => spectator.id === state.playerId);
+  request("spectator:deal_in", { roomCode: state.roomCode, dealIn: !me?.dealIn }, ui.dealInBtn);
+}
+
+function applySettings() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  if (!ui.packInputs.some((input) => input.checked)) {
+    setStatus("Pick at least one card pack.");
+    return;
+  }
+  request("room:settings", { roomCode: state.roomCode, settings: readSettingsInputs() }, ui.applySettingsBtn);
+}
+
+async function readDeckFile(input) {
+  const file = input.files?.[0];
+  if (!file) {
+    return null;
+  }
+  return {
+    format: file.name.toLowerCase().endsWith(".csv") ? "csv" : "json",
+    content: await file.text()
+  };
+}
+
+async function uploadDeck() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  const [red, green] = await Promise.all([readDeckFile(ui.redDeckFile), readDeckFile(ui.greenDeckFile)]);
+  if (!red && !green) {
+    setStatus("Choose a red or green deck file first.");
+    return;
+  }
+  request("deck:upload", { roomCode: state.roomCode, red, green }, ui.uploadDeckBtn);
+  ui.redDeckFile.value = "";
+  ui.greenDeckFile.value = "";
+}
+
+function resetDeck() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  request("deck:reset", { roomCode: state.roomCode }, ui.resetDeckBtn);
 }
 
 function toggleReady() {
   if (!state.socket || !state.roomCode) {
     return;
   }
-  state.socket.emit("room:ready", { roomCode: state.roomCode });
+  const me = state.room?.players?.find((player) => player.id === state.playerId);
+  request("room:ready", { roomCode: state.roomCode, ready: !me?.ready }, ui.readyBtn);
 }
 
 function startGame() {
@@ -288,11 +1118,11 @@ function startGame() {
   }
 
   if (state.room?.phase === "game_over") {
-    state.socket.emit("game:rematch", { roomCode: state.roomCode });
+    request("game:rematch", { roomCode: state.roomCode }, ui.startBtn);
     return;
   }
 
-  state.socket.emit("game:start", { roomCode: state.roomCode });
+  request("game:start", { roomCode: state.roomCode }, ui.startBtn);
 }
 
 function submitCard() {
@@ -301,7 +1131,28 @@ function submitCard() {
     return;
   }
 
-  state.socket.emit("round:submit", { roomCode: state.roomCode, cardId });
+  request("round:submit", { roomCode: state.roomCode, cardId }, ui.submitBtn);
+}
+
+function takeMulligan() {
+  const cardIds = [...ui.mulliganCards.selectedOptions].map((option) => option.value);
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  if (cardIds.length === 0) {
+    setStatus("Select the cards to discard first.");
+    return;
+  }
+
+  request("round:mulligan", { roomCode: state.roomCode, cardIds }, ui.mulliganBtn);
+}
+
+function toggleBadHarvest() {
+  if (!state.socket || !state.roomCode) {
+    return;
+  }
+  const me = state.room?.players?.find((player) => player.id === state.playerId);
+  request("round:bad_harvest", { roomCode: state.roomCode, support: !me?.calledHarvest }, ui.harvestBtn);
 }
 
 function judgePick() {
@@ -310,28 +1161,51 @@ function judgePick() {
     return;
   }
 
-  state.socket.emit("round:judge_pick", { roomCode: state.roomCode, submissionId });
+  if (state.room?.phase === "green_pick") {
+    request("round:choose_green", { roomCode: state.roomCode, cardId: submissionId }, ui.judgeBtn);
+    return;
+  }
+  const eventName = state.room?.phase === "vote" ? "round:vote" : "round:judge_pick";
+  request(eventName, { roomCode: state.roomCode, submissionId }, ui.judgeBtn);
 }
 
-function nextRound() {
+async function sendChat() {
+  const text = ui.chatInput.value.trim();
+  if (!text || !state.socket || !state.roomCode) {
+    return;
+  }
+  ui.chatInput.value = "";
+  const result = await request("chat:send", { roomCode: state.roomCode, text }, ui.chatSendBtn);
+  // Hand the text back unless the player already started typing something else.
+  if (!result.ok && !ui.chatInput.value) {
+    ui.chatInput.value = text;
+  }
+}
+
+function react(submissionId, emoji) {
   if (!state.socket || !state.roomCode) {
     return;
   }
-  state.socket.emit("round:next", { roomCode: state.roomCode });
+  request("chat:react", { roomCode: state.roomCode, submissionId, emoji });
 }
 
-function init() {
-  if (!ui.panel) {
+function nextRound() {
+  if (!state.socket || !state.roomCode) {
     return;
   }
+  request("round:next", { roomCode: state.roomCode }, ui.nextBtn);
+}
 
-  if (typeof window.io !== "function") {
-    setStatus("Socket.IO client unavailable.");
+function init() {
+  if (!ui.panel) {
     return;
   }
 
+  buildPackOptions();
+  buildVariantOptions();
   ui.serverUrl.value = defaultServerUrl();
 
+  state.profile = loadProfile();
   const saved = loadIdentity();
   if (saved?.roomCode) {
     ui.roomCode.value = saved.roomCode;
@@ -340,16 +1214,56 @@ function init() {
     ui.playerName.value = saved.playerName;
     state.playerName = saved.playerName;
   }
+  // Opened from an invite link: `/r/ABC123` redirects here as `?room=ABC123`.
+  const invitedCode = new URLSearchParams(window.location.search).get("room")?.trim().toUpperCase() || "";
+  if (invitedCode) {
+    ui.roomCode.value = invitedCode;
+    window.history.replaceState(null, "", window.location.pathname);
+  }
 
   ui.createBtn.addEventListener("click", createRoom);
-  ui.joinBtn.addEventListener("click", joinRoom);
+  ui.createProfileBtn.addEventListener("click", createProfile);
+  ui.viewStatsBtn.addEventListener("click", viewStats);
+  ui.joinBtn.addEventListener("click", () => joinRoom(false));
+  ui.watchBtn.addEventListener("click", () => joinRoom(true));
+  ui.dealInBtn.addEventListener("click", toggleDealIn);
+  ui.lockBtn.addEventListener("click", toggleLock);
+  ui.addBotBtn.addEventListener("click", addBot);
   ui.readyBtn.addEventListener("click", toggleReady);
+  ui.applySettingsBtn.addEventListener("click", applySettings);
+  ui.uploadDeckBtn.addEventListener("click", uploadDeck);
+  ui.resetDeckBtn.addEventListener("click", resetDeck);
   ui.startBtn.addEventListener("click", startGame);
   ui.submitBtn.addEventListener("click", submitCard);
+  ui.mulliganBtn.addEventListener("click", takeMulligan);
+  ui.harvestBtn.addEventListener("click", toggleBadHarvest);
   ui.judgeBtn.addEventListener("click", judgePick);
   ui.nextBtn.addEventListener("click", nextRound);
+  ui.playerName.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" && !state.roomCode && ui.roomCode.value.trim()) {
+      joinRoom(false);
+    }
+  });
+  ui.chatSendBtn.addEventListener("click", sendChat);
+  ui.chatInput.maxLength = MAX_CHAT_LENGTH;
+  ui.chatInput.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      sendChat();
+    }
+  });
 
+  setInterval(renderCountdown, 500);
   render();
+
+  if (invitedCode) {
+    ui.panel.scrollIntoView();
+    if (ui.playerName.value.trim()) {
+      joinRoom(false);
+    } else {
+      setStatus(`Enter your name and press Join Room to join room ${invitedCode}.`);
+      ui.playerName.focus();
+    }
+  }
 }
 
 init();
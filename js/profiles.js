@@ -0,0 +1,128 @@
+// Lifetime player stats, derived from the match history the rules engine records (`HistoryEvent` in
+// js/rules.js). DOM-free so the server's profile store and the single-player localStorage profile share it.
+
+export const MAX_JUDGING_HISTORY = 20;
+export const MAX_TRACKED_CARDS = 100;
+
+/**
+ * @typedef {Object} JudgedRound
+ * @property {number} at epoch ms
+ * @property {string|null} greenCard
+ * @property {string|null} winningCard
+ * @property {string|null} winnerName null when Apple Potpourri won
+ */
+
+/**
+ * @typedef {Object} ProfileStats
+ * @property {number} gamesPlayed
+ * @property {number} wins games finished on top of the leaderboard
+ * @property {number} roundWins
+ * @property {number} roundsJudged
+ * @property {JudgedRound[]} judgingHistory most recent first, at most `MAX_JUDGING_HISTORY`
+ * @property {Record<string, number>} cardWins round wins per red card text. Keys are card text, so tallies
+ *   are kept in null-prototype objects: a card called `constructor` or `__proto__` is just another key
+ */
+
+/**
+ * @typedef {Object} Profile
+ * @property {string} id
+ * @property {string} name
+ * @property {number} createdAt
+ * @property {number} updatedAt
+ * @property {ProfileStats} stats
+ */
+
+/** @returns {ProfileStats} */
+export function createProfileStats() {
+  return { gamesPlayed: 0, wins: 0, roundWins: 0, roundsJudged: 0, judgingHistory: [], cardWins: createCardWins() };
+}
+
+/** @param {Array<[string, number]>} entries */
+function createCardWins(entries = []) {
+  const cardWins = Object.create(null);
+  entries.forEach(([text, wins]) => {
+    cardWins[text] = wins;
+  });
+  return cardWins;
+}
+
+/**
+ * Reduces one finished game's events to a per-player stats delta, keyed by the game's player ids.
+ * Only players still seated at `game_end` count as having played the game.
+ * @param {import("./rules.js").HistoryEvent[]} events
+ * @returns {Map<string, ProfileStats>}
+ */
+export function summarizeMatch(events) {
+  const summaries = new Map();
+  const names = new Map();
+  const summaryFor = (playerId) => {
+    if (!summaries.has(playerId)) {
+      summaries.set(playerId, createProfileStats());
+    }
+    return summaries.get(playerId);
+  };
+  let greenCard = null;
+
+  events.forEach((event) => {
+    if (event.type === "game_start" || event.type === "round_start") {
+      event.players.forEach((player) => names.set(player.id, player.name));
+    } else if (event.type === "green_card") {
+      greenCard = event.card.text;
+    } else if (event.type === "round_end") {
+      const winningSubmission = event.submissions.find((submission) => submission.id === event.winningSubmissionId);
+      if (event.winnerId && winningSubmission) {
+        const winner = summaryFor(event.winnerId);
+        winner.roundWins += 1;
+        winner.cardWins[winningSubmission.card.text] = (winner.cardWins[winningSubmission.card.text] || 0) + 1;
+      }
+      if (event.judgeId) {
+        const judge = summaryFor(event.judgeId);
+        judge.roundsJudged += 1;
+        judge.judgingHistory.unshift({
+          at: event.at,
+          greenCard,
+          winningCard: winningSubmission?.card.text ?? null,
+          winnerName: event.winnerId ? names.get(event.winnerId) ?? null : null
+        });
+      }
+    } else if (event.type === "game_end") {
+      event.leaderboard.forEach((entry, index) => {
+        const summary = summaryFor(entry.id);
+        summary.gamesPlayed += 1;
+        summary.wins += index === 0 ? 1 : 0;
+      });
+    }
+  });
+
+  return summaries;
+}
+
+/**
+ * Adds a `summarizeMatch` delta to lifetime `stats`, trimming the judging history and card tallies.
+ * @param {ProfileStats} stats
+ * @param {ProfileStats} delta
+ * @returns {ProfileStats}
+ */
+export function mergeProfileStats(stats, delta) {
+  const cardWins = createCardWins(Object.entries(stats.cardWins));
+  Object.entries(delta.cardWins).forEach(([text, count]) => {
+    cardWins[text] = (cardWins[text] || 0) + count;
+  });
+
+  return {
+    gamesPlayed: stats.gamesPlayed + delta.gamesPlayed,
+    wins: stats.wins + delta.wins,
+    roundWins: stats.roundWins + delta.roundWins,
+    roundsJudged: stats.roundsJudged + delta.roundsJudged,
+    judgingHistory: [...delta.judgingHistory, ...stats.judgingHistory].slice(0, MAX_JUDGING_HISTORY),
+    cardWins: createCardWins(getTopCards({ cardWins }, MAX_TRACKED_CARDS).map(({ text, wins }) => [text, wins]))
+  };
+}
+
+/** @returns {Array<{ text: string, wins: number }>} the red cards that won `stats`' owner the most rounds */
+export function getTopCards(stats, limit = 5) {
+  return Object.entries(stats.cardWins)
+    .map(([text, wins]) => ({ text, wins }))
+    .sort((a, b) => b.wins - a.wins || a.text.localeCompare(b.text))
+    .slice(0, limit);
+}
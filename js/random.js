@@ -0,0 +1,92 @@
+// Seedable random numbers for everything that decides how a game plays out: shuffles, draws, house cards,
+// tie-breaks, and AI choices. The generator state is plain data kept on the game, so it is saved, restored,
+// and copied between processes with the rest of the game, and a game started from the same seed with the
+// same moves plays out the same way. DOM-free so single-player and the server share it.
+
+/**
+ * @typedef {Object} RandomState
+ * @property {string} seed what the generator started from, recorded so the game can be replayed
+ * @property {number[]} state four 32-bit words of sfc32 state
+ */
+
+const SEED_WORDS = 4;
+// Outputs thrown away after seeding, so seeds that differ by a character do not start out alike.
+const WARMUP_DRAWS = 15;
+
+/**
+ * A fresh seed with 128 bits of entropy, as 32 hex characters. Far too many to guess from a dealt hand,
+ * so an unseeded game's deck order stays secret.
+ */
+export function createSeed() {
+  return [...crypto.getRandomValues(new Uint32Array(SEED_WORDS))]
+    .map((word) => word.toString(16).padStart(8, "0"))
+    .join("");
+}
+
+/** cyrb128: hashes a string of any length into four 32-bit words. */
+function hashSeed(seed) {
+  let h1 = 1779033703;
+  let h2 = 3144134277;
+  let h3 = 1013904242;
+  let h4 = 2773480762;
+  for (let index = 0; index < seed.length; index += 1) {
+    const code = seed.charCodeAt(index);
+    h1 = h2 ^ Math.imul(h1 ^ code, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ code, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ code, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ code, 2716044847);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044847);
+  h1 ^= h2 ^ h3 ^ h4;
+  return [h1, h2 ^ h1, h3 ^ h1, h4 ^ h1].map((word) => word >>> 0);
+}
+
+/**
+ * @param {string} [seed] any string; a fresh one from `createSeed` when missing
+ * @returns {RandomState}
+ */
+export function createRandom(seed = createSeed()) {
+  const random = { seed: String(seed), state: hashSeed(String(seed)) };
+  for (let draw = 0; draw < WARMUP_DRAWS; draw += 1) {
+    nextRandom(random);
+  }
+  return random;
+}
+
+/** sfc32. Advances `random` and returns a number in [0, 1), like `Math.random`. */
+export function nextRandom(random) {
+  let [a, b, c, d] = random.state;
+  const t = (((a + b) | 0) + d) | 0;
+  d = (d + 1) | 0;
+  a = b ^ (b >>> 9);
+  b = (c + (c << 3)) | 0;
+  c = (c << 21) | (c >>> 11);
+  c = (c + t) | 0;
+  random.state = [a >>> 0, b >>> 0, c >>> 0, d >>> 0];
+  return (t >>> 0) / 4294967296;
+}
+
+/** @returns {number} a whole number from 0 up to, but not including, `max` */
+export function randomInt(random, max) {
+  return Math.floor(nextRandom(random) * max);
+}
+
+/** @returns {*} a random entry of `list`, or null when it is empty */
+export function pickRandom(random, list) {
+  return list.length > 0 ? list[randomInt(random, list.length)] : null;
+}
+
+/** Fisher-Yates. Returns a shuffled copy and leaves `cards` alone. */
+export function shuffle(random, cards) {
+  const next = [...cards];
+  for (let index = next.length - 1; index > 0; index -= 1) {
+    const swapIndex = randomInt(random, index + 1);
+    const temp = next[index];
+    next[index] = next[swapIndex];
+    next[swapIndex] = temp;
+  }
+  return next;
+}
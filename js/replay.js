@@ -0,0 +1,323 @@
+// Replay viewer for finished multiplayer games. Loads match logs from the server's
+// `GET /rooms/:code/history` route or from an exported JSON file, then steps through them round by round.
+
+// Where the multiplayer page keeps the seat it last joined. The server only shares a room's history with its seats.
+const IDENTITY_STORAGE_KEY = "pearstopears:multiplayerIdentity";
+
+const state = {
+  matches: [],
+  replay: null,
+  roundIndex: 0
+};
+
+const ui = {
+  status: document.getElementById("replay-status"),
+  serverUrl: document.getElementById("replay-server-url"),
+  roomCode: document.getElementById("replay-room-code"),
+  file: document.getElementById("replay-file"),
+  loadBtn: document.getElementById("replay-load"),
+  downloadLink: document.getElementById("replay-download"),
+  matchSelect: document.getElementById("replay-match"),
+  prevBtn: document.getElementById("replay-prev"),
+  nextBtn: document.getElementById("replay-next"),
+  players: document.getElementById("replay-players"),
+  roundInfo: document.getElementById("replay-round-info"),
+  notes: document.getElementById("replay-notes"),
+  greenCard: document.getElementById("replay-green-card"),
+  submissions: document.getElementById("replay-submissions")
+};
+
+function setStatus(message) {
+  ui.status.textContent = message;
+}
+
+/** The server that served this page, or one on this machine when the page was opened from a file. */
+function defaultServerUrl() {
+  return window.location.protocol.startsWith("http") ? window.location.origin : "http://localhost:3000";
+}
+
+/** The session token the multiplayer page saved for `roomCode`, or an empty string. */
+function loadSessionToken(roomCode) {
+  try {
+    const identity = JSON.parse(localStorage.getItem(IDENTITY_STORAGE_KEY) || "null");
+    return identity?.roomCode === roomCode && typeof identity.sessionToken === "string" ? identity.sessionToken : "";
+  } catch {
+    return "";
+  }
+}
+
+function describeCards(count) {
+  return `${count} card${count === 1 ? "" : "s"}`;
+}
+
+/**
+ * Groups a match's events into rounds. Player names are collected from `game_start`, `round_start`,
+ * and `player_left`, so players who joined or left mid-game still have one.
+ * @param {import("./rules.js").HistoryEvent[]} events
+ */
+function buildReplay(events) {
+  const names = new Map();
+  const rounds = [];
+  let current = null;
+  let leaderboard = [];
+  let seed = null;
+
+  events.forEach((event) => {
+    if (event.type === "game_start" || event.type === "round_start") {
+      event.players.forEach((player) => names.set(player.id, player.name));
+    }
+    if (event.type === "player_left") {
+      names.set(event.playerId, event.name);
+    }
+
+    if (event.type === "game_start") {
+      seed = event.seed || null;
+    }
+
+    if (event.type === "round_start") {
+      current = { round: event.round, judgeId: event.judgeId, players: event.players, greenCard: null, notes: [] };
+      rounds.push(current);
+    } else if (event.type === "game_end") {
+      leaderboard = event.leaderboard;
+    } else if (!current) {
+      return;
+    } else if (event.type === "green_card") {
+      current.greenCard = event.card;
+      if (event.choices) {
+        current.notes.push({ type: event.type, text: `Chosen from ${describeCards(event.choices.length)}.` });
+      }
+    } else if (event.type === "mulligan") {
+      const cost = event.cost === "point" ? "paid a point" : "sat out the round";
+      current.notes.push({ ...event, text: `redrew ${describeCards(event.drawn.length)} and ${cost}.` });
+    } else if (event.type === "bad_harvest") {
+      current.notes.push({ ...event, text: "Bad Harvest: every hand was reshuffled and dealt again." });
+    } else if (event.type === "player_left") {
+      current.notes.push({ ...event, text: "left the game." });
+    } else if (event.type === "round_rerun") {
+      const text = "lost their connection while judging, so the round was replayed.";
+      current.notes.push({ ...event, playerId: event.judgeId, text });
+    } else if (event.type === "round_end" || event.type === "round_abandoned") {
+      current.end = event;
+    }
+  });
+
+  return { names, rounds, leaderboard, seed };
+}
+
+function nameOf(playerId) {
+  if (playerId === null) {
+    return "Apple Potpourri";
+  }
+  return state.replay?.names.get(playerId) || "Unknown player";
+}
+
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+/** Card text comes from match logs that may include uploaded decks, so it is only set through `textContent`. */
+function createCard(colorClass, label, card, ownerName = null) {
+  const element = document.createElement("div");
+  element.className = `card ${colorClass} fade-in`;
+  element.append(createTextElement("div", "card-label", label), createTextElement("div", "card-title", card.text));
+  if (ownerName !== null) {
+    element.append(createTextElement("div", "card-owner", ownerName));
+  }
+  return element;
+}
+
+function renderMatchOptions() {
+  ui.matchSelect.replaceChildren(
+    ...state.matches.map((match, index) => {
+      const option = document.createElement("option");
+      option.value = String(index);
+      option.textContent = `Game ${index + 1} | ended ${new Date(match.endedAt).toLocaleString()}`;
+      return option;
+    })
+  );
+}
+
+function selectMatch(index) {
+  const match = state.matches[index];
+  state.replay = match ? buildReplay(match.events) : null;
+  state.roundIndex = 0;
+  render();
+}
+
+function renderStandings(round) {
+  const end = round.end?.type === "round_end" ? round.end : null;
+  const standings = round.players
+    .map((player) => ({
+      id: player.id,
+      score: end ? (end.scores[player.id] ?? player.score) : player.score,
+      delta: end?.scoreDeltas[player.id] || 0
+    }))
+    .sort((a, b) => b.score - a.score);
+
+  ui.players.replaceChildren(
+    ...standings.map((entry) => {
+      const pill = createTextElement("div", "player-pill", "");
+      if (entry.id === round.judgeId) {
+        pill.classList.add("judge");
+      }
+      if (end && entry.id === end.winnerId) {
+        pill.classList.add("winner");
+      }
+      const delta = entry.delta === 0 ? "" : ` (${entry.delta > 0 ? "+" : ""}${entry.delta})`;
+      pill.append(
+        createTextElement("span", "name", nameOf(entry.id)),
+        createTextElement("span", "score", `${entry.score}${delta}`)
+      );
+      return pill;
+    })
+  );
+}
+
+function renderSubmissions(round) {
+  const end = round.end;
+  if (!end || end.submissions.length === 0) {
+    ui.submissions.replaceChildren(createTextElement("p", "muted", "No cards were judged this round."));
+    return;
+  }
+
+  const voteCounts = new Map();
+  Object.values(end.votes || {}).forEach((submissionId) => {
+    voteCounts.set(submissionId, (voteCounts.get(submissionId) || 0) + 1);
+  });
+
+  ui.submissions.replaceChildren(
+    ...end.submissions.map((submission) => {
+      const votes = end.votes ? ` | ${voteCounts.get(submission.id) || 0} votes` : "";
+      const card = createCard("card-red", "Red Card", submission.card, `${nameOf(submission.playerId)}${votes}`);
+      if (submission.id === end.winningSubmissionId) {
+        card.classList.add("winner");
+      }
+      return card;
+    })
+  );
+}
+
+function renderNotes(round) {
+  const lines = round.notes.map((note) => (note.playerId ? `${nameOf(note.playerId)} ${note.text}` : note.text));
+  if (round.end?.type === "round_abandoned") {
+    lines.push("The round ended without a winner.");
+  }
+  const isLastRound = state.roundIndex === state.replay.rounds.length - 1;
+  if (isLastRound && state.replay.leaderboard.length > 0) {
+    const champion = state.replay.leaderboard[0];
+    lines.push(`Game over. ${champion.name} wins with ${champion.score} points.`);
+  }
+  ui.notes.replaceChildren(...lines.map((line) => createTextElement("li", "", line)));
+}
+
+function render() {
+  const rounds = state.replay?.rounds || [];
+  const round = rounds[state.roundIndex] || null;
+  ui.matchSelect.disabled = state.matches.length === 0;
+  ui.prevBtn.disabled = !round || state.roundIndex === 0;
+  ui.nextBtn.disabled = !round || state.roundIndex >= rounds.length - 1;
+
+  if (!round) {
+    ui.roundInfo.textContent = state.matches.length > 0 ? "This game has no rounds." : "No game loaded.";
+    [ui.players, ui.notes, ui.greenCard, ui.submissions].forEach((container) => container.replaceChildren());
+    return;
+  }
+
+  const end = round.end?.type === "round_end" ? round.end : null;
+  const winner = end ? nameOf(end.winnerId) : "-";
+  ui.roundInfo.textContent = `Round ${round.round} (${state.roundIndex + 1} of ${rounds.length}) | Judge: ${
+    round.judgeId ? nameOf(round.judgeId) : "everyone votes"
+  } | Winner: ${winner}${state.replay.seed ? ` | Seed: ${state.replay.seed}` : ""}`;
+  ui.greenCard.replaceChildren(...(round.greenCard ? [createCard("card-green", "Green Card", round.greenCard)] : []));
+  renderStandings(round);
+  renderSubmissions(round);
+  renderNotes(round);
+}
+
+function loadMatches(data, source) {
+  if (!data || !Array.isArray(data.matches)) {
+    setStatus("That file is not a Pears to Pears history export.");
+    return;
+  }
+  state.matches = data.matches;
+  renderMatchOptions();
+  selectMatch(state.matches.length - 1);
+  ui.matchSelect.value = String(state.matches.length - 1);
+  setStatus(
+    state.matches.length > 0
+      ? `Loaded ${state.matches.length} finished game${state.matches.length === 1 ? "" : "s"} from ${source}.`
+      : `No finished games in ${source} yet.`
+  );
+}
+
+async function loadFromServer() {
+  const serverUrl = ui.serverUrl.value.trim() || defaultServerUrl();
+  const roomCode = ui.roomCode.value.trim().toUpperCase();
+  if (!roomCode) {
+    setStatus("Room code is required.");
+    return;
+  }
+
+  const historyUrl = `${serverUrl}/rooms/${encodeURIComponent(roomCode)}/history`;
+  const sessionToken = loadSessionToken(roomCode);
+  try {
+    const response = await fetch(historyUrl, {
+      headers: sessionToken ? { Authorization: `Bearer ${sessionToken}` } : {}
+    });
+    const data = await response.json();
+    if (!response.ok) {
+      setStatus(data?.error || "Could not load the room's history.");
+      return;
+    }
+    // A plain link to the route would not carry the session token, so the download is the JSON already loaded.
+    if (ui.downloadLink.href.startsWith("blob:")) {
+      URL.revokeObjectURL(ui.downloadLink.href);
+    }
+    ui.downloadLink.href = URL.createObjectURL(new Blob([JSON.stringify(data)], { type: "application/json" }));
+    ui.downloadLink.download = `pearstopears-${data.roomCode}-history.json`;
+    ui.downloadLink.classList.remove("hidden");
+    loadMatches(data, `room ${roomCode}`);
+  } catch {
+    setStatus(`Could not reach ${serverUrl}.`);
+  }
+}
+
+async function loadFromFile() {
+  const file = ui.file.files?.[0];
+  if (!file) {
+    return;
+  }
+  ui.downloadLink.classList.add("hidden");
+  try {
+    loadMatches(JSON.parse(await file.text()), file.name);
+  } catch {
+    setStatus("History file JSON could not be parsed.");
+  }
+}
+
+function step(offset) {
+  state.roundIndex += offset;
+  render();
+}
+
+function init() {
+  const params = new URLSearchParams(window.location.search);
+  ui.serverUrl.value = params.get("server") || defaultServerUrl();
+  ui.roomCode.value = params.get("room") || "";
+
+  ui.loadBtn.addEventListener("click", loadFromServer);
+  ui.file.addEventListener("change", loadFromFile);
+  ui.matchSelect.addEventListener("change", () => selectMatch(Number(ui.matchSelect.value)));
+  ui.prevBtn.addEventListener("click", () => step(-1));
+  ui.nextBtn.addEventListener("click", () => step(1));
+
+  render();
+  if (ui.roomCode.value) {
+    loadFromServer();
+  }
+}
+
+init();
@@ -0,0 +1,91 @@
+// Incremental room updates. The server diffs each public room state against the last one it sent and
+// broadcasts only what changed; clients apply the changes to their copy. DOM-free so the server, the
+// multiplayer client, and the load simulator share one patch format.
+
+/**
+ * One change to a room state. `path` leads from the root through object keys and array indexes. With `value`
+ * the entry at `path` is set to it (added if missing); without it the entry is deleted.
+ * @typedef {Object} PatchOperation
+ * @property {Array<string|number>} path
+ * @property {*} [value]
+ */
+
+const isPlainObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+function diffInto(previous, next, path, patch) {
+  if (Object.is(previous, next)) {
+    return;
+  }
+  if (isPlainObject(previous) && isPlainObject(next)) {
+    Object.keys(next).forEach((key) => {
+      if (Object.hasOwn(previous, key)) {
+        diffInto(previous[key], next[key], [...path, key], patch);
+      } else {
+        patch.push({ path: [...path, key], value: next[key] });
+      }
+    });
+    Object.keys(previous)
+      .filter((key) => !Object.hasOwn(next, key))
+      .forEach((key) => patch.push({ path: [...path, key] }));
+    return;
+  }
+  // Lists that grew or shrank are sent whole; lists of the same length, like the players between joins,
+  // only send the entries that changed.
+  if (Array.isArray(previous) && Array.isArray(next) && previous.length === next.length) {
+    next.forEach((entry, index) => diffInto(previous[index], entry, [...path, index], patch));
+    return;
+  }
+  patch.push({ path, value: next });
+}
+
+/**
+ * Lists what changed between two JSON-like states. Applying the result to `previous` with `applyRoomPatch`
+ * gives a state equal to `next`.
+ * @returns {PatchOperation[]} empty when nothing changed
+ */
+export function diffRoomState(previous, next) {
+  const patch = [];
+  diffInto(previous, next, [], patch);
+  return patch;
+}
+
+function applyOperation(target, path, operation) {
+  if (path.length === 0) {
+    return operation.value;
+  }
+  const [key, ...rest] = path;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  if (rest.length > 0) {
+    copy[key] = applyOperation(target?.[key], rest, operation);
+  } else if (Object.hasOwn(operation, "value")) {
+    copy[key] = operation.value;
+  } else {
+    delete copy[key];
+  }
+  return copy;
+}
+
+/**
+ * Applies a `diffRoomState` patch. Returns a new state and leaves `state` alone, so a client can still
+ * compare against what it showed before.
+ * @param {object} state
+ * @param {PatchOperation[]} patch
+ */
+export function applyRoomPatch(state, patch) {
+  return patch.reduce((current, operation) => applyOperation(current, operation.path, operation), state);
+}
+
+/**
+ * What a client holding `state` does with an incoming `room:patch`: `apply` the next one in sequence, `ignore`
+ * one for another room or one it already has, and `resync` after a gap, since a patch missed in between
+ * cannot be rebuilt.
+ * @param {{ roomCode: string, seq: number }|null} state
+ * @param {{ roomCode: string, seq: number }} payload
+ * @returns {"apply"|"ignore"|"resync"}
+ */
+export function checkRoomPatch(state, payload) {
+  if (!state || payload?.roomCode !== state.roomCode || payload.seq <= state.seq) {
+    return "ignore";
+  }
+  return payload.seq === state.seq + 1 ? "apply" : "resync";
+}
@@ -0,0 +1,1091 @@
+// Pears to Pears rules engine: decks, hands, judge rotation, submissions, scoring, and game over.
+// Shared by single-player (js/game.js) and the multiplayer server. It must stay free of DOM,
+// socket, and timer code. Transitions mutate the game state they are given and report
+// rejected moves as error messages instead of throwing. Every random choice draws from `game.random`.
+
+import { createRandom, randomInt, shuffle } from "./random.js";
+
+/**
+ * @typedef {Object} Card
+ * @property {string} id
+ * @property {string} text
+ * @property {string[]} tags
+ */
+
+/**
+ * @typedef {Object} Submission
+ * @property {string} id
+ * @property {string|null} playerId null for the Apple Potpourri house card
+ * @property {Card} card
+ */
+
+/**
+ * Callers may keep extra fields on players (names, sockets, bot flags); the rules only read these.
+ * @typedef {Object} RulesPlayer
+ * @property {string} id
+ * @property {string} name
+ * @property {number} score
+ * @property {boolean} connected
+ */
+
+/**
+ * @typedef {Object} GameRules
+ * @property {number} handSize
+ * @property {number} winScore
+ * @property {number} roundLimit 0 means no limit
+ * @property {"judge"|"vote"} mode `judge` rotates a judge; `vote` has everyone submit and then vote
+ * @property {"random"|"earliest"|"underdog"} tieBreak how `vote` mode settles a tie for most votes
+ * @property {string[]} variants enabled house rules, keys of `VARIANTS`
+ * @property {number} pickinCount how many cards are judged under Apple Pickin'
+ * @property {"skip"|"point"} mulliganCost what a mulligan costs: sitting out the round, or a point
+ */
+
+/**
+ * One entry in a game's history. Extra fields depend on `type`:
+ * - `game_start`: `players`, `settings`, `seed` (start a game with it to deal the same cards)
+ * - `round_start`: `judgeId`, `players` (ids, names, and scores going into the round)
+ * - `green_card`: `card`, plus `choices` under Judge's Choice
+ * - `deal`: `playerId`, `cards` drawn into that player's hand
+ * - `submit`: `playerId` (null for the Apple Potpourri card), `submissionId`, `card`
+ * - `mulligan`: `playerId`, `discarded`, `drawn`, `cost`
+ * - `bad_harvest`: `playerIds` who called for it; redeals follow as `deal` events
+ * - `round_end`: `judgeId`, `winnerId`, `winningSubmissionId`, `submissions`, `votes`, `scoreDeltas`, `scores`
+ * - `round_abandoned`: `submissions` discarded without a winner
+ * - `round_rerun`: `judgeId` who dropped, `submissions` returned to their owners; the round restarts at `submit`
+ * - `player_left`: `playerId`, `name`
+ * - `game_end`: `leaderboard`
+ * @typedef {Object} HistoryEvent
+ * @property {string} type
+ * @property {number} round
+ * @property {number} at epoch ms
+ */
+
+/**
+ * @typedef {Object} GameState
+ * @property {"lobby"|"green_pick"|"submit"|"judge_pick"|"vote"|"score"|"next_round"|"game_over"} phase
+ * @property {number} round
+ * @property {number} judgeIndex
+ * @property {RulesPlayer[]} players
+ * @property {Map<string, Card[]>} privateHands
+ * @property {Card[]} redDeck
+ * @property {Card[]} redDiscard
+ * @property {Card[]} greenDeck
+ * @property {Card[]} greenDiscard
+ * @property {Card|null} currentGreenCard
+ * @property {Card[]} greenChoices cards the judge picks from in `green_pick`
+ * @property {Map<string, Submission>} submissions
+ * @property {Map<string, string>} votes voter player id to submission id, `vote` mode only
+ * @property {string[]} mulligans ids of players who took a mulligan this round
+ * @property {string[]} harvestVotes ids of players calling for a Bad Harvest this round
+ * @property {number} lastHarvestRound round of the most recent Bad Harvest, 0 if none
+ * @property {HistoryEvent[]} history every deal and move of the current game, reset by `startGame`
+ * @property {import("./random.js").RandomState} random reseeded by `startGame`
+ * @property {string|null} lastWinnerId
+ * @property {string|null} winningSubmissionId
+ * @property {GameRules} settings
+ */
+
+export const GAME_MODES = ["judge", "vote"];
+// `earliest` favors the first card submitted; `underdog` favors the owner with the lowest score.
+export const TIE_BREAKS = ["random", "earliest", "underdog"];
+// `skip` sits the player out for the rest of the round; `point` costs one point instead.
+export const MULLIGAN_COSTS = ["skip", "point"];
+
+/**
+ * House-rule variants. The engine calls each enabled variant's hooks at fixed points:
+ * - `setupRound(game)` after `beginRound` has drawn the green card and dealt hands
+ * - `submissionLimit(game)` caps how many cards are played before submissions close
+ * - `closeSubmissions(game)` when submissions close, before judging or voting
+ * - `judgeAim` tells AI judges and bots to look for the `"best"` or `"worst"` fit (see `getJudgeAim`)
+ */
+export const VARIANTS = {
+  crab_apples: {
+    name: "Crab Apples",
+    description: "The judge picks the card least like the green card.",
+    judgeAim: "worst"
+  },
+  apple_potpourri: {
+    name: "Apple Potpourri",
+    description: "A random card from the deck joins the submissions anonymously. If it wins, nobody scores.",
+    closeSubmissions: addPotpourriCard
+  },
+  apple_pickin: {
+    name: "Apple Pickin'",
+    description: "Only the first cards played are judged; submissions close once that many are in.",
+    submissionLimit: (game) => game.settings.pickinCount
+  },
+  green_choice: {
+    name: "Judge's Choice",
+    description: "The judge draws three green cards and chooses which one to play.",
+    setupRound: offerGreenChoices
+  }
+};
+export const VARIANT_IDS = Object.keys(VARIANTS);
+export const GREEN_CHOICE_COUNT = 3;
+
+export const DEFAULT_RULES = {
+  handSize: 7,
+  winScore: 10,
+  roundLimit: 0,
+  mode: "judge",
+  tieBreak: "random",
+  variants: [],
+  pickinCount: 3,
+  mulliganCost: "skip"
+};
+
+/**
+ * Every move the engine can reject. Engine functions return the `message`, which single-player shows as-is;
+ * the server reports the stable `code` alongside it (see `getRuleErrorCode`).
+ */
+export const RULE_ERRORS = {
+  greenPickClosed: { code: "WRONG_PHASE", message: "The judge is not choosing a green card." },
+  notJudgeForGreen: { code: "NOT_JUDGE", message: "Only the active judge can choose the green card." },
+  greenNotOffered: { code: "GREEN_NOT_OFFERED", message: "Green card must be one of the choices." },
+  submissionsClosed: { code: "WRONG_PHASE", message: "Submissions are not open." },
+  noJudge: { code: "NO_JUDGE", message: "No active judge available." },
+  judgeCannotSubmit: { code: "JUDGE_CANNOT_SUBMIT", message: "The judge cannot submit a card." },
+  alreadySubmitted: { code: "ALREADY_SUBMITTED", message: "You already submitted this round." },
+  sittingOut: { code: "SITTING_OUT", message: "You are sitting out this round after your mulligan." },
+  cardRequired: { code: "CARD_REQUIRED", message: "Card id is required." },
+  cardNotInHand: { code: "CARD_NOT_IN_HAND", message: "Card must be in your hand." },
+  mulliganClosed: { code: "WRONG_PHASE", message: "Mulligans are only allowed while cards are being submitted." },
+  mulliganNotSeated: { code: "NOT_SEATED", message: "Only seated players can take a mulligan." },
+  judgeCannotMulligan: { code: "JUDGE_CANNOT_MULLIGAN", message: "The judge cannot take a mulligan." },
+  alreadyMulliganed: { code: "ALREADY_MULLIGANED", message: "You already took a mulligan this round." },
+  noDiscards: { code: "NO_CARDS_SELECTED", message: "Choose at least one card to discard." },
+  discardNotInHand: { code: "CARD_NOT_IN_HAND", message: "Discarded cards must be in your hand." },
+  mulliganUnaffordable: { code: "NOT_ENOUGH_POINTS", message: "You need a point to pay for a mulligan." },
+  lastSubmitter: { code: "LAST_SUBMITTER", message: "Someone has to play a card this round, so you cannot sit out." },
+  harvestClosed: { code: "WRONG_PHASE", message: "A Bad Harvest can only be called while cards are being submitted." },
+  harvestNotSeated: { code: "NOT_SEATED", message: "Only seated players can call a Bad Harvest." },
+  harvestUsed: { code: "HARVEST_USED", message: "There was already a Bad Harvest this round." },
+  judgePickClosed: { code: "WRONG_PHASE", message: "The room is not in judge pick phase." },
+  notJudgeForPick: { code: "NOT_JUDGE", message: "Only the active judge can pick the winner." },
+  winnerNotSubmitted: { code: "SUBMISSION_NOT_FOUND", message: "Winner must be one of the submitted cards." },
+  winnerNotFound: { code: "SUBMISSION_NOT_FOUND", message: "Winner not found." },
+  votingClosed: { code: "WRONG_PHASE", message: "Voting is not open." },
+  voterNotSeated: { code: "NOT_SEATED", message: "Only seated players can vote." },
+  alreadyVoted: { code: "ALREADY_VOTED", message: "You already voted this round." },
+  voteNotSubmitted: { code: "SUBMISSION_NOT_FOUND", message: "Vote must be for one of the submitted cards." },
+  ownCard: { code: "OWN_CARD", message: "You cannot vote for your own card." }
+};
+
+const RULE_ERROR_CODES = new Map(Object.values(RULE_ERRORS).map(({ code, message }) => [message, code]));
+
+/** @returns {string} the code for an engine error message, or `RULE_VIOLATION` for one not in `RULE_ERRORS` */
+export function getRuleErrorCode(message) {
+  return RULE_ERROR_CODES.get(message) || "RULE_VIOLATION";
+}
+
+const ID_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_-";
+
+/**
+ * Opaque id for a submission, drawn from the game's `random`. Callers use it for player cards too,
+ * so a house card's id looks like any other.
+ * @param {import("./random.js").RandomState} random
+ */
+export function createSubmissionId(random, length = 10) {
+  let id = "";
+  for (let index = 0; index < length; index += 1) {
+    id += ID_ALPHABET[randomInt(random, ID_ALPHABET.length)];
+  }
+  return id;
+}
+
+export function createCardPool(cards, idPrefix) {
+  return cards.map((card, index) => ({
+    id: `${idPrefix}-${index}`,
+    text: card.text,
+    tags: card.tags || []
+  }));
+}
+
+/**
+ * Red cards a game needs in play at once: a full hand per player, the replacements a mulligan draws
+ * before it discards, and the Apple Potpourri house card. Fewer and hands come up short.
+ * @param {{ handSize: number, variants: string[] }} settings
+ * @param {number} playerCount
+ */
+export function getRedCardsNeeded(settings, playerCount) {
+  const houseCards = settings.variants.includes("apple_potpourri") ? 1 : 0;
+  return (playerCount + 1) * settings.handSize + houseCards;
+}
+
+/** @returns {GameState} */
+export function createGameState(settings = DEFAULT_RULES) {
+  return {
+    phase: "lobby",
+    round: 0,
+    judgeIndex: 0,
+    players: [],
+    privateHands: new Map(),
+    redDeck: [],
+    redDiscard: [],
+    greenDeck: [],
+    greenDiscard: [],
+    currentGreenCard: null,
+    greenChoices: [],
+    submissions: new Map(),
+    votes: new Map(),
+    mulligans: [],
+    harvestVotes: [],
+    lastHarvestRound: 0,
+    history: [],
+    lastWinnerId: null,
+    winningSubmissionId: null,
+    settings: { ...settings, variants: [...(settings.variants || [])] },
+    random: createRandom()
+  };
+}
+
+function recordEvent(game, type, details = {}) {
+  game.history.push({ type, round: game.round, at: Date.now(), ...details });
+}
+
+function toCardRecord(card) {
+  return { id: card.id, text: card.text };
+}
+
+function toSubmissionRecords(game) {
+  return [...game.submissions.values()].map((submission) => ({
+    id: submission.id,
+    playerId: submission.playerId,
+    card: toCardRecord(submission.card)
+  }));
+}
+
+function recordDeal(game, playerId, cards) {
+  if (cards.length > 0) {
+    recordEvent(game, "deal", { playerId, cards: cards.map(toCardRecord) });
+  }
+}
+
+/** Score changes since the last `round_start` event, including points paid for mulligans. */
+function getScoreDeltas(game) {
+  const roundStart = game.history.findLast((event) => event.type === "round_start");
+  const before = new Map((roundStart?.players || []).map((player) => [player.id, player.score]));
+  return Object.fromEntries(
+    game.players
+      .map((player) => [player.id, player.score - (before.get(player.id) ?? 0)])
+      .filter(([, delta]) => delta !== 0)
+  );
+}
+
+function getActiveVariants(game) {
+  return (game.settings.variants || []).map((variantId) => VARIANTS[variantId]).filter(Boolean);
+}
+
+/** `"worst"` under Crab Apples, otherwise `"best"`. AI players pass this to the `js/ai.js` pickers. */
+export function getJudgeAim(game) {
+  return getActiveVariants(game).some((variant) => variant.judgeAim === "worst") ? "worst" : "best";
+}
+
+function refillDeckFromDiscard(deck, discard, random) {
+  if (deck.length > 0 || discard.length === 0) {
+    return;
+  }
+  const recycled = shuffle(random, discard);
+  discard.length = 0;
+  deck.push(...recycled);
+}
+
+/**
+ * Draws from the top of `deck` (its last card), reshuffling `discard` into it with `random` first when it runs out.
+ * @param {import("./random.js").RandomState} random
+ */
+export function drawCard(deck, discard, random) {
+  refillDeckFromDiscard(deck, discard, random);
+  return deck.pop() || null;
+}
+
+/**
+ * Merges the given pools (e.g. one per selected pack) into freshly shuffled red and green decks.
+ * @param {GameState} game
+ * @param {Card[][]} redPools
+ * @param {Card[][]} greenPools
+ */
+export function initDecks(game, redPools, greenPools) {
+  game.redDeck = shuffle(game.random, redPools.flat());
+  game.redDiscard = [];
+  game.greenDeck = shuffle(game.random, greenPools.flat());
+  game.greenDiscard = [];
+  game.currentGreenCard = null;
+  game.greenChoices = [];
+}
+
+export function getPlayerById(game, playerId) {
+  return game.players.find((player) => player.id === playerId) || null;
+}
+
+export function getConnectedPlayers(game) {
+  return game.players.filter((player) => player.connected);
+}
+
+export function ensurePlayerHand(game, playerId) {
+  if (!game.privateHands.has(playerId)) {
+    game.privateHands.set(playerId, []);
+  }
+  return game.privateHands.get(playerId);
+}
+
+/** @returns {Card[]} the cards drawn */
+function fillHand(game, hand, size) {
+  const drawn = [];
+  while (hand.length < size) {
+    const card = drawCard(game.redDeck, game.redDiscard, game.random);
+    if (!card) {
+      break;
+    }
+    hand.push(card);
+    drawn.push(card);
+  }
+  return drawn;
+}
+
+export function dealToHandSize(game) {
+  game.players.forEach((player) => {
+    recordDeal(game, player.id, fillHand(game, ensurePlayerHand(game, player.id), game.settings.handSize));
+  });
+}
+
+export function removeCardFromHand(game, playerId, cardId) {
+  const hand = ensurePlayerHand(game, playerId);
+  const cardIndex = hand.findIndex((entry) => entry.id === cardId);
+  if (cardIndex < 0) {
+    return null;
+  }
+  const [card] = hand.splice(cardIndex, 1);
+  return card || null;
+}
+
+export function isVoteMode(game) {
+  return game.settings.mode === "vote";
+}
+
+/**
+ * Returns the judge, skipping past disconnected players from `judgeIndex`. Always null in `vote` mode.
+ */
+export function getJudge(game) {
+  if (game.players.length === 0 || isVoteMode(game)) {
+    return null;
+  }
+
+  for (let offset = 0; offset < game.players.length; offset += 1) {
+    const index = (game.judgeIndex + offset) % game.players.length;
+    const candidate = game.players[index];
+    if (candidate.connected) {
+      game.judgeIndex = index;
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+export function getNextJudgeIndex(game) {
+  if (game.players.length === 0) {
+    return 0;
+  }
+
+  for (let step = 1; step <= game.players.length; step += 1) {
+    const index = (game.judgeIndex + step) % game.players.length;
+    if (game.players[index].connected) {
+      return index;
+    }
+  }
+
+  return game.judgeIndex;
+}
+
+export function toLeaderboard(players) {
+  return [...players]
+    .sort((a, b) => {
+      if (b.score !== a.score) {
+        return b.score - a.score;
+      }
+      return a.name.localeCompare(b.name);
+    })
+    .map((player) => ({ id: player.id, name: player.name, score: player.score }));
+}
+
+export function hasSubmitted(game, playerId) {
+  return [...game.submissions.values()].some((entry) => entry.playerId === playerId);
+}
+
+/** True if `playerId` paid for a mulligan by sitting out this round. */
+export function isSittingOut(game, playerId) {
+  return game.settings.mulliganCost === "skip" && game.mulligans.includes(playerId);
+}
+
+/** Connected players who can play a card this round: not the judge, and not sitting out after a mulligan. */
+function getSubmitters(game) {
+  const judge = isVoteMode(game) ? null : getJudge(game);
+  if (!isVoteMode(game) && !judge) {
+    return [];
+  }
+  return getConnectedPlayers(game).filter((player) => player.id !== judge?.id && !isSittingOut(game, player.id));
+}
+
+/**
+ * Number of connected players who owe a card this round: everyone but the judge, or everyone in `vote` mode,
+ * less anyone sitting out after a mulligan.
+ */
+export function getExpectedSubmissionCount(game) {
+  const expected = getSubmitters(game).length;
+
+  return getActiveVariants(game).reduce(
+    (limit, variant) => (variant.submissionLimit ? Math.min(limit, variant.submissionLimit(game)) : limit),
+    expected
+  );
+}
+
+/** Ends submissions and moves on to `judge_pick`, or `vote` in `vote` mode. Does nothing once they are closed. */
+export function closeSubmissions(game) {
+  if (game.phase !== "submit") {
+    return;
+  }
+  getActiveVariants(game).forEach((variant) => variant.closeSubmissions?.(game));
+  game.phase = isVoteMode(game) ? "vote" : "judge_pick";
+  resolveVotePhaseCompletion(game);
+}
+
+/** Apple Potpourri: slips a card from the red deck into the submissions at a random position. */
+function addPotpourriCard(game) {
+  if (game.submissions.size === 0) {
+    return;
+  }
+  const card = drawCard(game.redDeck, game.redDiscard, game.random);
+  if (!card) {
+    return;
+  }
+
+  const entries = [...game.submissions.entries()];
+  const submission = { id: createSubmissionId(game.random), playerId: null, card };
+  entries.splice(randomInt(game.random, entries.length + 1), 0, [submission.id, submission]);
+  game.submissions = new Map(entries);
+  recordEvent(game, "submit", { playerId: null, submissionId: submission.id, card: toCardRecord(card) });
+}
+
+/** Judge's Choice: swaps the drawn green card for a choice of `GREEN_CHOICE_COUNT` in `green_pick`. */
+function offerGreenChoices(game) {
+  if (!getJudge(game)) {
+    return;
+  }
+  const choices = [game.currentGreenCard];
+  while (choices.length < GREEN_CHOICE_COUNT) {
+    const card = drawCard(game.greenDeck, game.greenDiscard, game.random);
+    if (!card) {
+      break;
+    }
+    choices.push(card);
+  }
+  game.greenChoices = choices;
+  game.currentGreenCard = null;
+  game.phase = "green_pick";
+}
+
+/**
+ * Plays one of the `green_pick` choices on behalf of `judgeId` and opens submissions.
+ * @returns {string|null} error message, or null on success
+ */
+export function chooseGreenCard(game, judgeId, cardId) {
+  if (game.phase !== "green_pick") {
+    return RULE_ERRORS.greenPickClosed.message;
+  }
+
+  const judge = getJudge(game);
+  if (!judge || judge.id !== judgeId) {
+    return RULE_ERRORS.notJudgeForGreen.message;
+  }
+
+  const card = game.greenChoices.find((entry) => entry.id === cardId);
+  if (!card) {
+    return RULE_ERRORS.greenNotOffered.message;
+  }
+
+  recordEvent(game, "green_card", { card: toCardRecord(card), choices: game.greenChoices.map(toCardRecord) });
+  game.greenDiscard.push(...game.greenChoices.filter((entry) => entry !== card));
+  game.greenChoices = [];
+  game.currentGreenCard = card;
+  game.phase = "submit";
+  return null;
+}
+
+function discardGreenChoices(game) {
+  game.greenDiscard.push(...game.greenChoices);
+  game.greenChoices = [];
+}
+
+export function resolveSubmitPhaseCompletion(game) {
+  if (game.phase !== "submit") {
+    return;
+  }
+  const expected = getExpectedSubmissionCount(game);
+  if (expected > 0 && game.submissions.size >= expected) {
+    closeSubmissions(game);
+  }
+}
+
+function discardSubmissions(game) {
+  game.submissions.forEach((entry) => {
+    game.redDiscard.push(entry.card);
+  });
+}
+
+export function isRoundLimitReached(game) {
+  return game.settings.roundLimit > 0 && game.round >= game.settings.roundLimit;
+}
+
+export function endGame(game) {
+  recordEvent(game, "game_end", { leaderboard: toLeaderboard(game.players) });
+  discardGreenChoices(game);
+  game.phase = "game_over";
+  game.submissions.clear();
+  game.votes.clear();
+  clearRoundCalls(game);
+  game.winningSubmissionId = null;
+  game.currentGreenCard = null;
+}
+
+/**
+ * Resets scores, hands, and decks, and deals opening hands. Leaves the game in `next_round`
+ * for round 1; call `beginRound` to reveal the first green card. Pools are merged by `initDecks`.
+ * @param {string} [seed] replays the game recorded with this seed; a fresh one when missing or empty
+ */
+export function startGame(game, redPools, greenPools, seed = "") {
+  game.random = createRandom(seed || undefined);
+  game.round = 1;
+  game.phase = "next_round";
+  game.judgeIndex = 0;
+  game.submissions.clear();
+  game.votes.clear();
+  clearRoundCalls(game);
+  game.lastHarvestRound = 0;
+  game.lastWinnerId = null;
+  game.winningSubmissionId = null;
+  game.privateHands.clear();
+  game.players.forEach((player) => {
+    player.score = 0;
+    ensurePlayerHand(game, player.id);
+  });
+  game.history = [];
+  recordEvent(game, "game_start", {
+    players: game.players.map((player) => ({ id: player.id, name: player.name })),
+    settings: { ...game.settings, variants: [...game.settings.variants] },
+    seed: game.random.seed
+  });
+  initDecks(game, redPools, greenPools);
+  dealToHandSize(game);
+}
+
+/** Opens submissions: retires the last green card, draws the next one, and refills hands. */
+export function beginRound(game) {
+  game.phase = "submit";
+  game.submissions.clear();
+  game.votes.clear();
+  clearRoundCalls(game);
+  game.lastWinnerId = null;
+  game.winningSubmissionId = null;
+  recordEvent(game, "round_start", {
+    judgeId: getJudge(game)?.id ?? null,
+    players: game.players.map((player) => ({ id: player.id, name: player.name, score: player.score }))
+  });
+  if (game.currentGreenCard) {
+    game.greenDiscard.push(game.currentGreenCard);
+  }
+  discardGreenChoices(game);
+  game.currentGreenCard = drawCard(game.greenDeck, game.greenDiscard, game.random);
+  if (!game.currentGreenCard) {
+    endGame(game);
+    return;
+  }
+  dealToHandSize(game);
+  getActiveVariants(game).forEach((variant) => variant.setupRound?.(game));
+  if (game.currentGreenCard) {
+    recordEvent(game, "green_card", { card: toCardRecord(game.currentGreenCard) });
+  }
+}
+
+/**
+ * Rotates the judge and moves to `next_round`, or ends the game once the round limit is hit.
+ * Cards still sitting in an unjudged round go to the discard pile.
+ */
+export function prepareNextRound(game) {
+  if (game.phase === "submit" || game.phase === "judge_pick" || game.phase === "vote") {
+    recordEvent(game, "round_abandoned", { submissions: toSubmissionRecords(game) });
+    discardSubmissions(game);
+  }
+
+  if (isRoundLimitReached(game)) {
+    endGame(game);
+    return;
+  }
+
+  game.submissions.clear();
+  game.votes.clear();
+  clearRoundCalls(game);
+  game.judgeIndex = getNextJudgeIndex(game);
+  game.round += 1;
+  game.phase = "next_round";
+}
+
+/**
+ * Plays `cardId` from the player's hand under `submissionId`.
+ * @returns {string|null} error message, or null on success
+ */
+export function submitCard(game, playerId, cardId, submissionId) {
+  if (game.phase !== "submit") {
+    return RULE_ERRORS.submissionsClosed.message;
+  }
+
+  if (!isVoteMode(game)) {
+    const judge = getJudge(game);
+    if (!judge) {
+      return RULE_ERRORS.noJudge.message;
+    }
+
+    if (playerId === judge.id) {
+      return RULE_ERRORS.judgeCannotSubmit.message;
+    }
+  }
+
+  if (hasSubmitted(game, playerId)) {
+    return RULE_ERRORS.alreadySubmitted.message;
+  }
+
+  if (isSittingOut(game, playerId)) {
+    return RULE_ERRORS.sittingOut.message;
+  }
+
+  if (!cardId) {
+    return RULE_ERRORS.cardRequired.message;
+  }
+
+  const card = removeCardFromHand(game, playerId, cardId);
+  if (!card) {
+    return RULE_ERRORS.cardNotInHand.message;
+  }
+
+  game.submissions.set(submissionId, { id: submissionId, playerId, card });
+  recordEvent(game, "submit", { playerId, submissionId, card: toCardRecord(card) });
+  resolveSubmitPhaseCompletion(game);
+  return null;
+}
+
+function clearRoundCalls(game) {
+  game.mulligans = [];
+  game.harvestVotes = [];
+}
+
+/**
+ * Discards `cardIds` from the player's hand and draws replacements. Allowed once per round for anyone
+ * but the judge while submissions are open; the price is set by `settings.mulliganCost`.
+ * @returns {string|null} error message, or null on success
+ */
+export function takeMulligan(game, playerId, cardIds) {
+  if (game.phase !== "submit") {
+    return RULE_ERRORS.mulliganClosed.message;
+  }
+
+  const player = getPlayerById(game, playerId);
+  if (!player || !player.connected) {
+    return RULE_ERRORS.mulliganNotSeated.message;
+  }
+
+  const judge = getJudge(game);
+  if (judge && judge.id === playerId) {
+    return RULE_ERRORS.judgeCannotMulligan.message;
+  }
+
+  if (hasSubmitted(game, playerId)) {
+    return RULE_ERRORS.alreadySubmitted.message;
+  }
+
+  if (game.mulligans.includes(playerId)) {
+    return RULE_ERRORS.alreadyMulliganed.message;
+  }
+
+  const ids = [...new Set(Array.isArray(cardIds) ? cardIds : [])];
+  if (ids.length === 0) {
+    return RULE_ERRORS.noDiscards.message;
+  }
+
+  const hand = ensurePlayerHand(game, playerId);
+  if (!ids.every((cardId) => hand.some((card) => card.id === cardId))) {
+    return RULE_ERRORS.discardNotInHand.message;
+  }
+
+  if (game.settings.mulliganCost === "point" && player.score < 1) {
+    return RULE_ERRORS.mulliganUnaffordable.message;
+  }
+
+  if (
+    game.settings.mulliganCost === "skip" &&
+    game.submissions.size === 0 &&
+    getSubmitters(game).every((submitter) => submitter.id === playerId)
+  ) {
+    return RULE_ERRORS.lastSubmitter.message;
+  }
+
+  const discarded = ids.map((cardId) => removeCardFromHand(game, playerId, cardId));
+  // Draw before discarding so a reshuffle cannot hand the same cards straight back.
+  const drawn = fillHand(game, hand, hand.length + discarded.length);
+  game.redDiscard.push(...discarded);
+  game.mulligans.push(playerId);
+  if (game.settings.mulliganCost === "point") {
+    player.score -= 1;
+  }
+  recordEvent(game, "mulligan", {
+    playerId,
+    discarded: discarded.map(toCardRecord),
+    drawn: drawn.map(toCardRecord),
+    cost: game.settings.mulliganCost
+  });
+
+  resolveSubmitPhaseCompletion(game);
+  return null;
+}
+
+/** Calls needed for a Bad Harvest: a strict majority of connected players. */
+export function getHarvestVotesNeeded(game) {
+  return Math.floor(getConnectedPlayers(game).length / 2) + 1;
+}
+
+/** Bad Harvest calls from players who are still connected. */
+export function countHarvestVotes(game) {
+  return game.harvestVotes.filter((playerId) => getPlayerById(game, playerId)?.connected).length;
+}
+
+/**
+ * Adds or withdraws `playerId`'s call for a Bad Harvest while submissions are open. The judge may call too.
+ * @returns {string|null} error message, or null on success
+ */
+export function callBadHarvest(game, playerId, support = true) {
+  if (game.phase !== "submit") {
+    return RULE_ERRORS.harvestClosed.message;
+  }
+
+  const player = getPlayerById(game, playerId);
+  if (!player || !player.connected) {
+    return RULE_ERRORS.harvestNotSeated.message;
+  }
+
+  if (game.lastHarvestRound === game.round) {
+    return RULE_ERRORS.harvestUsed.message;
+  }
+
+  game.harvestVotes = game.harvestVotes.filter((id) => id !== playerId);
+  if (support) {
+    game.harvestVotes.push(playerId);
+  }
+  resolveHarvestVote(game);
+  return null;
+}
+
+/**
+ * Once a majority calls for it, every hand goes back into the red deck with the discard pile, the deck
+ * is reshuffled, and each player is dealt as many cards as they held. Submitted cards stay in play.
+ * @returns {boolean} true if a Bad Harvest happened
+ */
+export function resolveHarvestVote(game) {
+  if (game.phase !== "submit" || game.harvestVotes.length === 0) {
+    return false;
+  }
+  if (countHarvestVotes(game) < getHarvestVotesNeeded(game)) {
+    return false;
+  }
+
+  recordEvent(game, "bad_harvest", { playerIds: [...game.harvestVotes] });
+  const handSizes = new Map();
+  game.privateHands.forEach((hand, playerId) => {
+    handSizes.set(playerId, hand.length);
+    game.redDeck.push(...hand);
+    hand.length = 0;
+  });
+  game.redDeck = shuffle(game.random, [...game.redDeck, ...game.redDiscard]);
+  game.redDiscard = [];
+  handSizes.forEach((size, playerId) => {
+    recordDeal(game, playerId, fillHand(game, ensurePlayerHand(game, playerId), size));
+  });
+
+  game.harvestVotes = [];
+  game.lastHarvestRound = game.round;
+  return true;
+}
+
+/**
+ * Scores `submission`, discards the round's cards, and moves to `score` or `game_over`.
+ * A winning Apple Potpourri card scores for nobody.
+ * @returns {boolean} false if the submission's owner is no longer seated
+ */
+export function applyJudgePick(game, submission) {
+  const winner = submission.playerId === null ? null : getPlayerById(game, submission.playerId);
+  if (!winner && submission.playerId !== null) {
+    return false;
+  }
+
+  const submissions = toSubmissionRecords(game);
+  discardSubmissions(game);
+  game.winningSubmissionId = submission.id;
+  game.lastWinnerId = winner ? winner.id : null;
+  if (winner) {
+    winner.score += 1;
+  }
+  recordEvent(game, "round_end", {
+    judgeId: getJudge(game)?.id ?? null,
+    winnerId: game.lastWinnerId,
+    winningSubmissionId: submission.id,
+    submissions,
+    votes: isVoteMode(game) ? Object.fromEntries(game.votes) : null,
+    scoreDeltas: getScoreDeltas(game),
+    scores: Object.fromEntries(game.players.map((player) => [player.id, player.score]))
+  });
+
+  if ((winner && winner.score >= game.settings.winScore) || isRoundLimitReached(game)) {
+    endGame(game);
+    return true;
+  }
+
+  game.phase = "score";
+  dealToHandSize(game);
+  return true;
+}
+
+/**
+ * Picks the round winner on behalf of `judgeId`.
+ * @returns {string|null} error message, or null on success
+ */
+export function judgePick(game, judgeId, submissionId) {
+  if (game.phase !== "judge_pick") {
+    return RULE_ERRORS.judgePickClosed.message;
+  }
+
+  const judge = getJudge(game);
+  if (!judge || judge.id !== judgeId) {
+    return RULE_ERRORS.notJudgeForPick.message;
+  }
+
+  const winningSubmission = game.submissions.get(submissionId) || null;
+  if (!winningSubmission) {
+    return RULE_ERRORS.winnerNotSubmitted.message;
+  }
+
+  if (!applyJudgePick(game, winningSubmission)) {
+    return RULE_ERRORS.winnerNotFound.message;
+  }
+  return null;
+}
+
+export function hasVoted(game, playerId) {
+  return game.votes.has(playerId);
+}
+
+/** Connected players who can vote this round: anyone with at least one submission that isn't theirs. */
+export function getEligibleVoters(game) {
+  const submissions = [...game.submissions.values()];
+  return getConnectedPlayers(game).filter((player) => submissions.some((entry) => entry.playerId !== player.id));
+}
+
+/** @returns {Map<string, number>} votes per submission id, including submissions with none */
+export function countVotes(game) {
+  const counts = new Map([...game.submissions.keys()].map((submissionId) => [submissionId, 0]));
+  game.votes.forEach((submissionId) => {
+    if (counts.has(submissionId)) {
+      counts.set(submissionId, counts.get(submissionId) + 1);
+    }
+  });
+  return counts;
+}
+
+function breakTie(game, tied) {
+  if (game.settings.tieBreak === "earliest") {
+    return tied[0];
+  }
+  if (game.settings.tieBreak === "underdog") {
+    const scoreOf = (submission) => getPlayerById(game, submission.playerId)?.score ?? Infinity;
+    return tied.reduce((best, submission) => (scoreOf(submission) < scoreOf(best) ? submission : best));
+  }
+  return tied[randomInt(game.random, tied.length)];
+}
+
+/**
+ * Scores the most-voted submission, settling ties with `settings.tieBreak`. Submissions are kept
+ * in play order, so `earliest` picks the first card played. With no votes at all, every card ties.
+ * @returns {boolean} false if there was nothing to score
+ */
+export function tallyVotes(game) {
+  const counts = countVotes(game);
+  if (counts.size === 0) {
+    return false;
+  }
+  const topCount = Math.max(...counts.values());
+  const tied = [...game.submissions.values()].filter((submission) => counts.get(submission.id) === topCount);
+  return applyJudgePick(game, breakTie(game, tied));
+}
+
+/** Tallies the votes once every eligible voter has voted. */
+export function resolveVotePhaseCompletion(game) {
+  if (game.phase !== "vote") {
+    return;
+  }
+  if (getEligibleVoters(game).every((player) => game.votes.has(player.id))) {
+    tallyVotes(game);
+  }
+}
+
+/**
+ * Records `playerId`'s vote in `vote` mode. Players get one vote and cannot vote for their own card.
+ * @returns {string|null} error message, or null on success
+ */
+export function castVote(game, playerId, submissionId) {
+  if (game.phase !== "vote") {
+    return RULE_ERRORS.votingClosed.message;
+  }
+
+  const voter = getPlayerById(game, playerId);
+  if (!voter || !voter.connected) {
+    return RULE_ERRORS.voterNotSeated.message;
+  }
+
+  if (game.votes.has(playerId)) {
+    return RULE_ERRORS.alreadyVoted.message;
+  }
+
+  const submission = game.submissions.get(submissionId) || null;
+  if (!submission) {
+    return RULE_ERRORS.voteNotSubmitted.message;
+  }
+
+  if (submission.playerId === playerId) {
+    return RULE_ERRORS.ownCard.message;
+  }
+
+  game.votes.set(playerId, submissionId);
+  resolveVotePhaseCompletion(game);
+  return null;
+}
+
+function returnSubmissionToHand(game, submission) {
+  game.submissions.delete(submission.id);
+  ensurePlayerHand(game, submission.playerId).push(submission.card);
+}
+
+/**
+ * Removes a seated player mid-game. Their hand and any pending submission go to `redDiscard`.
+ * If they were judging, the seat passes to `getNextJudgeIndex`, and the new judge takes back
+ * any card they had already submitted this round.
+ */
+export function removePlayer(game, playerId) {
+  const index = game.players.findIndex((player) => player.id === playerId);
+  if (index < 0) {
+    return;
+  }
+
+  const roundInProgress = game.phase === "submit" || game.phase === "judge_pick" || game.phase === "vote";
+  recordEvent(game, "player_left", { playerId, name: game.players[index].name });
+  const judge = getJudge(game);
+  const wasJudge = Boolean(judge && judge.id === playerId);
+  const nextJudgeIndex = getNextJudgeIndex(game);
+
+  game.redDiscard.push(...ensurePlayerHand(game, playerId));
+  game.privateHands.delete(playerId);
+  if (roundInProgress) {
+    [...game.submissions.values()]
+      .filter((submission) => submission.playerId === playerId)
+      .forEach((submission) => {
+        game.submissions.delete(submission.id);
+        game.redDiscard.push(submission.card);
+      });
+    // Their vote goes, and anyone who voted for their card gets to vote again.
+    game.votes.delete(playerId);
+    game.mulligans = game.mulligans.filter((id) => id !== playerId);
+    game.harvestVotes = game.harvestVotes.filter((id) => id !== playerId);
+    [...game.votes.entries()]
+      .filter(([, submissionId]) => !game.submissions.has(submissionId))
+      .forEach(([voterId]) => game.votes.delete(voterId));
+  }
+
+  game.players.splice(index, 1);
+  if (game.players.length === 0) {
+    game.judgeIndex = 0;
+    return;
+  }
+
+  if (wasJudge) {
+    game.judgeIndex = (nextJudgeIndex > index ? nextJudgeIndex - 1 : nextJudgeIndex) % game.players.length;
+    const nextJudge = getJudge(game);
+    if (roundInProgress && nextJudge) {
+      [...game.submissions.values()]
+        .filter((submission) => submission.playerId === nextJudge.id)
+        .forEach((submission) => returnSubmissionToHand(game, submission));
+    }
+  } else if (index < game.judgeIndex) {
+    game.judgeIndex -= 1;
+  }
+  game.judgeIndex %= game.players.length;
+
+  const playerSubmissions = [...game.submissions.values()].filter((submission) => submission.playerId !== null);
+  if ((game.phase === "judge_pick" || game.phase === "vote") && playerSubmissions.length === 0) {
+    // Only a house card (if any) is left to judge, so reopen submissions without it.
+    discardSubmissions(game);
+    game.submissions.clear();
+    game.votes.clear();
+    game.phase = "submit";
+  }
+  resolveHarvestVote(game);
+  resolveSubmitPhaseCompletion(game);
+  resolveVotePhaseCompletion(game);
+}
+
+/**
+ * Replays the current round under the next judge: the green card stays, every player's card goes back
+ * to its owner, and an Apple Potpourri card is discarded.
+ */
+function rerunRound(game, droppedJudgeId) {
+  recordEvent(game, "round_rerun", { judgeId: droppedJudgeId, submissions: toSubmissionRecords(game) });
+  [...game.submissions.values()].forEach((submission) => {
+    if (submission.playerId === null) {
+      game.submissions.delete(submission.id);
+      game.redDiscard.push(submission.card);
+    } else {
+      returnSubmissionToHand(game, submission);
+    }
+  });
+  game.votes.clear();
+  game.harvestVotes = [];
+  game.winningSubmissionId = null;
+  game.phase = "submit";
+}
+
+/**
+ * Takes a seat out of play once its player has been gone past the reconnect grace period. Unlike
+ * `removePlayer`, the seat, hand, and score stay, so the player can still reconnect.
+ * - a submitter's card goes back to their hand while submissions are open, and stays in play once revealed
+ * - a judge who drops in `submit` or `judge_pick` has the round re-run under the next judge, so nobody
+ *   judges a round they played a card in; in `green_pick` the next judge picks from the same choices
+ * @returns {boolean} true if the round was re-run
+ */
+export function disconnectPlayer(game, playerId) {
+  const player = getPlayerById(game, playerId);
+  if (!player || !player.connected) {
+    return false;
+  }
+
+  const judge = getJudge(game);
+  player.connected = false;
+
+  const rerun = judge?.id === playerId && (game.phase === "submit" || game.phase === "judge_pick");
+  if (rerun) {
+    rerunRound(game, playerId);
+  } else if (game.phase === "submit") {
+    [...game.submissions.values()]
+      .filter((submission) => submission.playerId === playerId)
+      .forEach((submission) => returnSubmissionToHand(game, submission));
+  }
+
+  resolveHarvestVote(game);
+  resolveSubmitPhaseCompletion(game);
+  resolveVotePhaseCompletion(game);
+  return rerun;
+}
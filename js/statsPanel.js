@@ -0,0 +1,76 @@
+// Lifetime stats panel shared by the single-player view and the multiplayer lobby.
+
+import { getTopCards } from "./profiles.js";
+
+const RECENT_JUDGING_SHOWN = 5;
+
+const ui = {
+  panel: document.getElementById("stats-panel"),
+  list: document.getElementById("stats-list"),
+  closeBtn: document.getElementById("stats-close")
+};
+
+function createTextElement(tagName, className, text) {
+  const element = document.createElement(tagName);
+  element.className = className;
+  element.textContent = text;
+  return element;
+}
+
+function createList(title, lines) {
+  const section = document.createElement("div");
+  const list = document.createElement("ul");
+  list.className = "round-log";
+  (lines.length > 0 ? lines : ["-"]).forEach((line) => list.append(createTextElement("li", "", line)));
+  section.append(createTextElement("h3", "", title), list);
+  return section;
+}
+
+function describeJudgedRound(round) {
+  return `${round.greenCard || "-"}: picked "${round.winningCard || "-"}" (${round.winnerName || "nobody"})`;
+}
+
+function createProfileCard({ name, stats, note }) {
+  const card = createTextElement("div", "panel stats-card", "");
+  card.append(createTextElement("h3", "", name));
+  if (note) {
+    card.append(createTextElement("p", "muted", note));
+  }
+  card.append(
+    createTextElement(
+      "p",
+      "",
+      `Games: ${stats.gamesPlayed} | Wins: ${stats.wins} | Rounds won: ${stats.roundWins} | Rounds judged: ${
+        stats.roundsJudged
+      }`
+    ),
+    createList(
+      "Best red cards",
+      getTopCards(stats).map(({ text, wins }) => `${text} (${wins} win${wins === 1 ? "" : "s"})`)
+    ),
+    createList(
+      "Recent judging",
+      stats.judgingHistory.slice(0, RECENT_JUDGING_SHOWN).map(describeJudgedRound)
+    )
+  );
+  return card;
+}
+
+/**
+ * Opens the panel with one card per entry. Names and card texts can come from other players,
+ * so everything is set through `textContent`.
+ * @param {Array<{ name: string, stats: import("./profiles.js").ProfileStats, note?: string }>} entries
+ */
+export function showStats(entries) {
+  if (!ui.panel) {
+    return;
+  }
+  ui.list.replaceChildren(
+    ...(entries.length > 0
+      ? entries.map(createProfileCard)
+      : [createTextElement("p", "muted", "No stats yet. Finish a game with a profile to start tracking.")])
+  );
+  ui.panel.classList.remove("hidden");
+}
+
+ui.closeBtn?.addEventListener("click", () => ui.panel.classList.add("hidden"));
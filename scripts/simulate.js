@@ -0,0 +1,653 @@
+// Load and soak simulator: plays rooms full of socket.io-client bots against a running server, then reports
+// throughput, request latency, stalled phases, and broken invariants. Every bot connects from this machine,
+// so start the server with the per-address rate limit off (`RATE_LIMIT_IP_BURST=0`).
+//
+//   npm run simulate -- --rooms 20 --players 5 --games 3
+//
+// Exits with 1 when a room stalled, broke an invariant, or did not finish in time.
+
+import { parseArgs } from "node:util";
+import { io } from "socket.io-client";
+import { createRandom, nextRandom, pickRandom, randomInt } from "../js/random.js";
+import { applyRoomPatch, checkRoomPatch, diffRoomState } from "../js/roomPatch.js";
+
+const HELP = `Usage: npm run simulate -- [options]
+
+  --url <url>                server to load (default http://localhost:3000)
+  --rooms <n>                rooms played at the same time (default 10)
+  --players <n>              bots per room, 2 to 12 (default 4)
+  --games <n>                games per room, rematches after the first (default 2)
+  --win-score <n>            points to win a game (default 3)
+  --think-ms <n>             longest pause before a bot acts (default 300)
+  --disconnect-chance <p>    chance per bot per round of dropping and reconnecting (default 0.05)
+  --stall-seconds <n>        a room with no progress for this long counts as stalled (default 30)
+  --max-minutes <n>          stops the run after this long (default 10)
+  --seed <seed>              seeds the bots' choices; timing still varies (default: a fresh seed)
+  --json                     prints the report as JSON
+  --help`;
+
+const OPTIONS = {
+  url: { type: "string", default: "http://localhost:3000" },
+  rooms: { type: "string", default: "10" },
+  players: { type: "string", default: "4" },
+  games: { type: "string", default: "2" },
+  "win-score": { type: "string", default: "3" },
+  "think-ms": { type: "string", default: "300" },
+  "disconnect-chance": { type: "string", default: "0.05" },
+  "stall-seconds": { type: "string", default: "30" },
+  "max-minutes": { type: "string", default: "10" },
+  seed: { type: "string", default: "" },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", default: false }
+};
+
+const REQUEST_TIMEOUT_MS = 10_000;
+// The shortest timers the server allows, so a room waiting on a missing bot still moves within seconds.
+const PHASE_SECONDS = { green_pick: 10, submit: 10, judge_pick: 10, vote: 10, score: 10 };
+const RECONNECT_DELAY_MS = { min: 200, max: 2_000 };
+const STALL_CHECK_MS = 1_000;
+// Answers that mean the server or the simulator is broken, rather than a bot losing a race with a timer
+// or dropping out on purpose.
+const FAILURE_CODES = new Set(["INTERNAL_ERROR", "INVALID_PAYLOAD", "TIMEOUT"]);
+const MAX_LISTED_PROBLEMS = 20;
+
+/**
+ * @typedef {Object} SimulationOptions
+ * @property {string} url
+ * @property {number} rooms
+ * @property {number} players
+ * @property {number} games
+ * @property {number} winScore
+ * @property {number} thinkMs
+ * @property {number} disconnectChance
+ * @property {number} stallMs
+ * @property {number} maxMs
+ * @property {string} seed
+ * @property {boolean} json
+ */
+
+/**
+ * @typedef {Object} SimulatedRoom
+ * @property {number} index
+ * @property {string|null} code
+ * @property {Bot[]} bots the first one hosts
+ * @property {number} gamesFinished
+ * @property {string|null} gameOverKey the game over already counted
+ * @property {boolean} done
+ * @property {string} progressKey changes whenever the room moves on
+ * @property {number} progressAt epoch ms of the last change
+ * @property {string|null} stalledKey progress key of the stall already reported, so each stall is counted once
+ * @property {string|null} handsKey game, round, and phase that `handOwners` belongs to
+ * @property {Map<string, string>} handOwners card id to the bot holding it while hands cannot change
+ * @property {Map<string, number>} scoredRounds total score when each round was scored, by game and round
+ */
+
+/**
+ * @typedef {Object} Bot
+ * @property {string} name
+ * @property {SimulatedRoom} room
+ * @property {import("socket.io-client").Socket|null} socket
+ * @property {string|null} playerId
+ * @property {string|null} sessionToken
+ * @property {object|null} update the room state, from the latest `room:update` and the `room:patch`es since
+ * @property {object|null} state latest `player:state`
+ * @property {boolean} resyncing waiting for a `room:sync` after a missed patch
+ * @property {string|null} actedKey game, round, and phase the bot last acted in
+ * @property {string|null} disconnectKey the round the bot last considered dropping out in
+ * @property {boolean} reconnecting
+ */
+
+/** @returns {SimulationOptions} */
+function readOptions() {
+  const { values } = parseArgs({ options: OPTIONS });
+  if (values.help) {
+    console.log(HELP);
+    process.exit(0);
+  }
+  const readNumber = (name, min, max) => {
+    const value = Number(values[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      console.error(`--${name} must be a number from ${min} to ${max}.`);
+      process.exit(2);
+    }
+    return value;
+  };
+  return {
+    url: values.url.replace(/\/$/, ""),
+    rooms: Math.floor(readNumber("rooms", 1, 10_000)),
+    players: Math.floor(readNumber("players", 2, 12)),
+    games: Math.floor(readNumber("games", 1, 1_000)),
+    winScore: Math.floor(readNumber("win-score", 3, 25)),
+    thinkMs: readNumber("think-ms", 0, 60_000),
+    disconnectChance: readNumber("disconnect-chance", 0, 1),
+    stallMs: readNumber("stall-seconds", 1, 3_600) * 1000,
+    maxMs: readNumber("max-minutes", 0.1, 24 * 60) * 60_000,
+    seed: values.seed,
+    json: values.json
+  };
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/** Nearest-rank percentile of an ascending list. */
+function percentile(sorted, fraction) {
+  return sorted.length > 0 ? sorted[Math.min(sorted.length - 1, Math.ceil(fraction * sorted.length) - 1)] : 0;
+}
+
+/** Reads one unlabelled series from a Prometheus text page, or null when it is missing. */
+function readMetric(text, name) {
+  const match = text.match(new RegExp(`^${name} (\\S+)$`, "m"));
+  return match ? Number(match[1]) : null;
+}
+
+/** @returns {Promise<{ heapBytes: number|null, residentBytes: number|null }|null>} null when `/metrics` fails */
+async function scrapeServerMemory(url) {
+  try {
+    const response = await fetch(`${url}/metrics`);
+    const text = await response.text();
+    return {
+      heapBytes: readMetric(text, "pearstopears_process_heap_used_bytes"),
+      residentBytes: readMetric(text, "pearstopears_process_resident_memory_bytes")
+    };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Runs the whole simulation and resolves with its report once every room is done or time runs out.
+ * @param {SimulationOptions} options
+ */
+async function simulate(options) {
+  const random = createRandom(options.seed || undefined);
+  const latencies = new Map();
+  const results = new Map();
+  // `RATE_LIMITED` results by the bucket that ran out; `unknown` for servers that do not say.
+  const rateLimited = { socket: 0, address: 0, unknown: 0 };
+  const violations = [];
+  const stalls = [];
+  const totals = { rounds: 0, games: 0, disconnects: 0, reconnects: 0, resyncs: 0, violations: 0 };
+  const roomUpdates = { patches: { count: 0, bytes: 0 }, snapshots: { count: 0, bytes: 0 } };
+  /** @type {SimulatedRoom[]} */
+  const rooms = [];
+  let stopped = false;
+
+  const violate = (room, message) => {
+    totals.violations += 1;
+    if (violations.length < MAX_LISTED_PROBLEMS) {
+      violations.push({ roomCode: room.code, message });
+    }
+  };
+
+  const countUpdate = (kind, payload) => {
+    roomUpdates[kind].count += 1;
+    roomUpdates[kind].bytes += JSON.stringify(payload).length;
+  };
+  const withoutServerTime = ({ serverTime, ...state }) => state;
+  const gameKey = (update) => `${update.matchCount}:${update.round}:${update.phase}`;
+  const thinkDelay = () => randomInt(random, options.thinkMs + 1);
+
+  /**
+   * Sends one request and records how long the acknowledgement took and what it said. A request cut short
+   * by the bot's own disconnect answers `DISCONNECTED` and is left out of the latencies.
+   */
+  const request = async (bot, event, payload) => {
+    const { socket } = bot;
+    const startedAt = performance.now();
+    let onDisconnect;
+    const dropped = new Promise((resolve) => {
+      onDisconnect = () => resolve({ ok: false, code: "DISCONNECTED", message: "The bot disconnected.", data: null });
+      socket.once("disconnect", onDisconnect);
+    });
+    let result;
+    try {
+      result = await Promise.race([socket.timeout(REQUEST_TIMEOUT_MS).emitWithAck(event, payload), dropped]);
+    } catch {
+      result = { ok: false, code: "TIMEOUT", message: `No answer within ${REQUEST_TIMEOUT_MS} ms.`, data: null };
+    } finally {
+      socket.off("disconnect", onDisconnect);
+    }
+    const code = result.ok ? "OK" : result.code;
+    results.set(code, (results.get(code) || 0) + 1);
+    if (code === "RATE_LIMITED") {
+      rateLimited[Object.hasOwn(rateLimited, result.data?.limit) ? result.data.limit : "unknown"] += 1;
+    }
+    if (code !== "DISCONNECTED") {
+      if (!latencies.has(event)) {
+        latencies.set(event, []);
+      }
+      latencies.get(event).push(performance.now() - startedAt);
+    }
+    if (FAILURE_CODES.has(code) && !stopped) {
+      violate(bot.room, `${bot.name}: ${event} failed with ${code}: ${result.message}`);
+    }
+    return result;
+  };
+
+  /**
+   * Checks the bot's hand against the other hands and the revealed cards while nothing is dealt. Hands are
+   * only sent when they change, so this runs on each new hand and again when the room enters a new phase.
+   */
+  const checkHand = (bot) => {
+    const { room, update, state } = bot;
+    if (!update || !state) {
+      return;
+    }
+    const ids = state.hand.map((card) => card.id);
+    if (new Set(ids).size !== ids.length) {
+      violate(room, `${bot.name} holds the same card twice: ${ids.join(", ")}`);
+    }
+    if (ids.length > update.settings.handSize) {
+      violate(room, `${bot.name} holds ${ids.length} cards with a hand size of ${update.settings.handSize}`);
+    }
+    if (update.phase !== "judge_pick" && update.phase !== "score") {
+      return;
+    }
+    // The last card in moves the room on before its player's new hand is sent, so that hand is still on its way.
+    if (update.judgePlayerId !== bot.playerId && !state.submitted && !state.sittingOut) {
+      return;
+    }
+    const key = gameKey(update);
+    if (room.handsKey !== key) {
+      room.handsKey = key;
+      room.handOwners = new Map();
+    }
+    const revealed = new Set(update.submissions.map((submission) => submission.cardId));
+    ids.forEach((id) => {
+      const owner = room.handOwners.get(id);
+      if (owner && owner !== bot.name) {
+        violate(room, `Card ${id} is in the hands of both ${owner} and ${bot.name} (round ${update.round})`);
+      }
+      if (revealed.has(id)) {
+        violate(room, `Card ${id} is in ${bot.name}'s hand and on the table (round ${update.round})`);
+      }
+      room.handOwners.set(id, bot.name);
+    });
+  };
+
+  /**
+   * Host-side bookkeeping: progress for stall detection, and scores, once per room update. Each scored round
+   * also asks for a full snapshot, which the `room:update` handler compares with the patched state.
+   */
+  const trackRoom = (bot, update) => {
+    const { room } = bot;
+    const progressKey = `${gameKey(update)}:${update.submissionCount}:${update.voteCount}`;
+    if (progressKey !== room.progressKey) {
+      room.progressKey = progressKey;
+      room.progressAt = Date.now();
+    }
+    // The round that wins a game skips `score` for `game_over`, by which time the game is archived and counted.
+    const scored = update.phase === "score" || (update.phase === "game_over" && update.lastWinnerId !== null);
+    const game = update.phase === "game_over" ? update.matchCount - 1 : update.matchCount;
+    const roundKey = `${game}:${update.round}`;
+    if (scored && !room.scoredRounds.has(roundKey)) {
+      const total = update.players.reduce((sum, player) => sum + player.score, 0);
+      const previous = room.scoredRounds.get(`${game}:${update.round - 1}`) ?? null;
+      room.scoredRounds.set(roundKey, total);
+      totals.rounds += 1;
+      if (previous !== null && total - previous > 1) {
+        violate(room, `Round ${update.round} handed out ${total - previous} points`);
+      }
+      request(bot, "room:sync", { roomCode: room.code });
+    }
+  };
+
+  const finishRoom = (room) => {
+    room.done = true;
+    room.bots.forEach((bot) => bot.socket?.close());
+  };
+
+  /** @returns {[string, object]|null} the request the bot makes in the phase `update` shows, if any */
+  const planMove = (bot, update) => {
+    const isJudge = update.judgePlayerId === bot.playerId;
+    const isHost = update.hostPlayerId === bot.playerId;
+    const { roomCode, phase } = update;
+    if (phase === "submit" && !isJudge) {
+      return ["round:submit", { roomCode }];
+    }
+    if (phase === "green_pick" && isJudge) {
+      return ["round:choose_green", { roomCode, cardId: pickRandom(random, update.greenChoices).id }];
+    }
+    if (phase === "judge_pick" && isJudge) {
+      return ["round:judge_pick", { roomCode, submissionId: pickRandom(random, update.submissions).id }];
+    }
+    if (phase === "score" && isHost) {
+      return ["round:next", { roomCode }];
+    }
+    return phase === "game_over" && isHost ? ["game:rematch", { roomCode }] : null;
+  };
+
+  /** Plays the bot's move for the phase `update` shows, at most once per phase. */
+  const act = async (bot, update) => {
+    const key = gameKey(update);
+    const { room } = bot;
+    if (bot.actedKey === key || bot.reconnecting || room.done || stopped) {
+      return;
+    }
+    const move = planMove(bot, update);
+    if (!move) {
+      return;
+    }
+    bot.actedKey = key;
+    if (update.phase === "game_over" && room.gameOverKey !== key) {
+      room.gameOverKey = key;
+      room.gamesFinished += 1;
+      totals.games += 1;
+      if (room.gamesFinished >= options.games) {
+        finishRoom(room);
+        return;
+      }
+    }
+
+    await sleep(thinkDelay());
+    if (bot.reconnecting || room.done || stopped || gameKey(bot.update) !== key) {
+      // A bot that dropped out in the meantime makes its move once it is back.
+      if (bot.reconnecting) {
+        bot.actedKey = null;
+      }
+      return;
+    }
+    const [event, payload] = move;
+    if (event === "round:submit") {
+      const card = pickRandom(random, bot.state?.hand || []);
+      if (!card || bot.state.submitted || bot.state.sittingOut) {
+        return;
+      }
+      payload.cardId = card.id;
+    }
+    await request(bot, event, payload);
+  };
+
+  /** Opens a socket for `bot` and seats it: creates the room for the host, joins or rejoins for the rest. */
+  const connect = async (bot, event, payload) => {
+    const socket = io(options.url, { transports: ["websocket"], forceNew: true, reconnection: false });
+    bot.socket = socket;
+    socket.on("room:update", (snapshot) => {
+      countUpdate("snapshots", snapshot);
+      bot.resyncing = false;
+      const { update } = bot;
+      if (update?.roomCode === snapshot.roomCode && update.seq === snapshot.seq) {
+        const drift = diffRoomState(withoutServerTime(update), withoutServerTime(snapshot));
+        if (drift.length > 0) {
+          const paths = drift.slice(0, 3).map((operation) => operation.path.join("."));
+          violate(bot.room, `${bot.name}'s patched state differs from the server's at ${paths.join(", ")}`);
+        }
+      }
+      onRoomState(bot, snapshot);
+    });
+    socket.on("room:patch", (payload) => {
+      countUpdate("patches", payload);
+      const { update } = bot;
+      const action = bot.resyncing ? "ignore" : checkRoomPatch(update, payload);
+      if (action === "ignore") {
+        return;
+      }
+      if (action === "resync") {
+        totals.resyncs += 1;
+        bot.resyncing = true;
+        request(bot, "room:sync", { roomCode: update.roomCode });
+        return;
+      }
+      const patched = applyRoomPatch(update, payload.patch);
+      onRoomState(bot, { ...patched, seq: payload.seq, serverTime: payload.serverTime });
+    });
+    socket.on("player:state", (state) => {
+      bot.state = state;
+      checkHand(bot);
+    });
+    await new Promise((resolve, reject) => {
+      socket.once("connect", resolve);
+      socket.once("connect_error", reject);
+    });
+    const result = await request(bot, event, payload);
+    if (!result.ok) {
+      throw new Error(`${bot.name} could not ${event}: ${result.code} ${result.message}`);
+    }
+    bot.playerId = result.data.playerId;
+    bot.sessionToken = result.data.sessionToken;
+    return result.data;
+  };
+
+  const onRoomState = (bot, update) => {
+    const entered = !bot.update || gameKey(bot.update) !== gameKey(update);
+    bot.update = update;
+    if (bot === bot.room.bots.find((entry) => entry.socket?.connected) && update.roomCode === bot.room.code) {
+      trackRoom(bot, update);
+    }
+    if (entered) {
+      checkHand(bot);
+    }
+    maybeDisconnect(bot, update);
+    act(bot, update);
+  };
+
+  /** At the start of each round, sometimes drops the bot's socket and rejoins with its session token. */
+  const maybeDisconnect = (bot, update) => {
+    const key = `disconnect:${gameKey(update)}`;
+    if (update.phase !== "submit" || bot.disconnectKey === key || bot.reconnecting || bot.room.done || stopped) {
+      return;
+    }
+    bot.disconnectKey = key;
+    if (nextRandom(random) >= options.disconnectChance) {
+      return;
+    }
+    bot.reconnecting = true;
+    totals.disconnects += 1;
+    bot.socket.close();
+    // The hand may change while the bot is away; the rejoin sends it again.
+    bot.state = null;
+    const delay = RECONNECT_DELAY_MS.min + randomInt(random, RECONNECT_DELAY_MS.max - RECONNECT_DELAY_MS.min);
+    sleep(delay)
+      .then(() => {
+        if (bot.room.done || stopped) {
+          return null;
+        }
+        const { room } = bot;
+        const previousId = bot.playerId;
+        return connect(bot, "room:join", {
+          roomCode: room.code,
+          playerName: bot.name,
+          sessionToken: bot.sessionToken
+        }).then((joined) => {
+          totals.reconnects += 1;
+          if (joined.playerId !== previousId || joined.role !== "player") {
+            violate(room, `${bot.name} came back as ${joined.role} ${joined.playerId}, not player ${previousId}`);
+          }
+        });
+      })
+      .catch((error) => violate(bot.room, error.message))
+      .finally(() => {
+        bot.reconnecting = false;
+        if (bot.update) {
+          act(bot, bot.update);
+        }
+      });
+  };
+
+  const startRoom = async (index) => {
+    /** @type {SimulatedRoom} */
+    const room = {
+      index,
+      code: null,
+      bots: [],
+      gamesFinished: 0,
+      gameOverKey: null,
+      done: false,
+      progressKey: "",
+      progressAt: Date.now(),
+      stalledKey: null,
+      handsKey: null,
+      handOwners: new Map(),
+      scoredRounds: new Map()
+    };
+    rooms.push(room);
+    room.bots = Array.from({ length: options.players }, (_, seat) => ({
+      name: `Sim ${index + 1}-${seat + 1}`,
+      room,
+      socket: null,
+      playerId: null,
+      sessionToken: null,
+      update: null,
+      state: null,
+      resyncing: false,
+      actedKey: null,
+      disconnectKey: null,
+      reconnecting: false
+    }));
+    const [host, ...guests] = room.bots;
+    try {
+      const settings = { winScore: options.winScore, maxPlayers: options.players, phaseSeconds: PHASE_SECONDS };
+      const created = await connect(host, "room:create", { playerName: host.name, settings });
+      room.code = created.roomCode;
+      for (const guest of guests) {
+        await connect(guest, "room:join", { roomCode: room.code, playerName: guest.name });
+      }
+      const started = await request(host, "game:start", { roomCode: room.code });
+      // The host may drop out as soon as the first round begins, before the answer arrives.
+      if (!started.ok && started.code !== "DISCONNECTED") {
+        throw new Error(`game:start failed: ${started.code} ${started.message}`);
+      }
+    } catch (error) {
+      violate(room, error.message);
+      finishRoom(room);
+    }
+  };
+
+  const memoryBefore = await scrapeServerMemory(options.url);
+  const startedAt = Date.now();
+  const stallChecker = setInterval(() => {
+    rooms
+      .filter((room) => !room.done && room.code && room.stalledKey !== room.progressKey)
+      .filter((room) => Date.now() - room.progressAt > options.stallMs)
+      .forEach((room) => {
+        room.stalledKey = room.progressKey;
+        const [, round, phase] = room.progressKey.split(":");
+        const seconds = (Date.now() - room.progressAt) / 1000;
+        stalls.push({ roomCode: room.code, phase, round: Number(round), seconds });
+      });
+  }, STALL_CHECK_MS);
+
+  await Promise.all(Array.from({ length: options.rooms }, (_, index) => startRoom(index)));
+  while (!rooms.every((room) => room.done) && Date.now() - startedAt < options.maxMs) {
+    await sleep(250);
+  }
+  stopped = true;
+  clearInterval(stallChecker);
+  const elapsedSeconds = (Date.now() - startedAt) / 1000;
+  rooms.forEach((room) => room.bots.forEach((bot) => bot.socket?.close()));
+  // Let the server notice the disconnects before measuring it again.
+  await sleep(500);
+  const memoryAfter = await scrapeServerMemory(options.url);
+
+  const requests = [...results.values()].reduce((sum, count) => sum + count, 0);
+  return {
+    url: options.url,
+    seed: random.seed,
+    rooms: options.rooms,
+    players: options.players,
+    elapsedSeconds,
+    games: { finished: totals.games, expected: options.rooms * options.games },
+    unfinishedRooms: rooms.filter((room) => !room.done).map((room) => room.code),
+    rounds: totals.rounds,
+    roundsPerSecond: totals.rounds / elapsedSeconds,
+    requests,
+    requestsPerSecond: requests / elapsedSeconds,
+    disconnects: totals.disconnects,
+    reconnects: totals.reconnects,
+    roomUpdates: { ...roomUpdates, resyncs: totals.resyncs },
+    results: Object.fromEntries([...results].sort(([, a], [, b]) => b - a)),
+    rateLimited,
+    latencyMs: Object.fromEntries(
+      [...latencies].map(([event, samples]) => {
+        const sorted = [...samples].sort((a, b) => a - b);
+        return [
+          event,
+          {
+            count: sorted.length,
+            p50: percentile(sorted, 0.5),
+            p95: percentile(sorted, 0.95),
+            p99: percentile(sorted, 0.99),
+            max: sorted[sorted.length - 1]
+          }
+        ];
+      })
+    ),
+    serverMemory: { before: memoryBefore, after: memoryAfter },
+    stalls,
+    violations: { count: totals.violations, examples: violations }
+  };
+}
+
+const formatMegabytes = (bytes) => (bytes === null ? "?" : `${(bytes / 1024 / 1024).toFixed(1)} MB`);
+
+const describeUpdates = ({ count, bytes }, label) =>
+  `${count} ${label} (${count > 0 ? Math.round(bytes / count) : 0} bytes each)`;
+
+function printReport(report) {
+  const lines = [
+    `Simulated ${report.rooms} rooms of ${report.players} bots against ${report.url}` +
+      ` in ${report.elapsedSeconds.toFixed(1)} s`,
+    `Seed: ${report.seed}`,
+    `Games finished: ${report.games.finished} of ${report.games.expected}`,
+    `Rounds scored: ${report.rounds} (${report.roundsPerSecond.toFixed(2)}/s)`,
+    `Requests: ${report.requests} (${report.requestsPerSecond.toFixed(1)}/s)`,
+    `Disconnects: ${report.disconnects}, reconnects: ${report.reconnects}`,
+    `Room updates: ${describeUpdates(report.roomUpdates.patches, "patches")}, ` +
+      `${describeUpdates(report.roomUpdates.snapshots, "snapshots")}, ` +
+      `${report.roomUpdates.resyncs} resyncs after a missed patch`,
+    `Results: ${Object.entries(report.results).map(([code, count]) => `${code} ${count}`).join(", ")}`,
+    "",
+    "Latency (ms)              count      p50      p95      p99      max"
+  ];
+  Object.entries(report.latencyMs).forEach(([event, stats]) => {
+    const columns = [stats.p50, stats.p95, stats.p99, stats.max].map((value) => value.toFixed(1).padStart(9));
+    lines.push(`  ${event.padEnd(22)}${String(stats.count).padStart(7)}${columns.join("")}`);
+  });
+
+  const { before, after } = report.serverMemory;
+  lines.push(
+    "",
+    before && after
+      ? `Server heap: ${formatMegabytes(before.heapBytes)} -> ${formatMegabytes(after.heapBytes)}, ` +
+          `resident: ${formatMegabytes(before.residentBytes)} -> ${formatMegabytes(after.residentBytes)}`
+      : "Server memory: /metrics was not reachable"
+  );
+  const { socket, address, unknown } = report.rateLimited;
+  if (address > 0) {
+    lines.push(`${address} requests hit the per-address rate limit; start the server with RATE_LIMIT_IP_BURST=0.`);
+  }
+  if (socket > 0) {
+    lines.push(
+      `${socket} requests hit the per-socket rate limit; raise --think-ms, or RATE_LIMIT_SOCKET_BURST and ` +
+        "RATE_LIMIT_SOCKET_PER_SECOND on the server."
+    );
+  }
+  if (unknown > 0) {
+    lines.push(
+      `${unknown} requests were rate limited; check the server's RATE_LIMIT_IP_* and RATE_LIMIT_SOCKET_* settings.`
+    );
+  }
+
+  lines.push("", report.stalls.length > 0 ? `Stalled rooms: ${report.stalls.length}` : "Stalled rooms: none");
+  report.stalls.slice(0, MAX_LISTED_PROBLEMS).forEach((stall) => {
+    const seconds = stall.seconds.toFixed(0);
+    lines.push(`  ${stall.roomCode}: no progress in ${stall.phase} of round ${stall.round} for ${seconds} s`);
+  });
+  if (report.unfinishedRooms.length > 0) {
+    lines.push(`Unfinished rooms: ${report.unfinishedRooms.join(", ")}`);
+  }
+  lines.push(`Invariant violations: ${report.violations.count || "none"}`);
+  report.violations.examples.forEach((violation) => {
+    lines.push(`  ${violation.roomCode || "(no room)"}: ${violation.message}`);
+  });
+  console.log(lines.join("\n"));
+}
+
+const options = readOptions();
+const report = await simulate(options);
+if (options.json) {
+  console.log(JSON.stringify(report, null, 2));
+} else {
+  printReport(report);
+}
+process.exit(report.stalls.length > 0 || report.violations.count > 0 || report.unfinishedRooms.length > 0 ? 1 : 0);
@@ -1,5 +1,5 @@
-import { redCards } from "../data/redCards.js";
-import { greenCards } from "../data/greenCards.js";
+import { DEFAULT_PACK_IDS, PACK_RATINGS, PACKS } from "../data/packs/index.js";
+import { BUILT_IN_MINIMUMS, PACK_MINIMUMS, duplicateTexts, validateDeck } from "../js/decks.js";
 
 function assert(condition, message) {
   if (!condition) {
@@ -7,38 +7,50 @@ function assert(condition, message) {
   }
 }
 
-function duplicateTexts(cards) {
-  const seen = new Set();
-  const duplicates = new Set();
-
-  cards.forEach((card) => {
-    const normalized = card.text.trim().toLowerCase();
-    if (seen.has(normalized)) {
-      duplicates.add(card.text);
-    }
-    seen.add(normalized);
-  });
-
-  return [...duplicates];
-}
-
-function validateCardShape(cards, label) {
-  cards.forEach((card, index) => {
-    assert(typeof card.text === "string" && card.text.trim().length > 0, `${label}[${index}] is missing text`);
-    assert(Array.isArray(card.tags) && card.tags.length > 0, `${label}[${index}] needs tags`);
-  });
-}
-
-validateCardShape(redCards, "redCards");
-validateCardShape(greenCards, "greenCards");
-
-assert(redCards.length >= 120, `Expected at least 120 red cards, found ${redCards.length}`);
-assert(greenCards.length >= 60, `Expected at least 60 green cards, found ${greenCards.length}`);
-
-const redDuplicates = duplicateTexts(redCards);
-const greenDuplicates = duplicateTexts(greenCards);
-
-assert(redDuplicates.length === 0, `Duplicate red card texts: ${redDuplicates.join(", ")}`);
-assert(greenDuplicates.length === 0, `Duplicate green card texts: ${greenDuplicates.join(", ")}`);
-
-console.log(`OK: ${redCards.length} red cards, ${greenCards.length} green cards.`);
+const packIds = new Set();
+
+PACKS.forEach((pack) => {
+  assert(/^[a-z0-9-]+$/.test(pack.id || ""), `Pack id "${pack.id}" must be lowercase letters, digits, and dashes`);
+  assert(!packIds.has(pack.id), `Duplicate pack id: ${pack.id}`);
+  packIds.add(pack.id);
+  assert(typeof pack.name === "string" && pack.name.trim().length > 0, `Pack ${pack.id} is missing a name`);
+  assert(
+    typeof pack.description === "string" && pack.description.trim().length > 0,
+    `Pack ${pack.id} is missing a description`
+  );
+  assert(PACK_RATINGS.includes(pack.rating), `Pack ${pack.id} has unknown rating "${pack.rating}"`);
+
+  const errors = [
+    ...validateDeck(pack.redCards, { label: `${pack.id}.redCards`, minCount: PACK_MINIMUMS.red }),
+    ...validateDeck(pack.greenCards, { label: `${pack.id}.greenCards`, minCount: PACK_MINIMUMS.green })
+  ];
+  assert(errors.length === 0, errors.join("\n"));
+});
+
+DEFAULT_PACK_IDS.forEach((id) => assert(packIds.has(id), `Default pack ${id} does not exist`));
+const defaultPacks = PACKS.filter((pack) => DEFAULT_PACK_IDS.includes(pack.id));
+const defaultErrors = [
+  ...validateDeck(
+    defaultPacks.flatMap((pack) => pack.redCards),
+    { label: "default red cards", minCount: BUILT_IN_MINIMUMS.red }
+  ),
+  ...validateDeck(
+    defaultPacks.flatMap((pack) => pack.greenCards),
+    { label: "default green cards", minCount: BUILT_IN_MINIMUMS.green }
+  )
+];
+assert(defaultErrors.length === 0, defaultErrors.join("\n"));
+
+// Hosts can combine any packs, so texts must also be unique across all of them.
+const crossPackDuplicates = [
+  ...duplicateTexts(PACKS.flatMap((pack) => pack.redCards)),
+  ...duplicateTexts(PACKS.flatMap((pack) => pack.greenCards))
+];
+assert(crossPackDuplicates.length === 0, `Texts repeated across packs: ${crossPackDuplicates.join(", ")}`);
+
+const defaultRedCount = defaultPacks.reduce((total, pack) => total + pack.redCards.length, 0);
+const defaultGreenCount = defaultPacks.reduce((total, pack) => total + pack.greenCards.length, 0);
+console.log(
+  `OK: ${PACKS.length} packs. Default (${DEFAULT_PACK_IDS.join(", ")}): ` +
+    `${defaultRedCount} red cards, ${defaultGreenCount} green cards.`
+);
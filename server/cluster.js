@@ -0,0 +1,48 @@
+// Runs the multiplayer server as several worker processes behind one port. The primary routes connections
+// to workers with sticky sessions, so every long-polling request of a Socket.IO session reaches the same
+// worker; relays broadcasts between workers for the cluster adapter; owns the room store that workers
+// lock rooms through and the profile store they credit games to; and gathers every worker's metrics for
+// `/metrics`. Workers run `server/index.js` unchanged.
+
+import { setupPrimary } from "@socket.io/cluster-adapter";
+import { setupMaster } from "@socket.io/sticky";
+import cluster from "node:cluster";
+import { createServer } from "node:http";
+import { availableParallelism } from "node:os";
+import { fileURLToPath } from "node:url";
+import { serveClusterMetrics } from "./clusterMetrics.js";
+import { serveClusterProfileStore } from "./clusterProfileStore.js";
+import { serveClusterRoomStore } from "./clusterRoomStore.js";
+import { openProfileStore } from "./profileStore.js";
+import { openRoomPersistence } from "./roomStore.js";
+
+const PORT = Number(process.env.PORT || 3000);
+const requestedWorkers = Number(process.env.WORKERS);
+const WORKERS = Number.isInteger(requestedWorkers) && requestedWorkers > 0 ? requestedWorkers : availableParallelism();
+
+serveClusterRoomStore(openRoomPersistence());
+serveClusterProfileStore(openProfileStore());
+serveClusterMetrics();
+setupPrimary();
+cluster.setupPrimary({
+  exec: fileURLToPath(new URL("./index.js", import.meta.url)),
+  // Sticky sessions forward the first chunk of each connection as a Buffer, which plain JSON IPC would mangle.
+  serialization: "advanced"
+});
+
+const httpServer = createServer();
+setupMaster(httpServer, { loadBalancingMethod: "least-connection" });
+
+for (let index = 0; index < WORKERS; index += 1) {
+  cluster.fork();
+}
+
+// Players on a crashed worker reconnect to another one and reclaim their seats with their session tokens.
+cluster.on("exit", (worker, code, signal) => {
+  console.warn(`Worker ${worker.process.pid} exited (${signal || code}); starting a replacement.`);
+  cluster.fork();
+});
+
+httpServer.listen(PORT, () => {
+  console.log(`Multiplayer cluster listening on http://localhost:${PORT} with ${WORKERS} workers`);
+});
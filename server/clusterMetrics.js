@@ -0,0 +1,101 @@
+import cluster from "node:cluster";
+import { nanoid } from "nanoid";
+
+// Marks these IPC messages apart from the room store's and the ones Socket.IO sends.
+const MESSAGE_TYPE = "pearstopears:metrics";
+// A worker that is busy or starting up is left out of a scrape rather than holding it up.
+const COLLECT_TIMEOUT_MS = 2_000;
+
+// The primary is only unreachable while the cluster shuts down, and then nobody is waiting for the reply.
+const ignoreSendError = () => {};
+
+/**
+ * Runs in the primary process: when a worker serves `/metrics`, asks every live worker for its snapshot
+ * and sends the whole set back to the worker that asked.
+ */
+export function serveClusterMetrics() {
+  /** @type {Map<string, (workerId: number, snapshot: object[]) => void>} */
+  const collections = new Map();
+
+  const collect = () =>
+    new Promise((resolve) => {
+      const workers = Object.values(cluster.workers).filter((worker) => worker && !worker.isDead());
+      const waiting = new Set(workers.map((worker) => worker.id));
+      const snapshots = [];
+      const requestId = nanoid();
+      const finish = () => {
+        clearTimeout(timer);
+        collections.delete(requestId);
+        resolve(snapshots);
+      };
+      const timer = setTimeout(finish, COLLECT_TIMEOUT_MS);
+
+      collections.set(requestId, (workerId, snapshot) => {
+        if (waiting.delete(workerId)) {
+          snapshots.push(snapshot);
+        }
+        if (waiting.size === 0) {
+          finish();
+        }
+      });
+      workers.forEach((worker) => worker.send({ type: MESSAGE_TYPE, operation: "snapshot", requestId }));
+      if (waiting.size === 0) {
+        finish();
+      }
+    });
+
+  cluster.on("message", (worker, message) => {
+    if (message?.type !== MESSAGE_TYPE) {
+      return;
+    }
+    if (message.operation === "snapshot") {
+      collections.get(message.requestId)?.(worker.id, message.snapshot);
+      return;
+    }
+    if (message.operation === "collect") {
+      collect().then((snapshots) => {
+        if (!worker.isDead()) {
+          worker.send({ type: MESSAGE_TYPE, operation: "collected", id: message.id, snapshots });
+        }
+      });
+    }
+  });
+}
+
+/**
+ * Runs in a worker process: answers the primary's snapshot requests with `snapshot()`, and returns a function
+ * that gathers every worker's snapshot through the primary.
+ * @param {() => import("./metrics.js").MetricFamily[]} snapshot
+ * @returns {() => Promise<import("./metrics.js").MetricFamily[][]>}
+ */
+export function createClusterMetricsCollector(snapshot) {
+  /** @type {Map<string, (snapshots: object[][]) => void>} */
+  const pending = new Map();
+
+  process.on("message", (message) => {
+    if (message?.type !== MESSAGE_TYPE) {
+      return;
+    }
+    if (message.operation === "snapshot") {
+      const reply = { type: MESSAGE_TYPE, operation: "snapshot", requestId: message.requestId, snapshot: snapshot() };
+      process.send(reply, ignoreSendError);
+      return;
+    }
+    if (message.operation === "collected" && pending.has(message.id)) {
+      pending.get(message.id)(message.snapshots);
+      pending.delete(message.id);
+    }
+  });
+
+  return () =>
+    new Promise((resolve, reject) => {
+      const id = nanoid();
+      pending.set(id, resolve);
+      process.send({ type: MESSAGE_TYPE, operation: "collect", id }, (error) => {
+        if (error) {
+          pending.delete(id);
+          reject(error);
+        }
+      });
+    });
+}
@@ -0,0 +1,76 @@
+import cluster from "node:cluster";
+import { nanoid } from "nanoid";
+
+// Marks these IPC messages apart from the room store's, the metrics', and the ones Socket.IO sends.
+const MESSAGE_TYPE = "pearstopears:profiles";
+
+/**
+ * Runs in the primary process: the only process that reads and writes profiles, one operation at a time,
+ * so workers crediting the same profile at once cannot overwrite each other's stats.
+ * @param {import("./profileStore.js").ProfileStore} store
+ */
+export function serveClusterProfileStore(store) {
+  const operations = {
+    get: ({ profileId }) => store.get(profileId),
+    save: ({ profile }) => store.save(profile),
+    recordMatch: ({ profileId, name, summary }) => store.recordMatch(profileId, name, summary)
+  };
+
+  cluster.on("message", (worker, message) => {
+    if (message?.type !== MESSAGE_TYPE || !operations[message.operation]) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => operations[message.operation](message.args))
+      .then(
+        (result) => ({ result: result ?? null }),
+        (error) => ({ error: String(error?.message || error) })
+      )
+      .then((reply) => {
+        if (!worker.isDead()) {
+          worker.send({ type: MESSAGE_TYPE, id: message.id, ...reply });
+        }
+      });
+  });
+}
+
+/**
+ * Runs in a worker process: a `ProfileStore` kept by the primary's `serveClusterProfileStore`.
+ * @returns {import("./profileStore.js").ProfileStore}
+ */
+export function createClusterProfileStore() {
+  /** @type {Map<string, { resolve: (result: any) => void, reject: (error: Error) => void }>} */
+  const pending = new Map();
+
+  process.on("message", (message) => {
+    if (message?.type !== MESSAGE_TYPE || !pending.has(message.id)) {
+      return;
+    }
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if ("error" in message) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+
+  const call = (operation, args) =>
+    new Promise((resolve, reject) => {
+      const id = nanoid();
+      pending.set(id, { resolve, reject });
+      // Fails once the primary is gone, such as while the cluster shuts down.
+      process.send({ type: MESSAGE_TYPE, id, operation, args }, (error) => {
+        if (error) {
+          pending.delete(id);
+          reject(error);
+        }
+      });
+    });
+
+  return {
+    get: (profileId) => call("get", { profileId }),
+    save: (profile) => call("save", { profile }),
+    recordMatch: (profileId, name, summary) => call("recordMatch", { profileId, name, summary })
+  };
+}
@@ -0,0 +1,181 @@
+import cluster from "node:cluster";
+import { nanoid } from "nanoid";
+import { createKeyedMutex, decodeRoom, encodeRoom } from "./roomStore.js";
+
+// Marks this store's IPC messages apart from the ones the Socket.IO cluster adapter and sticky sessions send.
+const MESSAGE_TYPE = "pearstopears:rooms";
+
+/** Archived matches are locked without their events, which requests never change; `get` still returns them. */
+function withoutMatchEvents(room) {
+  return { ...room, matches: room.matches.map(({ events, ...match }) => match) };
+}
+
+/** Gives the matches a worker got from `withoutMatchEvents` their events back. Newly archived ones have theirs. */
+function withMatchEvents(room, stored) {
+  const events = new Map(stored.matches.map((match) => [match.id, match.events]));
+  return {
+    ...room,
+    matches: room.matches.map((match) => (match.events ? match : { ...match, events: events.get(match.id) }))
+  };
+}
+
+/**
+ * Runs in the primary process: holds every room as `encodeRoom` JSON, hands out room locks to workers in
+ * request order, and persists whatever a worker commits when it releases a lock. A worker that changed
+ * nothing commits nothing. Locks held by a worker
+ * that exits are released without saving, so a crash mid-request leaves the room as it was.
+ * @param {{ persistence: import("./roomStore.js").RoomPersistence, restored: object[] }} options
+ */
+export function serveClusterRoomStore({ persistence, restored }) {
+  /** @type {Map<string, object>} */
+  const rooms = new Map(restored.map((room) => [room.code, encodeRoom(room)]));
+  const mutex = createKeyedMutex();
+  /** @type {Map<string, { workerId: number, roomCode: string, release: () => void }>} */
+  const locks = new Map();
+
+  const operations = {
+    get: ({ roomCode }) => rooms.get(roomCode) || null,
+
+    add: ({ room }) => {
+      if (rooms.has(room.code)) {
+        return false;
+      }
+      rooms.set(room.code, room);
+      persistence.save(decodeRoom(room));
+      return true;
+    },
+
+    listCodes: () => [...rooms.keys()],
+
+    lock: async ({ roomCode }, worker) => {
+      const release = await mutex.acquire(roomCode);
+      if (worker.isDead()) {
+        release();
+        return null;
+      }
+      const lockId = nanoid();
+      locks.set(lockId, { workerId: worker.id, roomCode, release });
+      const room = rooms.get(roomCode);
+      return { lockId, room: room ? withoutMatchEvents(room) : null };
+    },
+
+    unlock: ({ lockId, room, removed }) => {
+      const lock = locks.get(lockId);
+      if (!lock) {
+        return false;
+      }
+      locks.delete(lockId);
+      if (removed) {
+        rooms.delete(lock.roomCode);
+        persistence.remove(lock.roomCode);
+      } else if (room && rooms.has(lock.roomCode)) {
+        const merged = withMatchEvents(room, rooms.get(lock.roomCode));
+        rooms.set(lock.roomCode, merged);
+        persistence.save(decodeRoom(merged));
+      }
+      lock.release();
+      return true;
+    }
+  };
+
+  cluster.on("message", (worker, message) => {
+    if (message?.type !== MESSAGE_TYPE || !operations[message.operation]) {
+      return;
+    }
+    Promise.resolve()
+      .then(() => operations[message.operation](message.args, worker))
+      .then(
+        (result) => ({ result }),
+        (error) => ({ error: String(error?.message || error) })
+      )
+      .then((reply) => {
+        if (!worker.isDead()) {
+          worker.send({ type: MESSAGE_TYPE, id: message.id, ...reply });
+        }
+      });
+  });
+
+  cluster.on("exit", (worker) => {
+    locks.forEach((lock, lockId) => {
+      if (lock.workerId === worker.id) {
+        locks.delete(lockId);
+        lock.release();
+      }
+    });
+  });
+}
+
+/**
+ * Runs in a worker process: a `RoomStore` whose rooms and locks live in the primary's `serveClusterRoomStore`.
+ * Each `withRoom` works on its own copy of the room, which is sent back when the lock is released if it changed.
+ * @returns {import("./roomStore.js").RoomStore}
+ */
+export function createClusterRoomStore() {
+  /** @type {Map<string, { resolve: (result: any) => void, reject: (error: Error) => void }>} */
+  const pending = new Map();
+  const removing = new Set();
+
+  process.on("message", (message) => {
+    if (message?.type !== MESSAGE_TYPE || !pending.has(message.id)) {
+      return;
+    }
+    const { resolve, reject } = pending.get(message.id);
+    pending.delete(message.id);
+    if ("error" in message) {
+      reject(new Error(message.error));
+    } else {
+      resolve(message.result);
+    }
+  });
+
+  const call = (operation, args = {}) =>
+    new Promise((resolve, reject) => {
+      const id = nanoid();
+      pending.set(id, { resolve, reject });
+      // Fails once the primary is gone, such as while the cluster shuts down.
+      process.send({ type: MESSAGE_TYPE, id, operation, args }, (error) => {
+        if (error) {
+          pending.delete(id);
+          reject(error);
+        }
+      });
+    });
+
+  return {
+    async get(roomCode) {
+      const data = await call("get", { roomCode });
+      return data && decodeRoom(data);
+    },
+
+    add(room) {
+      return call("add", { room: encodeRoom(room) });
+    },
+
+    async withRoom(roomCode, update) {
+      const { lockId, room: data } = await call("lock", { roomCode });
+      // Taken first, since the decoded room shares its objects with `data`.
+      const before = JSON.stringify(data);
+      const room = data && decodeRoom(data);
+      let committed = null;
+      try {
+        const result = await update(room);
+        if (room) {
+          const encoded = encodeRoom(room);
+          committed = JSON.stringify(encoded) === before ? null : encoded;
+        }
+        return result;
+      } finally {
+        const removed = removing.delete(roomCode);
+        await call("unlock", { lockId, room: removed ? null : committed, removed });
+      }
+    },
+
+    remove(roomCode) {
+      removing.add(roomCode);
+    },
+
+    listCodes() {
+      return call("listCodes");
+    }
+  };
+}
@@ -0,0 +1,273 @@
+// Scenario fixtures: a JSON description of a room mid-game (hands, deck order, green card, submissions, phase)
+// that `POST /admin/rooms` turns into a live room, so a state from a bug report can be recreated and played on.
+// Cards are named by their pack ids (e.g. `classic-r-12`) or written inline as `{ "text", "tags" }`.
+
+import { createRandom, shuffle } from "../js/random.js";
+import { createSubmissionId, drawCard, ensurePlayerHand } from "../js/rules.js";
+
+/** Phases a fixture can start in. Later phases follow from these through normal play. */
+export const FIXTURE_PHASES = ["lobby", "green_pick", "submit", "judge_pick", "vote"];
+const MAX_FIXTURE_PLAYERS = 12;
+const MAX_NAME_LENGTH = 24;
+
+/**
+ * @typedef {string|{ text: string, tags: string[] }} FixtureCard a pack card id, or a card that is in no pack
+ */
+
+/**
+ * @typedef {Object} FixturePlayer
+ * @property {string} name unique within the fixture; submissions, votes, and `judge` refer to players by it
+ * @property {number} [score]
+ * @property {FixtureCard[]} [hand] dealt up to the hand size from the red deck when missing
+ * @property {boolean} [bot]
+ * @property {string} [difficulty] bots only
+ * @property {number} [thinkSeconds] bots only
+ */
+
+/**
+ * @typedef {Object} RoomFixture
+ * @property {string} [seed] seeds the room's random numbers from the fixture on; a fresh one when missing
+ * @property {Object} [settings] partial room settings, as for `room:settings`
+ * @property {"lobby"|"green_pick"|"submit"|"judge_pick"|"vote"} [phase] defaults to `submit`; `lobby` reads
+ *   only `players` and `settings`
+ * @property {number} [round] defaults to 1
+ * @property {string} [judge] name of the judge; the first player when missing. Judge mode only
+ * @property {FixturePlayer[]} players in seating order
+ * @property {FixtureCard} [greenCard] required in every phase but `lobby` and `green_pick`
+ * @property {FixtureCard[]} [greenChoices] `green_pick` only: the cards the judge chooses from
+ * @property {{ player: string, card: FixtureCard }[]} [submissions] cards already played this round
+ * @property {Record<string, string>} [votes] `vote` only: voter name to the name of the player voted for
+ * @property {FixtureCard[]} [redDeck] top card first. When missing, every red card not placed elsewhere,
+ *   shuffled with the seed
+ * @property {FixtureCard[]} [greenDeck] like `redDeck`
+ * @property {FixtureCard[]} [redDiscard]
+ * @property {FixtureCard[]} [greenDiscard]
+ */
+
+const isObject = (value) => Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+const isCardRef = (value) =>
+  (typeof value === "string" && value.length > 0) ||
+  (isObject(value) && typeof value.text === "string" && value.text.trim().length > 0 && Array.isArray(value.tags));
+
+const isCardList = (value) => value === undefined || (Array.isArray(value) && value.every(isCardRef));
+
+/**
+ * Checks a fixture's shape: which fields its phase needs, and that every name it refers to is seated.
+ * Whether its card ids exist depends on the room's packs, so `applyFixture` checks those.
+ * @returns {string|null} the first problem found
+ */
+export function validateFixture(fixture) {
+  if (!isObject(fixture)) {
+    return "A fixture must be a JSON object.";
+  }
+  const phase = fixture.phase ?? "submit";
+  if (!FIXTURE_PHASES.includes(phase)) {
+    return `phase must be one of ${FIXTURE_PHASES.join(", ")}.`;
+  }
+  if (fixture.seed !== undefined && typeof fixture.seed !== "string") {
+    return "seed must be a string.";
+  }
+  if (fixture.settings !== undefined && !isObject(fixture.settings)) {
+    return "settings must be an object.";
+  }
+  if (fixture.round !== undefined && !(Number.isInteger(fixture.round) && fixture.round >= 1)) {
+    return "round must be a whole number from 1.";
+  }
+
+  const players = fixture.players;
+  if (!Array.isArray(players) || players.length < 2 || players.length > MAX_FIXTURE_PLAYERS) {
+    return `players must list 2 to ${MAX_FIXTURE_PLAYERS} players.`;
+  }
+  if (!players.every((player) => isObject(player) && typeof player.name === "string")) {
+    return "Every player needs a name.";
+  }
+  const names = players.map((player) => player.name);
+  if (names.some((name) => !name.trim() || name.length > MAX_NAME_LENGTH) || new Set(names).size !== names.length) {
+    return `Player names must be unique and 1 to ${MAX_NAME_LENGTH} characters.`;
+  }
+  if (players.every((player) => player.bot)) {
+    return "At least one player must be a human to host the room.";
+  }
+  if (!players.every((player) => player.score === undefined || (Number.isInteger(player.score) && player.score >= 0))) {
+    return "Scores must be whole numbers from 0.";
+  }
+  if (!players.every((player) => isCardList(player.hand))) {
+    return "Every hand must be a list of cards.";
+  }
+  if (phase === "lobby") {
+    return null;
+  }
+
+  const voteMode = fixture.settings?.mode === "vote";
+  if (voteMode ? phase === "green_pick" || phase === "judge_pick" : phase === "vote") {
+    return `The ${phase} phase is not played in ${voteMode ? "vote" : "judge"} mode.`;
+  }
+  if (fixture.judge !== undefined && (voteMode || !names.includes(fixture.judge))) {
+    return voteMode ? "Vote mode has no judge." : "judge must name one of the players.";
+  }
+  const judge = voteMode ? null : (fixture.judge ?? names[0]);
+
+  for (const field of ["greenChoices", "redDeck", "greenDeck", "redDiscard", "greenDiscard"]) {
+    if (!isCardList(fixture[field])) {
+      return `${field} must be a list of cards.`;
+    }
+  }
+  if (phase === "green_pick") {
+    if (!fixture.greenChoices?.length || fixture.greenCard !== undefined || fixture.submissions?.length) {
+      return "The green_pick phase needs greenChoices, and no greenCard or submissions yet.";
+    }
+    return null;
+  }
+  if (!isCardRef(fixture.greenCard)) {
+    return `The ${phase} phase needs a greenCard.`;
+  }
+
+  const submissions = fixture.submissions ?? [];
+  if (!Array.isArray(submissions) || !submissions.every((entry) => isObject(entry) && isCardRef(entry.card))) {
+    return "submissions must be a list of { player, card }.";
+  }
+  const submitters = submissions.map((entry) => entry.player);
+  const unique = new Set(submitters).size === submitters.length;
+  if (!unique || submitters.some((name) => !names.includes(name) || name === judge)) {
+    return "Each submission needs a different player, and the judge cannot submit.";
+  }
+  if ((phase === "judge_pick" || phase === "vote") && submissions.length === 0) {
+    return `The ${phase} phase needs submissions.`;
+  }
+
+  const votes = fixture.votes ?? {};
+  if (!isObject(votes) || (phase !== "vote" && Object.keys(votes).length > 0)) {
+    return "votes must be an object, and only in the vote phase.";
+  }
+  const invalidVote = Object.entries(votes).find(
+    ([voter, target]) => !names.includes(voter) || !submitters.includes(target) || voter === target
+  );
+  if (invalidVote) {
+    return `${invalidVote[0]} must vote for another player's submission.`;
+  }
+  return null;
+}
+
+/**
+ * Sets `room` up as `fixture` describes. `room.players` must already hold one seat per fixture player, in the
+ * same order, and `room.settings` the fixture's settings. Records `game_start` (with `fixture: true`) and the
+ * round so far in the history. Call `validateFixture` first.
+ * @param {import("./index.js").RoomState} room
+ * @param {RoomFixture} fixture
+ * @param {import("../js/rules.js").Card[][]} redPools the room's own, so pack card ids resolve
+ * @param {import("../js/rules.js").Card[][]} greenPools
+ * @returns {string|null} an error, such as an unknown or repeated card id, which leaves `room` unusable
+ */
+export function applyFixture(room, fixture, redPools, greenPools) {
+  const phase = fixture.phase ?? "submit";
+  room.random = createRandom(fixture.seed || undefined);
+  if (phase === "lobby") {
+    return null;
+  }
+
+  const errors = [];
+  const used = new Set();
+  const resolver = (pools, color) => {
+    const cards = new Map(pools.flat().map((card) => [card.id, card]));
+    let inlineCount = 0;
+    const resolve = (ref) => {
+      if (typeof ref !== "string") {
+        inlineCount += 1;
+        return { id: `fixture-${color[0]}-${inlineCount}`, text: ref.text, tags: ref.tags };
+      }
+      if (!cards.has(ref) || used.has(ref)) {
+        errors.push(`${color} card ${ref} is ${used.has(ref) ? "used twice" : "not in the room's packs"}.`);
+        return null;
+      }
+      used.add(ref);
+      return cards.get(ref);
+    };
+    const list = (refs = []) => refs.map(resolve).filter(Boolean);
+    return {
+      one: resolve,
+      list,
+      // Top card first in the fixture, top card last in a deck.
+      deck: (refs) =>
+        refs ? list(refs).reverse() : shuffle(room.random, [...cards.values()].filter((card) => !used.has(card.id)))
+    };
+  };
+  const red = resolver(redPools, "red");
+  const green = resolver(greenPools, "green");
+
+  const seats = new Map(fixture.players.map((entry, index) => [entry.name, room.players[index]]));
+  room.privateHands.clear();
+  fixture.players.forEach((entry, index) => {
+    room.players[index].score = entry.score ?? 0;
+    room.privateHands.set(room.players[index].id, red.list(entry.hand));
+  });
+  const submissions = (fixture.submissions ?? []).map((entry) => ({
+    id: createSubmissionId(room.random),
+    playerId: seats.get(entry.player).id,
+    card: red.one(entry.card)
+  }));
+  room.currentGreenCard = phase === "green_pick" ? null : green.one(fixture.greenCard);
+  room.greenChoices = green.list(fixture.greenChoices);
+  room.redDiscard = red.list(fixture.redDiscard);
+  room.greenDiscard = green.list(fixture.greenDiscard);
+  // Decks last, so a missing one holds exactly the cards placed nowhere else.
+  room.redDeck = red.deck(fixture.redDeck);
+  room.greenDeck = green.deck(fixture.greenDeck);
+  if (errors.length > 0) {
+    return errors.slice(0, 3).join(" ");
+  }
+
+  const voteMode = room.settings.mode === "vote";
+  room.phase = phase;
+  room.round = fixture.round ?? 1;
+  room.judgeIndex = voteMode ? 0 : Math.max(0, fixture.players.findIndex((entry) => entry.name === fixture.judge));
+  room.submissions = new Map(submissions.map((submission) => [submission.id, submission]));
+  room.votes = new Map(
+    Object.entries(fixture.votes ?? {}).map(([voter, target]) => [
+      seats.get(voter).id,
+      submissions.find((submission) => submission.playerId === seats.get(target).id).id
+    ])
+  );
+
+  const at = Date.now();
+  room.history = [];
+  const record = (type, details) => room.history.push({ type, round: room.round, at, ...details });
+  record("game_start", {
+    players: room.players.map((player) => ({ id: player.id, name: player.name })),
+    settings: { ...room.settings, variants: [...room.settings.variants] },
+    seed: room.random.seed,
+    fixture: true
+  });
+  record("round_start", {
+    judgeId: voteMode ? null : room.players[room.judgeIndex].id,
+    players: room.players.map((player) => ({ id: player.id, name: player.name, score: player.score }))
+  });
+  if (room.currentGreenCard) {
+    record("green_card", { card: { id: room.currentGreenCard.id, text: room.currentGreenCard.text } });
+  }
+
+  // Missing hands are dealt as in play: a player who already submitted holds one card fewer.
+  fixture.players.forEach((entry, index) => {
+    const player = room.players[index];
+    const hand = ensurePlayerHand(room, player.id);
+    const size = room.settings.handSize - (submissions.some((submission) => submission.playerId === player.id) ? 1 : 0);
+    while (!entry.hand && hand.length < size) {
+      const card = drawCard(room.redDeck, room.redDiscard, room.random);
+      if (!card) {
+        break;
+      }
+      hand.push(card);
+    }
+    if (hand.length > 0) {
+      record("deal", { playerId: player.id, cards: hand.map((card) => ({ id: card.id, text: card.text })) });
+    }
+  });
+  submissions.forEach((submission) => {
+    record("submit", {
+      playerId: submission.playerId,
+      submissionId: submission.id,
+      card: { id: submission.card.id, text: submission.card.text }
+    });
+  });
+  return null;
+}
@@ -1,34 +1,245 @@
+import { createAdapter } from "@socket.io/cluster-adapter";
+import { setupWorker } from "@socket.io/sticky";
 import cors from "cors";
 import express from "express";
+import cluster from "node:cluster";
+import { timingSafeEqual } from "node:crypto";
 import { createServer } from "node:http";
+import { fileURLToPath } from "node:url";
 import { customAlphabet, nanoid } from "nanoid";
 import { Server } from "socket.io";
-import { redCards } from "../data/redCards.js";
-import { greenCards } from "../data/greenCards.js";
+import { PACKS } from "../data/packs/index.js";
+import {
+  REACTION_EMOJIS,
+  appendChatMessage,
+  countReactions,
+  sanitizeChatText,
+  toggleReaction
+} from "../js/chat.js";
+import { CUSTOM_DECK_MINIMUMS, createPackPools, parseDeckContent, validateDeck } from "../js/decks.js";
+import { createProfileStats, summarizeMatch } from "../js/profiles.js";
+import {
+  AI_DIFFICULTIES,
+  DEFAULT_AI_DIFFICULTY,
+  pickCardForGreen,
+  pickWinningSubmission,
+  supportsBadHarvest
+} from "../js/ai.js";
+import {
+  VARIANTS,
+  applyJudgePick,
+  beginRound,
+  callBadHarvest,
+  castVote,
+  chooseGreenCard,
+  closeSubmissions,
+  countHarvestVotes,
+  countVotes,
+  createCardPool,
+  createGameState,
+  createSubmissionId,
+  disconnectPlayer,
+  ensurePlayerHand,
+  getConnectedPlayers,
+  getEligibleVoters,
+  getExpectedSubmissionCount,
+  getHarvestVotesNeeded,
+  getJudge,
+  getJudgeAim,
+  getPlayerById,
+  getRedCardsNeeded,
+  getRuleErrorCode,
+  hasSubmitted,
+  hasVoted,
+  isSittingOut,
+  isVoteMode,
+  judgePick,
+  prepareNextRound,
+  removePlayer,
+  resolveHarvestVote,
+  resolveSubmitPhaseCompletion,
+  resolveVotePhaseCompletion,
+  startGame,
+  submitCard,
+  takeMulligan,
+  tallyVotes,
+  toLeaderboard
+} from "../js/rules.js";
+import { pickRandom } from "../js/random.js";
+import { diffRoomState } from "../js/roomPatch.js";
+import { createClusterMetricsCollector } from "./clusterMetrics.js";
+import { createClusterProfileStore } from "./clusterProfileStore.js";
+import { createClusterRoomStore } from "./clusterRoomStore.js";
+import { applyFixture, validateFixture } from "./fixtures.js";
+import { INVITE_CODE_PATTERN, getInviteUrl, getPublicOrigin, renderInviteQr } from "./invites.js";
+import { createMetricsRegistry, mergeMetricSnapshots, renderMetrics } from "./metrics.js";
+import { openProfileStore } from "./profileStore.js";
+import { createTokenBucketLimiter } from "./rateLimit.js";
+import { createLocalRoomStore, openRoomPersistence } from "./roomStore.js";
+import { EVENT_SCHEMAS, validatePayload } from "./schemas.js";
+import { TIMED_PHASES, sanitizeSettings } from "./settings.js";
 
 const PORT = Number(process.env.PORT || 3000);
 const ROOM_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
 const makeRoomCode = customAlphabet(ROOM_CODE_ALPHABET, 6);
-const HAND_SIZE = 7;
-const WIN_SCORE = 10;
-
-const RED_CARD_POOL = redCards.map((card, index) => ({
-  id: `r-${index}`,
-  text: card.text,
-  tags: card.tags || []
-}));
-
-const GREEN_CARD_POOL = greenCards.map((card, index) => ({
-  id: `g-${index}`,
-  text: card.text,
-  tags: card.tags || []
-}));
+const BOT_NAMES = ["Nova", "Blaze", "Echo", "Pixel", "Orbit", "Juniper", "Mochi", "Sprocket"];
+const DEFAULT_BOT_THINK_SECONDS = 2;
+const MIN_BOT_THINK_SECONDS = 0.5;
+const MAX_BOT_THINK_SECONDS = 10;
+const MAX_ARCHIVED_MATCHES = 10;
+const CHAT_RATE_WINDOW_MS = 10_000;
+const CHAT_RATE_LIMITS = { message: 5, reaction: 20 };
+const REACTION_PHASES = ["judge_pick", "vote", "score"];
+// Every client event spends tokens from both its socket's bucket and its address's bucket.
+const RATE_LIMITS = {
+  socket: readRateLimit("RATE_LIMIT_SOCKET", { burst: 20, perSecond: 5 }),
+  address: readRateLimit("RATE_LIMIT_IP", { burst: 60, perSecond: 15 })
+};
+const EVENT_COSTS = { "profile:create": 5, "room:create": 5, "deck:upload": 5 };
+const RATE_LIMIT_SWEEP_MS = 60_000;
+// A dropped player's seat is held this long before the round carries on without them. 0 drops them at once.
+const RECONNECT_GRACE_MS = readSeconds("RECONNECT_GRACE_SECONDS", 30) * 1000;
+// Rooms nobody is connected to are deleted once they have sat empty this long.
+const IDLE_ROOM_TTL_MS = readSeconds("IDLE_ROOM_TTL_SECONDS", 600) * 1000;
+const IDLE_ROOM_SWEEP_MS = 30_000;
+// Behind a reverse proxy every socket shares the proxy's address, so the first X-Forwarded-For hop is used instead.
+const TRUST_PROXY = process.env.TRUST_PROXY === "1";
+// The admin API is off unless a token is configured.
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || "";
+const MAX_NOTICE_LENGTH = 500;
+const REQUEST_DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5];
+
+const PACK_POOLS = new Map(PACKS.map((pack) => [pack.id, createPackPools(pack)]));
 
 const app = express();
 app.use(cors({ origin: true, credentials: true }));
 app.get("/health", (_req, res) => {
   res.json({ ok: true, service: "pearstopears-multiplayer", timestamp: new Date().toISOString() });
 });
+// The browser game, so one process serves everything. Only these paths are served: the server's code,
+// the scripts, and saved rooms and profiles stay private.
+app.get(["/", "/index.html"], (_req, res) => res.sendFile(fileURLToPath(new URL("../index.html", import.meta.url))));
+app.get("/replay.html", (_req, res) => res.sendFile(fileURLToPath(new URL("../replay.html", import.meta.url))));
+["css", "js", "data"].forEach((directory) => {
+  app.use(`/${directory}`, express.static(fileURLToPath(new URL(`../${directory}`, import.meta.url))));
+});
+// Invite links open the game with the room code filled in. A redirect keeps the page's relative paths working.
+app.get("/r/:code", (req, res) => {
+  if (!INVITE_CODE_PATTERN.test(req.params.code)) {
+    res.status(404).json({ error: "Room not found." });
+    return;
+  }
+  res.redirect(`/?room=${req.params.code.toUpperCase()}`);
+});
+app.get("/r/:code/qr.svg", async (req, res) => {
+  if (!INVITE_CODE_PATTERN.test(req.params.code)) {
+    res.status(404).json({ error: "Room not found." });
+    return;
+  }
+  const inviteUrl = getInviteUrl(getRequestOrigin(req.headers, req.secure), req.params.code.toUpperCase());
+  res.type("image/svg+xml").send(await renderInviteQr(inviteUrl));
+});
+// Only finished games are served: the live game's log includes every player's private hand. Finished games
+// still show every hand dealt, so they take the session token of a seat in the room, or the admin token.
+app.get("/rooms/:code/history", async (req, res) => {
+  const room = await roomStore.get(String(req.params.code).toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: "Room not found." });
+    return;
+  }
+  const token = readBearerToken(req);
+  if (!findSeatByToken(room, token) && !tokensMatch(ADMIN_TOKEN, token)) {
+    res
+      .set("WWW-Authenticate", "Bearer")
+      .status(401)
+      .json({ error: "Only players and spectators in this room can load its history." });
+    return;
+  }
+  if (req.query.download !== undefined) {
+    res.attachment(`pearstopears-${room.code}-history.json`);
+  }
+  res.json({ roomCode: room.code, exportedAt: new Date().toISOString(), matches: room.matches });
+});
+app.get("/profiles/:id", async (req, res) => {
+  const profile = await profileStore.get(String(req.params.id));
+  if (!profile) {
+    res.status(404).json({ error: "Profile not found." });
+    return;
+  }
+  res.json(toPublicProfile(profile));
+});
+app.get("/metrics", async (_req, res) => {
+  const [roomFamilies, processSnapshots] = await Promise.all([collectRoomMetrics(), collectProcessMetrics()]);
+  res.type("text/plain; version=0.0.4");
+  res.send(renderMetrics([...roomFamilies, ...mergeMetricSnapshots(processSnapshots)]));
+});
+
+const admin = express.Router();
+admin.use((req, res, next) => {
+  if (!ADMIN_TOKEN) {
+    res.status(404).json({ error: "The admin API is disabled." });
+    return;
+  }
+  if (!tokensMatch(ADMIN_TOKEN, readBearerToken(req))) {
+    res.set("WWW-Authenticate", "Bearer").status(401).json({ error: "Missing or invalid admin token." });
+    return;
+  }
+  next();
+});
+// Room fixtures may spell out whole decks.
+admin.use(express.json({ limit: "100kb" }));
+admin.get("/rooms", async (_req, res) => {
+  res.json({ rooms: (await listRooms()).map(toAdminRoomSummary) });
+});
+admin.post("/rooms", async (req, res) => {
+  const { room, error } = createFixtureRoom(req.body);
+  if (error) {
+    res.status(400).json({ error });
+    return;
+  }
+  while (!(await roomStore.add(room))) {
+    room.code = makeRoomCode();
+  }
+  const seats = room.players
+    .filter((player) => !player.isBot)
+    .map((player) => ({ playerId: player.id, name: player.name, sessionToken: player.sessionToken }));
+  res.status(201).json({ roomCode: room.code, seats });
+});
+admin.get("/rooms/:code", async (req, res) => {
+  const room = await roomStore.get(String(req.params.code).toUpperCase());
+  if (!room) {
+    res.status(404).json({ error: "Room not found." });
+    return;
+  }
+  res.json({ ...toPublicRoomState(room), seq: room.stateSeq, serverTime: Date.now() });
+});
+admin.post("/rooms/:code/close", async (req, res) => {
+  const reason = typeof req.body?.reason === "string" ? req.body.reason.trim().slice(0, MAX_NOTICE_LENGTH) : "";
+  const closed = await roomStore.withRoom(String(req.params.code).toUpperCase(), (room) => {
+    if (!room) {
+      return false;
+    }
+    closeRoom(room, reason || "This room was closed by the server operator.");
+    return true;
+  });
+  if (!closed) {
+    res.status(404).json({ error: "Room not found." });
+    return;
+  }
+  res.json({ ok: true });
+});
+admin.post("/notice", (req, res) => {
+  const message = typeof req.body?.message === "string" ? req.body.message.trim() : "";
+  if (!message || message.length > MAX_NOTICE_LENGTH) {
+    res.status(400).json({ error: `message must be 1 to ${MAX_NOTICE_LENGTH} characters.` });
+    return;
+  }
+  const roomCode = typeof req.body.roomCode === "string" ? req.body.roomCode.toUpperCase() : null;
+  const notice = { message, roomCode, sentAt: Date.now() };
+  (roomCode ? io.to(roomCode) : io).emit("server:notice", notice);
+  res.json({ ok: true, notice });
+});
+app.use("/admin", admin);
 
 const server = createServer(app);
 const io = new Server(server, {
@@ -38,8 +249,63 @@ const io = new Server(server, {
   }
 });
 
-/** @type {Map<string, RoomState>} */
-const rooms = new Map();
+// Worker processes started by `server/cluster.js` share rooms and profiles through the primary; a lone server
+// keeps its own.
+/** @type {import("./roomStore.js").RoomStore} */
+const roomStore = cluster.isWorker ? createClusterRoomStore() : createLocalRoomStore(openRoomPersistence());
+
+/** @type {import("./profileStore.js").ProfileStore} */
+const profileStore = cluster.isWorker ? createClusterProfileStore() : openProfileStore();
+
+// Counted per process; `/metrics` adds up every worker's copy.
+const metrics = createMetricsRegistry();
+const socketsConnected = metrics.gauge("pearstopears_sockets_connected", "Open Socket.IO connections.");
+const heapUsed = metrics.gauge("pearstopears_process_heap_used_bytes", "V8 heap in use by the server processes.");
+const residentMemory = metrics.gauge(
+  "pearstopears_process_resident_memory_bytes",
+  "Resident memory of the server processes."
+);
+const roundsCompleted = metrics.counter("pearstopears_rounds_completed_total", "Rounds scored, by a judge or a vote.");
+const requestsHandled = metrics.counter(
+  "pearstopears_socket_events_total",
+  "Client requests answered, by event and result code (OK on success)."
+);
+const requestDuration = metrics.histogram(
+  "pearstopears_socket_event_duration_seconds",
+  "Time from receiving a client request to answering it, including waiting for the room's lock.",
+  REQUEST_DURATION_BUCKETS
+);
+const collectLocalMetrics = () => {
+  socketsConnected.set({}, io.of("/").sockets.size);
+  const memory = process.memoryUsage();
+  heapUsed.set({}, memory.heapUsed);
+  residentMemory.set({}, memory.rss);
+  return metrics.snapshot();
+};
+/** @type {() => Promise<import("./metrics.js").MetricFamily[][]>} */
+const collectProcessMetrics = cluster.isWorker
+  ? createClusterMetricsCollector(collectLocalMetrics)
+  : async () => [collectLocalMetrics()];
+
+const socketLimiter = createTokenBucketLimiter(RATE_LIMITS.socket);
+const addressLimiter = createTokenBucketLimiter(RATE_LIMITS.address);
+setInterval(() => {
+  socketLimiter.sweep();
+  addressLimiter.sweep();
+}, RATE_LIMIT_SWEEP_MS).unref();
+
+// Deadline timer handles per room code. Kept outside RoomState so room snapshots stay plain data.
+// `key` is the `phaseDeadlineKey` the timer was started for.
+/** @type {Map<string, { key: string, timer: NodeJS.Timeout }>} */
+const phaseTimers = new Map();
+
+// Pending bot turns per room code, then per bot id. `key` ties each timer to one round and phase.
+/** @type {Map<string, Map<string, { key: string, timer: NodeJS.Timeout }>>} */
+const botTimers = new Map();
+
+// Reconnect grace timers per room code, then per player id.
+/** @type {Map<string, Map<string, NodeJS.Timeout>>} */
+const graceTimers = new Map();
 
 /**
  * @typedef {Object} PlayerState
@@ -49,25 +315,85 @@ const rooms = new Map();
  * @property {boolean} ready
  * @property {boolean} connected
  * @property {string|null} socketId
+ * @property {string} sessionToken secret reconnect credential, only ever sent in `room:joined`
+ * @property {boolean} [isBot] server-driven seat; always connected and never holds a socket
+ * @property {string} [difficulty] bot difficulty, one of `AI_DIFFICULTIES`
+ * @property {number} [thinkSeconds] average bot thinking delay
+ * @property {string|null} [profileId] persistent profile credited with this seat's stats
+ * @property {string|null} [address] client address of the seat's last socket, so a ban can block it
+ * @property {number|null} [graceUntil] epoch ms; set while the socket is gone but the seat is still held
+ * @property {string|null} [sentPlayerState] the last `player:state` sent to this seat's socket, as JSON
+ */
+
+/**
+ * Watches the room without a seat or hand. `dealIn` asks to be seated at the next `next_round` transition.
+ * @typedef {Object} SpectatorState
+ * @property {string} id
+ * @property {string} name
+ * @property {boolean} connected
+ * @property {string|null} socketId
+ * @property {string} sessionToken
+ * @property {boolean} dealIn
+ * @property {string|null} [profileId]
+ * @property {string|null} [address]
  */
 
 /**
  * @typedef {Object} RoomState
  * @property {string} code
  * @property {string} hostPlayerId
- * @property {"lobby"|"submit"|"judge_pick"|"score"|"next_round"|"game_over"} phase
+ * @property {"lobby"|"green_pick"|"submit"|"judge_pick"|"vote"|"score"|"next_round"|"game_over"} phase
  * @property {number} round
  * @property {number} judgeIndex
  * @property {Map<string, SubmissionState>} submissions
+ * @property {Map<string, string>} votes voter player id to submission id
+ * @property {string[]} mulligans
+ * @property {string[]} harvestVotes
+ * @property {number} lastHarvestRound
+ * @property {import("../js/rules.js").HistoryEvent[]} history the live game's log; holds private hands
+ * @property {MatchRecord[]} matches finished games, oldest first, at most `MAX_ARCHIVED_MATCHES`
+ * @property {import("../js/chat.js").ChatMessage[]} chat recent messages, at most `CHAT_HISTORY_SIZE`
+ * @property {import("../js/chat.js").Reaction[]} reactions reactions to the current round's submissions
  * @property {string|null} lastWinnerId
  * @property {string|null} winningSubmissionId
  * @property {PlayerState[]} players
+ * @property {SpectatorState[]} spectators
+ * @property {boolean} locked when true, only existing seats can reconnect
+ * @property {string[]} bannedPlayerIds
+ * @property {string[]} bannedProfileIds profiles that were on banned seats, so a fresh seat cannot bring them back
+ * @property {string[]} banTokens handed out with `room:kicked` on a ban; a client that sends one back cannot join
+ * @property {string[]} bannedAddresses client addresses of banned seats; no new seat is taken from them
+ * @property {CustomDeck} customDeck
  * @property {Map<string, CardState[]>} privateHands
  * @property {CardState[]} redDeck
  * @property {CardState[]} redDiscard
  * @property {CardState[]} greenDeck
  * @property {CardState[]} greenDiscard
  * @property {CardState|null} currentGreenCard
+ * @property {CardState[]} greenChoices
+ * @property {import("./settings.js").RoomSettings} settings
+ * @property {number|null} phaseDeadline
+ * @property {string|null} phaseDeadlineKey
+ * @property {number|null} idleSince epoch ms when the last socket left, or null while anyone is connected
+ * @property {number} stateSeq sequence number of the last `room:update` or `room:patch` sent
+ * @property {object|null} publicState the room state clients hold at `stateSeq`, which the next patch is
+ *   diffed against; null until the first update, and after a restart
+ */
+
+/**
+ * A finished game as served by `GET /rooms/:code/history`.
+ * @typedef {Object} MatchRecord
+ * @property {string} id
+ * @property {number} startedAt epoch ms
+ * @property {number} endedAt epoch ms
+ * @property {import("../js/rules.js").HistoryEvent[]} events
+ */
+
+/**
+ * Host-uploaded card lists. A null color falls back to the built-in pool.
+ * @typedef {Object} CustomDeck
+ * @property {CardState[]|null} red
+ * @property {CardState[]|null} green
  */
 
 /**
@@ -80,10 +406,26 @@ const rooms = new Map();
 /**
  * @typedef {Object} SubmissionState
  * @property {string} id
- * @property {string} playerId
+ * @property {string|null} playerId null for the Apple Potpourri house card
  * @property {CardState} card
  */
 
+/** Reads `<prefix>_BURST` and `<prefix>_PER_SECOND`, keeping the default for anything missing or invalid. */
+function readRateLimit(prefix, defaults) {
+  const burst = Number(process.env[`${prefix}_BURST`]);
+  const perSecond = Number(process.env[`${prefix}_PER_SECOND`]);
+  return {
+    burst: process.env[`${prefix}_BURST`] && Number.isFinite(burst) && burst >= 0 ? burst : defaults.burst,
+    perSecond: Number.isFinite(perSecond) && perSecond > 0 ? perSecond : defaults.perSecond
+  };
+}
+
+/** Reads a whole number of seconds from `name`, keeping the default for anything missing or invalid. */
+function readSeconds(name, fallback) {
+  const seconds = Number(process.env[name]);
+  return process.env[name] && Number.isInteger(seconds) && seconds >= 0 ? seconds : fallback;
+}
+
 function sanitizeName(input) {
   const trimmed = String(input || "").trim();
   if (!trimmed) {
@@ -92,49 +434,29 @@ function sanitizeName(input) {
   return trimmed.slice(0, 24);
 }
 
-function shuffle(cards) {
-  const next = [...cards];
-  for (let index = next.length - 1; index > 0; index -= 1) {
-    const swapIndex = Math.floor(Math.random() * (index + 1));
-    const temp = next[index];
-    next[index] = next[swapIndex];
-    next[swapIndex] = temp;
-  }
-  return next;
-}
-
-function refillDeckFromDiscard(deck, discard) {
-  if (deck.length > 0 || discard.length === 0) {
-    return;
-  }
-  const recycled = shuffle(discard);
-  discard.length = 0;
-  deck.push(...recycled);
-}
-
-function drawCard(deck, discard) {
-  refillDeckFromDiscard(deck, discard);
-  return deck.pop() || null;
-}
-
-function createEmptyRoom(hostName, socketId) {
+function createEmptyRoom(hostName, socketId, settings, profileId = null, address = null) {
+  // Game fields (hands, decks, submissions, scores) come from the shared rules engine.
+  // `privateHands` is never emitted in room snapshots.
   const room = {
+    ...createGameState(),
     code: makeRoomCode(),
     hostPlayerId: nanoid(12),
-    phase: "lobby",
-    round: 0,
-    judgeIndex: 0,
-    submissions: new Map(),
-    lastWinnerId: null,
-    winningSubmissionId: null,
-    players: [],
-    // Private per-player hand storage for later phases. Never emitted to room snapshots.
-    privateHands: new Map(),
-    redDeck: [],
-    redDiscard: [],
-    greenDeck: [],
-    greenDiscard: [],
-    currentGreenCard: null
+    spectators: [],
+    locked: false,
+    bannedPlayerIds: [],
+    bannedProfileIds: [],
+    banTokens: [],
+    bannedAddresses: [],
+    customDeck: { red: null, green: null },
+    matches: [],
+    chat: [],
+    reactions: [],
+    settings: sanitizeSettings(settings),
+    phaseDeadline: null,
+    phaseDeadlineKey: null,
+    idleSince: null,
+    stateSeq: 0,
+    publicState: null
   };
 
   room.players.push({
@@ -143,573 +465,1617 @@ function createEmptyRoom(hostName, socketId) {
     score: 0,
     ready: false,
     connected: true,
-    socketId
+    socketId,
+    sessionToken: makeSessionToken(),
+    profileId,
+    address
   });
 
   return room;
 }
 
-function getPlayerBySocket(room, socketId) {
-  return room.players.find((player) => player.socketId === socketId) || null;
+/**
+ * Builds a room from a scenario fixture (see `server/fixtures.js`). Like a restored room's, its human seats
+ * wait for their players to rejoin with the seats' session tokens, and nothing is timed until one does.
+ * @returns {{ room: RoomState|null, error: string|null }}
+ */
+function createFixtureRoom(fixture) {
+  const invalid = validateFixture(fixture);
+  if (invalid) {
+    return { room: null, error: invalid };
+  }
+  const room = createEmptyRoom("", null, fixture.settings);
+  room.players = fixture.players.map((entry) =>
+    entry.bot
+      ? createBot(room, entry)
+      : {
+          id: nanoid(12),
+          name: sanitizeName(entry.name),
+          score: 0,
+          ready: false,
+          connected: false,
+          socketId: null,
+          sessionToken: makeSessionToken(),
+          profileId: null
+        }
+  );
+  room.hostPlayerId = room.players.find((player) => !player.isBot).id;
+  room.idleSince = Date.now();
+  const error = applyFixture(room, fixture, getRoomRedPools(room), getRoomGreenPools(room));
+  return error ? { room: null, error } : { room, error: null };
+}
+
+/** Pools handed to `initDecks`: the uploaded deck for that color, otherwise one pool per selected pack. */
+function getRoomRedPools(room, packIds = room.settings.packIds) {
+  return room.customDeck.red ? [room.customDeck.red] : packIds.map((id) => PACK_POOLS.get(id).red);
 }
 
-function getPlayerById(room, playerId) {
-  return room.players.find((player) => player.id === playerId) || null;
+function getRoomGreenPools(room) {
+  return room.customDeck.green
+    ? [room.customDeck.green]
+    : room.settings.packIds.map((id) => PACK_POOLS.get(id).green);
 }
 
-function getConnectedPlayers(room) {
-  return room.players.filter((player) => player.connected);
+function countCards(pools) {
+  return pools.reduce((total, pool) => total + pool.length, 0);
 }
 
-function getJudge(room) {
-  if (room.players.length === 0) {
+/**
+ * Explains why the room's red cards cannot deal `playerCount` players under `settings`.
+ * @returns {string|null} null when they can
+ */
+function getDeckTooSmallError(room, settings, playerCount) {
+  const count = countCards(getRoomRedPools(room, settings.packIds));
+  const needed = getRedCardsNeeded(settings, playerCount);
+  if (count >= needed) {
     return null;
   }
+  return (
+    `The red deck has ${count} cards, but ${playerCount} players with ${settings.handSize}-card hands ` +
+    `need ${needed}. Add packs or lower the hand size.`
+  );
+}
 
-  for (let offset = 0; offset < room.players.length; offset += 1) {
-    const index = (room.judgeIndex + offset) % room.players.length;
-    const candidate = room.players[index];
-    if (candidate.connected) {
-      room.judgeIndex = index;
-      return candidate;
-    }
+/**
+ * Parses and validates one uploaded color. Custom decks use the same rules as the built-in data
+ * with smaller minimums.
+ * @returns {{ pool: CardState[]|null, error: string|null }}
+ */
+function parseCustomPool(upload, color) {
+  const format = upload?.format === "csv" ? "csv" : "json";
+  const { cards, error } = parseDeckContent(upload?.content, format);
+  if (error) {
+    return { pool: null, error: `${color === "red" ? "Red" : "Green"} deck: ${error}` };
+  }
+
+  const errors = validateDeck(cards, { label: `${color} deck`, minCount: CUSTOM_DECK_MINIMUMS[color] });
+  if (errors.length > 0) {
+    return { pool: null, error: errors.slice(0, 3).join(" ") };
   }
+  return { pool: createCardPool(cards, color === "red" ? "cr" : "cg"), error: null };
+}
+
+/** The token from an `Authorization: Bearer <token>` header, or an empty string. */
+function readBearerToken(req) {
+  const [scheme, token] = String(req.get("authorization") || "").split(" ");
+  return scheme === "Bearer" && token ? token : "";
+}
 
-  return null;
+function makeSessionToken() {
+  return nanoid(32);
 }
 
-function getNextJudgeIndex(room) {
-  if (room.players.length === 0) {
-    return 0;
+function tokensMatch(expected, provided) {
+  const expectedBuffer = Buffer.from(String(expected || ""));
+  const providedBuffer = Buffer.from(String(provided || ""));
+  return expectedBuffer.length > 0 && expectedBuffer.length === providedBuffer.length
+    ? timingSafeEqual(expectedBuffer, providedBuffer)
+    : false;
+}
+
+/**
+ * Finds the player or spectator seat that owns `sessionToken`.
+ * @returns {{ seat: PlayerState|SpectatorState, role: "player"|"spectator" }|null}
+ */
+function findSeatByToken(room, sessionToken) {
+  const player = room.players.find((entry) => tokensMatch(entry.sessionToken, sessionToken));
+  if (player) {
+    return { seat: player, role: "player" };
   }
+  const spectator = room.spectators.find((entry) => tokensMatch(entry.sessionToken, sessionToken));
+  return spectator ? { seat: spectator, role: "spectator" } : null;
+}
 
-  for (let step = 1; step <= room.players.length; step += 1) {
-    const index = (room.judgeIndex + step) % room.players.length;
-    if (room.players[index].connected) {
-      return index;
-    }
+function toPublicProfile(profile) {
+  return {
+    id: profile.id,
+    name: profile.name,
+    createdAt: profile.createdAt,
+    updatedAt: profile.updatedAt,
+    stats: profile.stats
+  };
+}
+
+/** Returns the profile only when `profileToken` is its secret, so nobody can collect stats on another's profile. */
+async function findProfile(profileId, profileToken) {
+  if (typeof profileId !== "string" || typeof profileToken !== "string") {
+    return null;
   }
+  const profile = await profileStore.get(profileId);
+  return profile && tokensMatch(profile.token, profileToken) ? profile : null;
+}
 
-  return room.judgeIndex;
+/** Credits a finished game to the profiles of the players still seated at the end. */
+function recordProfileStats(room, events) {
+  const summaries = summarizeMatch(events);
+  room.players
+    .filter((player) => player.profileId && summaries.has(player.id))
+    .forEach((player) => {
+      profileStore.recordMatch(player.profileId, player.name, summaries.get(player.id)).catch((error) => {
+        console.error(`Failed to credit profile ${player.profileId}:`, error);
+      });
+    });
 }
 
-function toLeaderboard(players) {
-  return [...players]
-    .sort((a, b) => {
-      if (b.score !== a.score) {
-        return b.score - a.score;
-      }
-      return a.name.localeCompare(b.name);
-    })
-    .map((player) => ({ id: player.id, name: player.name, score: player.score }));
+function getPlayerBySocket(room, socketId) {
+  return room.players.find((player) => player.socketId === socketId) || null;
+}
+
+function getSpectatorBySocket(room, socketId) {
+  return room.spectators.find((spectator) => spectator.socketId === socketId) || null;
+}
+
+function getSpectatorById(room, spectatorId) {
+  return room.spectators.find((spectator) => spectator.id === spectatorId) || null;
+}
+
+/**
+ * Moves connected spectators who asked to be dealt in onto seats, up to `maxPlayers`.
+ * They start at score 0 and get a fresh hand from the next `dealToHandSize`.
+ */
+function seatWaitingSpectators(room) {
+  room.spectators = room.spectators.filter((spectator) => {
+    if (
+      !spectator.dealIn ||
+      !spectator.connected ||
+      room.players.length >= room.settings.maxPlayers ||
+      getDeckTooSmallError(room, room.settings, room.players.length + 1)
+    ) {
+      return true;
+    }
+    room.players.push({
+      id: spectator.id,
+      name: spectator.name,
+      score: 0,
+      ready: false,
+      connected: true,
+      socketId: spectator.socketId,
+      sessionToken: spectator.sessionToken,
+      profileId: spectator.profileId ?? null,
+      address: spectator.address ?? null
+    });
+    room.privateHands.set(spectator.id, []);
+    return false;
+  });
 }
 
-function initDecks(room) {
-  room.redDeck = shuffle(RED_CARD_POOL);
-  room.redDiscard = [];
-  room.greenDeck = shuffle(GREEN_CARD_POOL);
-  room.greenDiscard = [];
-  room.currentGreenCard = null;
+/** Humans with a live socket; seats held through a reconnect grace period don't count. */
+function getConnectedHumans(room) {
+  return room.players.filter((player) => player.connected && player.socketId && !player.isBot);
 }
 
-function ensurePlayerHand(room, playerId) {
-  if (!room.privateHands.has(playerId)) {
-    room.privateHands.set(playerId, []);
+function hasConnectedSockets(room) {
+  return getConnectedHumans(room).length > 0 || room.spectators.some((spectator) => spectator.connected);
+}
+
+function advanceToNextRound(room) {
+  prepareNextRound(room);
+  if (room.phase === "game_over") {
+    emitRoomUpdate(room);
+    return;
   }
-  return room.privateHands.get(playerId);
+
+  seatWaitingSpectators(room);
+  emitRoomUpdate(room);
+
+  beginSubmitPhase(room);
 }
 
-function dealToHandSize(room) {
-  room.players.forEach((player) => {
-    const hand = ensurePlayerHand(room, player.id);
-    while (hand.length < HAND_SIZE) {
-      const card = drawCard(room.redDeck, room.redDiscard);
-      if (!card) {
-        break;
-      }
-      hand.push(card);
+function autoSubmitMissingCards(room) {
+  getConnectedPlayers(room).forEach((player) => {
+    const card = pickRandom(room.random, ensurePlayerHand(room, player.id));
+    if (card) {
+      // Rejections (the judge, players who already played or are sitting out) are expected here and skipped.
+      submitCard(room, player.id, card.id, createSubmissionId(room.random));
     }
   });
 }
 
-function removeCardFromHand(room, playerId, cardId) {
-  const hand = ensurePlayerHand(room, playerId);
-  const cardIndex = hand.findIndex((entry) => entry.id === cardId);
-  if (cardIndex < 0) {
-    return null;
+function handlePhaseDeadline(room) {
+  phaseTimers.delete(room.code);
+  room.phaseDeadline = null;
+
+  if (room.phase === "submit") {
+    autoSubmitMissingCards(room);
+    if (room.submissions.size === 0) {
+      // Nobody could play a card, so there is nothing to judge. Move the round along.
+      advanceToNextRound(room);
+      return;
+    }
+    // A no-op when the last auto-played card already closed submissions.
+    closeSubmissions(room);
+    emitRoomUpdate(room);
+    return;
+  }
+
+  if (room.phase === "vote") {
+    // Missing votes are simply not counted.
+    if (!tallyVotes(room)) {
+      advanceToNextRound(room);
+      return;
+    }
+    emitRoomUpdate(room);
+    return;
+  }
+
+  if (room.phase === "green_pick") {
+    const judge = getJudge(room);
+    const card = pickRandom(room.random, room.greenChoices);
+    if (!judge || !card || chooseGreenCard(room, judge.id, card.id)) {
+      advanceToNextRound(room);
+      return;
+    }
+    emitRoomUpdate(room);
+    return;
+  }
+
+  if (room.phase === "judge_pick") {
+    const submission = pickRandom(room.random, [...room.submissions.values()]);
+    if (!submission || !applyJudgePick(room, submission)) {
+      advanceToNextRound(room);
+      return;
+    }
+    emitRoomUpdate(room);
+    return;
+  }
+
+  if (room.phase === "score") {
+    advanceToNextRound(room);
+  }
+}
+
+/**
+ * Runs `update` and counts the rounds it scored, however the round ended: a judge, a vote, a bot, or a deadline.
+ * Archiving a finished game swaps in a fresh `room.history`, so the array the events were added to is kept.
+ */
+async function countRoundsCompleted(room, update) {
+  const history = room.history;
+  const seen = history.length;
+  try {
+    return await update();
+  } finally {
+    const added = [...history.slice(seen), ...(room.history === history ? [] : room.history)];
+    roundsCompleted.inc({}, added.filter((event) => event.type === "round_end").length);
   }
-  const [card] = hand.splice(cardIndex, 1);
-  return card || null;
 }
 
-function drawGreenForRound(room) {
-  room.currentGreenCard = drawCard(room.greenDeck, room.greenDiscard);
+/**
+ * Runs timer work on the room's latest state under its lock. The timer may belong to a process that no longer
+ * owns the room's sockets, so `task` must re-check whatever it was scheduled for. Deleted rooms are skipped.
+ */
+function updateRoomLater(roomCode, task) {
+  roomStore
+    .withRoom(roomCode, (room) => room && countRoundsCompleted(room, () => task(room)))
+    .catch((error) => console.error(`Scheduled update for room ${roomCode} failed:`, error));
+}
+
+function clearPhaseDeadline(room) {
+  const entry = phaseTimers.get(room.code);
+  if (entry) {
+    clearTimeout(entry.timer);
+    phaseTimers.delete(room.code);
+  }
+  room.phaseDeadline = null;
+  room.phaseDeadlineKey = null;
 }
 
-function resolveSubmitPhaseCompletion(room) {
-  if (room.phase !== "submit") {
+/**
+ * Starts, keeps, or clears the deadline timer so it matches the room's current phase and round.
+ * Called before every broadcast so each phase transition picks up its deadline exactly once.
+ */
+function syncPhaseDeadline(room) {
+  const seconds = TIMED_PHASES.includes(room.phase) ? room.settings.phaseSeconds[room.phase] : 0;
+  // Like a restored room, an empty one waits and gives the first player back a full window.
+  if (!seconds || getConnectedHumans(room).length === 0) {
+    clearPhaseDeadline(room);
+    return;
+  }
+
+  const key = `${room.round}:${room.phase}`;
+  if (room.phaseDeadlineKey === key) {
+    // Under `server/cluster.js` the deadline may have been started by another worker, possibly one that has
+    // since exited, so this process times it too. Whichever timer fires first handles it; the rest find a new key.
+    if (phaseTimers.get(room.code)?.key !== key) {
+      startPhaseTimer(room.code, key, Math.max(0, (room.phaseDeadline ?? Date.now()) - Date.now()));
+    }
     return;
   }
+
+  clearPhaseDeadline(room);
+  room.phaseDeadlineKey = key;
+  room.phaseDeadline = Date.now() + seconds * 1000;
+  startPhaseTimer(room.code, key, seconds * 1000);
+}
+
+function startPhaseTimer(roomCode, key, delayMs) {
+  clearTimeout(phaseTimers.get(roomCode)?.timer);
+  const timer = setTimeout(() => {
+    updateRoomLater(roomCode, (current) => {
+      if (current.phaseDeadlineKey === key) {
+        handlePhaseDeadline(current);
+      }
+    });
+  }, delayMs);
+  phaseTimers.set(roomCode, { key, timer });
+}
+
+function pickBotName(room) {
+  const taken = new Set(room.players.map((player) => player.name));
+  return BOT_NAMES.find((name) => !taken.has(name)) || `Bot ${room.players.length + 1}`;
+}
+
+function createBot(room, payload) {
+  const thinkSeconds = Number(payload.thinkSeconds);
+  return {
+    id: nanoid(12),
+    name: payload.name ? sanitizeName(payload.name) : pickBotName(room),
+    score: 0,
+    ready: true,
+    connected: true,
+    socketId: null,
+    sessionToken: "",
+    isBot: true,
+    difficulty: AI_DIFFICULTIES[payload.difficulty] ? payload.difficulty : DEFAULT_AI_DIFFICULTY,
+    thinkSeconds: Number.isFinite(thinkSeconds)
+      ? Math.min(MAX_BOT_THINK_SECONDS, Math.max(MIN_BOT_THINK_SECONDS, thinkSeconds))
+      : DEFAULT_BOT_THINK_SECONDS
+  };
+}
+
+function botHasTurn(room, bot) {
+  if (room.phase === "vote") {
+    return !hasVoted(room, bot.id) && getEligibleVoters(room).some((player) => player.id === bot.id);
+  }
   const judge = getJudge(room);
-  if (!judge) {
+  if (!judge && !isVoteMode(room)) {
+    return false;
+  }
+  if (room.phase === "submit") {
+    return bot.id !== judge?.id && ensurePlayerHand(room, bot.id).length > 0 && !hasSubmitted(room, bot.id);
+  }
+  return (room.phase === "judge_pick" || room.phase === "green_pick") && bot.id === judge.id;
+}
+
+function runBotTurn(room, botId) {
+  const bot = getPlayerById(room, botId);
+  if (!bot || !botHasTurn(room, bot)) {
+    return;
+  }
+
+  let error = null;
+  const aim = getJudgeAim(room);
+  const hand = ensurePlayerHand(room, bot.id);
+  if (room.phase === "green_pick") {
+    error = chooseGreenCard(room, bot.id, pickRandom(room.random, room.greenChoices).id);
+  } else if (room.phase === "submit") {
+    // Bots weigh in on an open Bad Harvest call when they play their card.
+    if (room.harvestVotes.length > 0 && !room.harvestVotes.includes(bot.id)) {
+      const support = supportsBadHarvest(room.random, hand, room.currentGreenCard, bot.difficulty);
+      callBadHarvest(room, bot.id, support);
+    }
+    const card = pickCardForGreen(room.random, hand, room.currentGreenCard, bot.difficulty, aim);
+    error = submitCard(room, bot.id, card.id, createSubmissionId(room.random));
+  } else if (room.phase === "vote") {
+    const candidates = [...room.submissions.values()].filter((submission) => submission.playerId !== bot.id);
+    const submission = pickWinningSubmission(room.random, candidates, room.currentGreenCard, bot.difficulty, aim);
+    error = castVote(room, bot.id, submission.id);
+  } else {
+    const submissions = [...room.submissions.values()];
+    const submission = pickWinningSubmission(room.random, submissions, room.currentGreenCard, bot.difficulty, aim);
+    error = judgePick(room, bot.id, submission.id);
+  }
+
+  if (error) {
+    console.warn(`Bot ${bot.name} in room ${room.code} could not act: ${error}`);
     return;
   }
-  const expected = getConnectedPlayers(room).filter((entry) => entry.id !== judge.id).length;
-  if (expected > 0 && room.submissions.size >= expected) {
-    room.phase = "judge_pick";
+  emitRoomUpdate(room);
+}
+
+/**
+ * Gives every bot that owes a move in the current phase one pending timer. Bots then act through
+ * the rules engine's `chooseGreenCard`/`submitCard`/`judgePick`/`castVote`, the same paths as human socket events.
+ */
+function scheduleBotTurns(room) {
+  if (!botTimers.has(room.code)) {
+    botTimers.set(room.code, new Map());
+  }
+  const roomTimers = botTimers.get(room.code);
+
+  room.players
+    .filter((player) => player.isBot)
+    .forEach((bot) => {
+      const key = botHasTurn(room, bot) ? `${room.round}:${room.phase}` : null;
+      const pending = roomTimers.get(bot.id);
+      if (pending && pending.key === key) {
+        return;
+      }
+      if (pending) {
+        clearTimeout(pending.timer);
+        roomTimers.delete(bot.id);
+      }
+      if (!key) {
+        return;
+      }
+
+      // Not drawn from `room.random`: timers run in whichever process holds the room, and only the moves replay.
+      const delayMs = bot.thinkSeconds * 1000 * (0.5 + Math.random());
+      roomTimers.set(bot.id, {
+        key,
+        timer: setTimeout(() => {
+          roomTimers.delete(bot.id);
+          updateRoomLater(room.code, (current) => runBotTurn(current, bot.id));
+        }, delayMs)
+      });
+    });
+}
+
+function clearBotTimers(room) {
+  const roomTimers = botTimers.get(room.code);
+  if (!roomTimers) {
+    return;
   }
+  roomTimers.forEach((pending) => clearTimeout(pending.timer));
+  botTimers.delete(room.code);
 }
 
+/**
+ * What every client in the room may see. Holds no timestamps that change between calls, so two states
+ * diff as equal when nothing happened; `serverTime` is added to each message instead.
+ */
 function toPublicRoomState(room) {
   const judge = getJudge(room);
-  const connectedPlayers = getConnectedPlayers(room);
-  const nonJudgeCount = judge
-    ? connectedPlayers.filter((player) => player.id !== judge.id).length
-    : 0;
+  // The seed gives away the deck order, so only the host gets it, in `player:state`.
+  const { seed, ...settings } = room.settings;
+  // Vote counts stay hidden until the round is scored, so early votes can't sway later voters.
+  const voteCounts = isVoteMode(room) && room.phase === "score" ? countVotes(room) : null;
+  const leaderboard = toLeaderboard(room.players);
 
   return {
     roomCode: room.code,
     phase: room.phase,
     round: room.round,
     hostPlayerId: room.hostPlayerId,
+    locked: room.locked,
     judgePlayerId: judge ? judge.id : null,
     lastWinnerId: room.lastWinnerId,
     winningSubmissionId: room.winningSubmissionId,
     greenCard: room.currentGreenCard ? { id: room.currentGreenCard.id, text: room.currentGreenCard.text } : null,
+    greenChoices: room.greenChoices.map((card) => ({ id: card.id, text: card.text })),
+    variants: room.settings.variants.map((variantId) => ({
+      id: variantId,
+      name: VARIANTS[variantId].name,
+      description: VARIANTS[variantId].description
+    })),
     submissionCount: room.submissions.size,
-    expectedSubmissionCount: nonJudgeCount,
+    expectedSubmissionCount: getExpectedSubmissionCount(room),
+    voteCount: room.phase === "vote" ? room.votes.size : 0,
+    expectedVoteCount: room.phase === "vote" ? getEligibleVoters(room).length : 0,
+    harvestVoteCount: room.phase === "submit" ? countHarvestVotes(room) : 0,
+    harvestVotesNeeded: getHarvestVotesNeeded(room),
+    lastHarvestRound: room.lastHarvestRound,
+    matchCount: room.matches.length,
+    settings: {
+      ...settings,
+      phaseSeconds: { ...room.settings.phaseSeconds },
+      packIds: [...room.settings.packIds],
+      variants: [...room.settings.variants]
+    },
+    deck: {
+      red: { custom: Boolean(room.customDeck.red), count: countCards(getRoomRedPools(room)) },
+      green: { custom: Boolean(room.customDeck.green), count: countCards(getRoomGreenPools(room)) }
+    },
+    phaseDeadline: room.phaseDeadline,
     players: room.players.map((player) => ({
       id: player.id,
       name: player.name,
       score: player.score,
       ready: player.ready,
       connected: player.connected,
-      isHost: player.id === room.hostPlayerId
+      reconnectingUntil: player.graceUntil ?? null,
+      isHost: player.id === room.hostPlayerId,
+      isBot: Boolean(player.isBot),
+      difficulty: player.isBot ? player.difficulty : null,
+      profileId: player.profileId ?? null,
+      voted: room.phase === "vote" && hasVoted(room, player.id),
+      mulliganed: room.mulligans.includes(player.id),
+      sittingOut: isSittingOut(room, player.id),
+      calledHarvest: room.phase === "submit" && room.harvestVotes.includes(player.id)
     })),
-    leaderboard: toLeaderboard(room.players),
-    winnerId: room.phase === "game_over" ? toLeaderboard(room.players)[0]?.id || null : null,
+    spectators: room.spectators.map((spectator) => ({
+      id: spectator.id,
+      name: spectator.name,
+      connected: spectator.connected,
+      dealIn: spectator.dealIn
+    })),
+    leaderboard,
+    winnerId: room.phase === "game_over" ? leaderboard[0]?.id || null : null,
     submissions:
-      room.phase === "judge_pick" || room.phase === "score" || room.phase === "game_over"
+      room.phase === "judge_pick" || room.phase === "vote" || room.phase === "score" || room.phase === "game_over"
         ? [...room.submissions.values()].map((submission) => ({
             id: submission.id,
             cardId: submission.card.id,
-            cardText: submission.card.text
+            cardText: submission.card.text,
+            votes: voteCounts ? voteCounts.get(submission.id) : null,
+            reactions: countReactions(room.reactions, submission.id),
+            // The house card stays anonymous until the round is scored.
+            potpourri: room.phase === "score" && submission.playerId === null
           }))
         : []
   };
 }
 
-function emitPlayerState(room, player) {
+/** Sends the player their private state when it changed since the last send, or always with `force`. */
+function emitPlayerState(room, player, force = false) {
   if (!player.connected || !player.socketId) {
     return;
   }
   const hand = ensurePlayerHand(room, player.id).map((card) => ({ id: card.id, text: card.text }));
-  io.to(player.socketId).emit("player:state", {
+  const ownSubmission = [...room.submissions.values()].find((entry) => entry.playerId === player.id);
+  const playerState = {
     roomCode: room.code,
     playerId: player.id,
     hand,
-    submitted: [...room.submissions.values()].some((entry) => entry.playerId === player.id)
-  });
+    submitted: Boolean(ownSubmission),
+    // Private, so a voter's client can hide their own card from the ballot.
+    submissionId: ownSubmission ? ownSubmission.id : null,
+    voted: hasVoted(room, player.id),
+    mulliganed: room.mulligans.includes(player.id),
+    sittingOut: isSittingOut(room, player.id),
+    seed: player.id === room.hostPlayerId ? room.settings.seed : null
+  };
+  const sent = JSON.stringify(playerState);
+  if (!force && sent === player.sentPlayerState) {
+    return;
+  }
+  player.sentPlayerState = sent;
+  io.to(player.socketId).emit("player:state", playerState);
 }
 
-function emitAllPlayerStates(room) {
-  room.players.forEach((player) => emitPlayerState(room, player));
+/** `snapshotSocket`'s player, if any, gets their state even when it did not change. */
+function emitAllPlayerStates(room, snapshotSocket = null) {
+  room.players.forEach((player) => emitPlayerState(room, player, player.socketId === snapshotSocket?.id));
 }
 
-function emitRoomUpdate(room) {
-  io.to(room.code).emit("room:update", toPublicRoomState(room));
-  emitAllPlayerStates(room);
+/** Moves a finished game's log into `room.matches`, dropping the oldest past `MAX_ARCHIVED_MATCHES`. */
+function archiveFinishedMatch(room) {
+  if (room.phase !== "game_over" || room.history.length === 0) {
+    return;
+  }
+  room.matches.push({
+    id: nanoid(10),
+    startedAt: room.history[0].at,
+    endedAt: room.history[room.history.length - 1].at,
+    events: room.history
+  });
+  room.matches = room.matches.slice(-MAX_ARCHIVED_MATCHES);
+  recordProfileStats(room, room.history);
+  room.history = [];
 }
 
-function emitError(socket, message) {
-  socket.emit("server:error", { message });
+/** The full `room:update` for a client that has no state for the room yet, or fell behind. */
+function toRoomSnapshot(room) {
+  return { ...room.publicState, seq: room.stateSeq, serverTime: Date.now() };
 }
 
-function ensureHostRoomNotEmpty(roomCode) {
-  const room = rooms.get(roomCode);
-  if (!room) {
-    return;
-  }
-  if (room.players.some((player) => player.connected)) {
-    return;
+/**
+ * Sends the room's clients what changed since the last update, as a `room:patch` numbered one past the last.
+ * A room with no last state (new, or restored after a restart) sends a full `room:update` instead, and nothing
+ * is sent when nothing public changed. `snapshotSocket`, a socket that just joined or asked to resync, gets
+ * a full `room:update` rather than the patch.
+ */
+function emitRoomUpdate(room, snapshotSocket = null) {
+  archiveFinishedMatch(room);
+  room.idleSince = hasConnectedSockets(room) ? null : room.idleSince ?? Date.now();
+  syncPhaseDeadline(room);
+  scheduleBotTurns(room);
+
+  const publicState = toPublicRoomState(room);
+  const patch = room.publicState ? diffRoomState(room.publicState, publicState) : null;
+  const others = snapshotSocket ? io.to(room.code).except(snapshotSocket.id) : io.to(room.code);
+  if (!patch || patch.length > 0) {
+    room.stateSeq += 1;
+    room.publicState = publicState;
+    if (patch) {
+      others.emit("room:patch", { roomCode: room.code, seq: room.stateSeq, patch, serverTime: Date.now() });
+    } else {
+      others.emit("room:update", toRoomSnapshot(room));
+    }
   }
-  rooms.delete(roomCode);
+  snapshotSocket?.emit("room:update", toRoomSnapshot(room));
+  emitAllPlayerStates(room, snapshotSocket);
 }
 
-function beginSubmitPhase(room) {
-  room.phase = "submit";
-  room.submissions.clear();
-  room.lastWinnerId = null;
-  room.winningSubmissionId = null;
-  if (room.currentGreenCard) {
-    room.greenDiscard.push(room.currentGreenCard);
-  }
-  drawGreenForRound(room);
-  dealToHandSize(room);
-  emitRoomUpdate(room);
+/** `details` adds machine-readable fields such as `code` for errors a client may want to handle. */
+function emitError(socket, message, details = {}) {
+  socket.emit("server:error", { message, ...details });
 }
 
-io.on("connection", (socket) => {
-  socket.on("room:create", (payload = {}) => {
-    const playerName = sanitizeName(payload.playerName);
-    const room = createEmptyRoom(playerName, socket.id);
+/**
+ * What every client request gets back through its Socket.IO acknowledgement.
+ * @typedef {Object} RequestResult
+ * @property {boolean} ok
+ * @property {string|null} code stable error code, null on success
+ * @property {string|null} message why the request failed, null on success
+ * @property {object|null} data event-specific result, or details such as `retryAfterMs` for a failure
+ */
 
-    rooms.set(room.code, room);
-    socket.join(room.code);
-    socket.data.roomCode = room.code;
-    socket.data.playerId = room.hostPlayerId;
+/** @returns {RequestResult} */
+function succeed(data = null) {
+  return { ok: true, code: null, message: null, data };
+}
 
-    socket.emit("room:joined", {
-      roomCode: room.code,
-      playerId: room.hostPlayerId,
-      isHost: true
-    });
+/** @returns {RequestResult} */
+function fail(code, message, data = null) {
+  return { ok: false, code, message, data };
+}
 
-    emitRoomUpdate(room);
-  });
+/** Wraps an error message from the rules engine with its code from `RULE_ERRORS`. */
+function failRule(error) {
+  return fail(getRuleErrorCode(error), error);
+}
 
-  socket.on("room:join", (payload = {}) => {
-    const roomCode = String(payload.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
+/**
+ * Acknowledges the request when the client asked for it. Clients that send no acknowledgement callback
+ * still get failures as `server:error`, as before acknowledgements existed.
+ */
+function respond(socket, ack, result) {
+  if (ack) {
+    ack(result);
+    return;
+  }
+  if (!result.ok) {
+    emitError(socket, result.message, { code: result.code, ...result.data });
+  }
+}
 
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
-    }
+/**
+ * Counts an answered request for `/metrics`. Packets rejected before reaching a handler have no `startedAt`
+ * and are left out of the latency histogram. Unknown event names share one label.
+ */
+function recordRequest(eventName, result, startedAt = null) {
+  const event = Object.hasOwn(EVENT_SCHEMAS, eventName) ? eventName : "unknown";
+  requestsHandled.inc({ event, code: result.code || "OK" });
+  if (startedAt !== null) {
+    requestDuration.observe({ event }, (performance.now() - startedAt) / 1000);
+  }
+}
+
+/**
+ * Registers a client request. `handler` gets the validated payload and returns (or resolves to) `fail(...)`,
+ * `succeed(data)`, or nothing for a plain success.
+ */
+function onRequest(socket, eventName, handler) {
+  socket.on(eventName, async (payload, ack) => {
+    const startedAt = performance.now();
+    let result;
+    try {
+      result = (await handler(payload)) || succeed();
+    } catch (error) {
+      console.error(`Failed to handle ${eventName}:`, error);
+      result = fail("INTERNAL_ERROR", "Something went wrong on the server. Try again.");
+    }
+    recordRequest(eventName, result, startedAt);
+    respond(socket, typeof ack === "function" ? ack : null, result);
+  });
+}
+
+/**
+ * Registers a request that acts on one room: the payload's `roomCode`, or else the room the socket is in.
+ * `handler` gets the room's latest state under its lock and returns like an `onRequest` handler.
+ */
+function onRoomRequest(socket, eventName, handler) {
+  onRequest(socket, eventName, (payload) => {
+    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
+    return roomStore.withRoom(roomCode, (room) =>
+      room ? countRoundsCompleted(room, () => handler(room, payload)) : fail("ROOM_NOT_FOUND", "Room not found.")
+    );
+  });
+}
+
+function getClientAddress(socket) {
+  const forwarded = socket.handshake.headers["x-forwarded-for"];
+  if (TRUST_PROXY && typeof forwarded === "string" && forwarded.trim()) {
+    return forwarded.split(",")[0].trim();
+  }
+  return socket.handshake.address;
+}
+
+/** Origin of an HTTP request or socket handshake, for invite links. Proxies are trusted as for addresses. */
+function getRequestOrigin(headers, secure) {
+  const forwarded = (name) =>
+    TRUST_PROXY && typeof headers[name] === "string" ? headers[name].split(",")[0].trim() : "";
+  const protocol = forwarded("x-forwarded-proto");
+  return getPublicOrigin(forwarded("x-forwarded-host") || headers.host, protocol ? protocol === "https" : secure);
+}
+
+function getSocketInviteUrl(socket, roomCode) {
+  return getInviteUrl(getRequestOrigin(socket.handshake.headers, socket.handshake.secure), roomCode);
+}
+
+/**
+ * Runs before every handler: spends rate-limit tokens, then swaps the payload for its validated copy.
+ * Rejected packets never reach a handler. Afterwards the packet is always `[eventName, payload, ack?]`,
+ * even when the client sent only an acknowledgement callback.
+ */
+function guardPacket(socket, clientAddress, packet) {
+  const [eventName] = packet;
+  const ack = typeof packet[packet.length - 1] === "function" ? packet.pop() : null;
+  const cost = EVENT_COSTS[eventName] || 1;
+  const socketTake = socketLimiter.take(socket.id, cost);
+  const take = socketTake.ok ? addressLimiter.take(clientAddress, cost) : socketTake;
+  if (!take.ok) {
+    const limited = fail("RATE_LIMITED", "Too many requests. Slow down and try again.", {
+      retryAfterMs: take.retryAfterMs,
+      limit: socketTake.ok ? "address" : "socket"
+    });
+    recordRequest(eventName, limited);
+    respond(socket, ack, limited);
+    return false;
+  }
+
+  const result = validatePayload(eventName, packet[1]);
+  if ("error" in result) {
+    const invalid = fail("INVALID_PAYLOAD", result.error);
+    recordRequest(eventName, invalid);
+    respond(socket, ack, invalid);
+    return false;
+  }
+  packet.length = 1;
+  packet.push(result.value, ...(ack ? [ack] : []));
+  return true;
+}
+
+/** Sliding-window limit per socket and action kind, from `CHAT_RATE_LIMITS`. Records the action when allowed. */
+function allowChatAction(socket, kind) {
+  const now = Date.now();
+  socket.data.chatActions = socket.data.chatActions || {};
+  const recent = (socket.data.chatActions[kind] || []).filter((at) => now - at < CHAT_RATE_WINDOW_MS);
+  if (recent.length >= CHAT_RATE_LIMITS[kind]) {
+    socket.data.chatActions[kind] = recent;
+    return false;
+  }
+  socket.data.chatActions[kind] = [...recent, now];
+  return true;
+}
+
+/** Catches a joining or reconnecting socket up on the conversation. */
+function emitChatHistory(socket, room) {
+  socket.emit("chat:history", { roomCode: room.code, messages: room.chat });
+}
+
+/** @param {string|null} [banToken] sent along with `room:kicked` when the target is being banned */
+function kickFromRoom(room, targetId, reason, banToken = null) {
+  const target = getPlayerById(room, targetId) || getSpectatorById(room, targetId);
+  if (!target) {
+    return false;
+  }
+
+  if (getPlayerById(room, targetId)) {
+    clearGraceTimer(room, targetId);
+    removePlayer(room, targetId);
+  } else {
+    room.spectators = room.spectators.filter((spectator) => spectator.id !== targetId);
+  }
+
+  // The target's socket may belong to another worker process, so it is only reached through the adapter.
+  // Its `socket.data` keeps pointing at this room, which is harmless once the seat is gone.
+  if (target.socketId) {
+    io.to(target.socketId).emit("room:kicked", { roomCode: room.code, reason, ...(banToken ? { banToken } : {}) });
+    io.in(target.socketId).socketsLeave(room.code);
+  }
+  return true;
+}
 
-    const requestedPlayerId = typeof payload.playerId === "string" ? payload.playerId : null;
+/**
+ * Whether a `room:join` comes from someone the host banned: by the seat they ask for, the profile they
+ * sign in with, or the ban token their client kept from `room:kicked`.
+ */
+function isBanned(room, payload, profile) {
+  return Boolean(
+    (payload.playerId && room.bannedPlayerIds.includes(payload.playerId)) ||
+      (profile && room.bannedProfileIds.includes(profile.id)) ||
+      (payload.banToken && room.banTokens.includes(payload.banToken))
+  );
+}
+
+function clearGraceTimer(room, playerId) {
+  const roomTimers = graceTimers.get(room.code);
+  const timer = roomTimers?.get(playerId);
+  if (timer) {
+    clearTimeout(timer);
+    roomTimers.delete(playerId);
+  }
+}
+
+function clearGraceTimers(room) {
+  graceTimers.get(room.code)?.forEach((timer) => clearTimeout(timer));
+  graceTimers.delete(room.code);
+}
+
+/**
+ * Ends a player's reconnect grace period: the rules engine takes the seat out of play, and host
+ * passes to a connected human if it was theirs.
+ */
+function dropPlayer(room, player) {
+  clearGraceTimer(room, player.id);
+  player.graceUntil = null;
+  player.ready = false;
+  if (disconnectPlayer(room, player.id)) {
+    // The round starts over, so everyone gets a full window to play again.
+    clearPhaseDeadline(room);
+  }
+
+  if (room.hostPlayerId === player.id) {
+    const nextHost = getConnectedHumans(room)[0] || room.players.find((entry) => !entry.isBot && entry.connected);
+    if (nextHost) {
+      room.hostPlayerId = nextHost.id;
+    }
+  }
+  emitRoomUpdate(room);
+}
+
+/** Holds a dropped player's seat for `RECONNECT_GRACE_MS`; reconnecting with their session token cancels it. */
+function holdSeat(room, player) {
+  player.socketId = null;
+  if (RECONNECT_GRACE_MS === 0) {
+    dropPlayer(room, player);
+    return;
+  }
+
+  if (!graceTimers.has(room.code)) {
+    graceTimers.set(room.code, new Map());
+  }
+  clearGraceTimer(room, player.id);
+  const graceUntil = Date.now() + RECONNECT_GRACE_MS;
+  player.graceUntil = graceUntil;
+  graceTimers.get(room.code).set(
+    player.id,
+    setTimeout(() => {
+      graceTimers.get(room.code)?.delete(player.id);
+      updateRoomLater(room.code, (current) => {
+        const seat = getPlayerById(current, player.id);
+        if (seat && !seat.socketId && seat.graceUntil === graceUntil) {
+          dropPlayer(current, seat);
+        }
+      });
+    }, RECONNECT_GRACE_MS)
+  );
+  emitRoomUpdate(room);
+}
+
+function deleteRoom(room) {
+  clearPhaseDeadline(room);
+  clearBotTimers(room);
+  clearGraceTimers(room);
+  roomStore.remove(room.code);
+}
+
+/** Sends everyone in the room back to the lobby with `reason`, then deletes it. */
+function closeRoom(room, reason) {
+  io.to(room.code).emit("room:closed", { roomCode: room.code, reason });
+  io.in(room.code).socketsLeave(room.code);
+  deleteRoom(room);
+}
+
+/** Every room in the store, read without locks, so each one may already be a step behind. */
+async function listRooms() {
+  const rooms = await Promise.all((await roomStore.listCodes()).map((roomCode) => roomStore.get(roomCode)));
+  return rooms.filter(Boolean);
+}
+
+function toAdminRoomSummary(room) {
+  const host = getPlayerById(room, room.hostPlayerId);
+  return {
+    roomCode: room.code,
+    phase: room.phase,
+    round: room.round,
+    locked: room.locked,
+    hostName: host ? host.name : null,
+    players: room.players.length,
+    bots: room.players.filter((player) => player.isBot).length,
+    connectedPlayers: getConnectedHumans(room).length,
+    spectators: room.spectators.length,
+    matchCount: room.matches.length,
+    idleSince: room.idleSince
+  };
+}
+
+/**
+ * Room gauges for `/metrics`. They come from the room store rather than the per-process registry, so they
+ * are never added up across workers.
+ * @returns {Promise<import("./metrics.js").MetricFamily[]>}
+ */
+async function collectRoomMetrics() {
+  const rooms = await listRooms();
+  const playersByPhase = new Map();
+  rooms.forEach((room) => playersByPhase.set(room.phase, (playersByPhase.get(room.phase) || 0) + room.players.length));
+  return [
+    {
+      name: "pearstopears_rooms_open",
+      type: "gauge",
+      help: "Rooms held by the server, including empty ones waiting for the idle sweep.",
+      series: [{ labels: {}, value: rooms.length }]
+    },
+    {
+      name: "pearstopears_rooms_active",
+      type: "gauge",
+      help: "Rooms with at least one connected player or spectator.",
+      series: [{ labels: {}, value: rooms.filter(hasConnectedSockets).length }]
+    },
+    {
+      name: "pearstopears_players",
+      type: "gauge",
+      help: "Seated players, bots included, by their room's phase.",
+      series: [...playersByPhase].map(([phase, count]) => ({ labels: { phase }, value: count }))
+    }
+  ];
+}
+
+/** Deletes rooms nobody has been connected to for `IDLE_ROOM_TTL_MS`. */
+async function sweepIdleRooms() {
+  const cutoff = Date.now() - IDLE_ROOM_TTL_MS;
+  for (const roomCode of await roomStore.listCodes()) {
+    await roomStore.withRoom(roomCode, (room) => {
+      if (room && room.idleSince !== null && room.idleSince <= cutoff && !hasConnectedSockets(room)) {
+        deleteRoom(room);
+      }
+    });
+  }
+}
+
+function beginSubmitPhase(room) {
+  beginRound(room);
+  emitRoomUpdate(room);
+}
+
+setInterval(() => {
+  sweepIdleRooms().catch((error) => console.error("Idle room sweep failed:", error));
+}, IDLE_ROOM_SWEEP_MS).unref();
+
+io.on("connection", (socket) => {
+  const clientAddress = getClientAddress(socket);
+  socket.use((packet, next) => {
+    if (guardPacket(socket, clientAddress, packet)) {
+      next();
+    }
+  });
+
+  onRequest(socket, "profile:create", async (payload) => {
+    const now = Date.now();
+    const profile = {
+      id: nanoid(12),
+      name: sanitizeName(payload.name),
+      token: makeSessionToken(),
+      createdAt: now,
+      updatedAt: now,
+      stats: createProfileStats()
+    };
+    await profileStore.save(profile);
+    const created = { profile: toPublicProfile(profile), profileToken: profile.token };
+    socket.emit("profile:created", created);
+    return succeed(created);
+  });
+
+  onRequest(socket, "room:create", async (payload) => {
     const playerName = sanitizeName(payload.playerName);
+    const profile = await findProfile(payload.profileId, payload.profileToken);
+    const newRoom = createEmptyRoom(playerName, socket.id, payload.settings, profile?.id ?? null, clientAddress);
+    while (!(await roomStore.add(newRoom))) {
+      newRoom.code = makeRoomCode();
+    }
 
-    if (requestedPlayerId) {
-      const existingPlayer = getPlayerById(room, requestedPlayerId);
-      if (existingPlayer) {
-        existingPlayer.connected = true;
-        existingPlayer.socketId = socket.id;
+    return roomStore.withRoom(newRoom.code, (room) => {
+      socket.join(room.code);
+      socket.data.roomCode = room.code;
+      socket.data.playerId = room.hostPlayerId;
+
+      const joined = {
+        roomCode: room.code,
+        playerId: room.hostPlayerId,
+        sessionToken: room.players[0].sessionToken,
+        isHost: true,
+        role: "player",
+        inviteUrl: getSocketInviteUrl(socket, room.code)
+      };
+      socket.emit("room:joined", joined);
+      emitChatHistory(socket, room);
+
+      emitRoomUpdate(room, socket);
+      return succeed(joined);
+    });
+  });
+
+  onRequest(socket, "room:join", (payload) =>
+    roomStore.withRoom(String(payload.roomCode || "").toUpperCase(), async (room) => {
+      if (!room) {
+        return fail("ROOM_NOT_FOUND", "Room not found.");
+      }
+
+      const requestedPlayerId = payload.playerId ?? null;
+      const playerName = sanitizeName(payload.playerName);
+      const profile = await findProfile(payload.profileId, payload.profileToken);
+
+      if (isBanned(room, payload, profile)) {
+        return fail("BANNED", "You have been banned from this room.");
+      }
+
+      const sessionToken = payload.sessionToken ?? null;
+      const existing = sessionToken ? findSeatByToken(room, sessionToken) : null;
+      if (existing && (!requestedPlayerId || requestedPlayerId === existing.seat.id)) {
+        const { seat, role } = existing;
+        if (role === "player") {
+          clearGraceTimer(room, seat.id);
+          seat.graceUntil = null;
+        }
+        seat.connected = true;
+        seat.socketId = socket.id;
+        seat.address = clientAddress;
         if (playerName && playerName !== "Player") {
-          existingPlayer.name = playerName;
+          seat.name = playerName;
+        }
+        if (profile) {
+          seat.profileId = profile.id;
         }
 
         socket.join(room.code);
         socket.data.roomCode = room.code;
-        socket.data.playerId = existingPlayer.id;
+        socket.data.playerId = seat.id;
 
-        socket.emit("room:joined", {
+        const joined = {
           roomCode: room.code,
-          playerId: existingPlayer.id,
-          isHost: existingPlayer.id === room.hostPlayerId,
-          rejoined: true
+          playerId: seat.id,
+          sessionToken: seat.sessionToken,
+          isHost: seat.id === room.hostPlayerId,
+          role,
+          rejoined: true,
+          inviteUrl: getSocketInviteUrl(socket, room.code)
+        };
+        socket.emit("room:joined", joined);
+        emitChatHistory(socket, room);
+
+        emitRoomUpdate(room, socket);
+        return succeed(joined);
+      }
+
+      // Seats already held are reclaimed above, so players sharing a banned player's address can still rejoin.
+      if (room.bannedAddresses.includes(clientAddress)) {
+        return fail("BANNED", "You have been banned from this room.");
+      }
+
+      if (room.locked) {
+        return fail("ROOM_LOCKED", "Room is locked.");
+      }
+
+      // Outside the lobby everyone new watches first and can ask to be dealt in at the next round.
+      const joinAsSpectator = payload.spectate === true || room.phase !== "lobby";
+      if (!joinAsSpectator && room.players.length >= room.settings.maxPlayers) {
+        return fail("ROOM_FULL", "Room is full.");
+      }
+
+      const playerId = nanoid(12);
+      const newSessionToken = makeSessionToken();
+      if (joinAsSpectator) {
+        room.spectators.push({
+          id: playerId,
+          name: playerName,
+          connected: true,
+          socketId: socket.id,
+          sessionToken: newSessionToken,
+          dealIn: false,
+          profileId: profile?.id ?? null,
+          address: clientAddress
         });
+      } else {
+        room.players.push({
+          id: playerId,
+          name: playerName,
+          score: 0,
+          ready: false,
+          connected: true,
+          socketId: socket.id,
+          sessionToken: newSessionToken,
+          profileId: profile?.id ?? null,
+          address: clientAddress
+        });
+      }
 
-        emitRoomUpdate(room);
-        return;
+      socket.join(room.code);
+      socket.data.roomCode = room.code;
+      socket.data.playerId = playerId;
+
+      const joined = {
+        roomCode: room.code,
+        playerId,
+        sessionToken: newSessionToken,
+        isHost: playerId === room.hostPlayerId,
+        role: joinAsSpectator ? "spectator" : "player",
+        inviteUrl: getSocketInviteUrl(socket, room.code)
+      };
+      socket.emit("room:joined", joined);
+      emitChatHistory(socket, room);
+
+      emitRoomUpdate(room, socket);
+      return succeed(joined);
+    })
+  );
+
+  // A client that missed a `room:patch` asks for the whole state again.
+  onRoomRequest(socket, "room:sync", (room) => {
+    if (!getPlayerBySocket(room, socket.id) && !getSpectatorBySocket(room, socket.id)) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
+    }
+    emitRoomUpdate(room, socket);
+  });
+
+  onRoomRequest(socket, "spectator:deal_in", (room, payload) => {
+    const spectator = getSpectatorBySocket(room, socket.id);
+    if (!spectator) {
+      return fail("NOT_SPECTATOR", "Only spectators can ask to be dealt in.");
+    }
+
+    spectator.dealIn = payload.dealIn ?? !spectator.dealIn;
+    if (room.phase === "lobby") {
+      seatWaitingSpectators(room);
+    }
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "room:ready", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
+    }
+
+    player.ready = payload.ready ?? !player.ready;
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "room:settings", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || player.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can change room settings.");
+    }
+
+    if (room.phase !== "lobby") {
+      return fail("WRONG_PHASE", "Settings can only be changed in the lobby.");
+    }
+
+    const nextSettings = sanitizeSettings(payload.settings, room.settings);
+    if (nextSettings.maxPlayers < room.players.length) {
+      return fail("MAX_PLAYERS_TOO_LOW", `Max players cannot be below the current ${room.players.length} players.`);
+    }
+    const deckError = getDeckTooSmallError(room, nextSettings, room.players.length);
+    if (deckError) {
+      return fail("DECK_TOO_SMALL", deckError);
+    }
+
+    room.settings = nextSettings;
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "deck:upload", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || player.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can upload a custom deck.");
+    }
+
+    if (room.phase !== "lobby") {
+      return fail("WRONG_PHASE", "Decks can only be changed in the lobby.");
+    }
+
+    if (!payload.red && !payload.green) {
+      return fail("NO_DECK_FILE", "Choose a red or green deck file to upload.");
+    }
+
+    // Validate both colors before applying either, so a bad file never leaves a half-updated deck.
+    const nextDeck = { ...room.customDeck };
+    for (const color of ["red", "green"]) {
+      if (!payload[color]) {
+        continue;
+      }
+      const { pool, error } = parseCustomPool(payload[color], color);
+      if (error) {
+        return fail("INVALID_DECK", error);
       }
+      nextDeck[color] = pool;
+    }
+
+    room.customDeck = nextDeck;
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "deck:reset", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || player.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can reset the deck.");
     }
 
     if (room.phase !== "lobby") {
-      emitError(socket, "Game already started. New joins are limited to the lobby.");
-      return;
+      return fail("WRONG_PHASE", "Decks can only be changed in the lobby.");
     }
 
-    const playerId = nanoid(12);
-    room.players.push({
-      id: playerId,
-      name: playerName,
-      score: 0,
-      ready: false,
-      connected: true,
-      socketId: socket.id
-    });
+    room.customDeck = { red: null, green: null };
+    emitRoomUpdate(room);
+  });
 
-    socket.join(room.code);
-    socket.data.roomCode = room.code;
-    socket.data.playerId = playerId;
+  onRoomRequest(socket, "host:kick", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can kick players.");
+    }
 
-    socket.emit("room:joined", {
-      roomCode: room.code,
-      playerId,
-      isHost: playerId === room.hostPlayerId
-    });
+    const targetId = payload.playerId;
+    if (targetId === actingPlayer.id) {
+      return fail("CANNOT_TARGET_SELF", "The host cannot kick themselves.");
+    }
+
+    if (!kickFromRoom(room, targetId, "You were removed from the room by the host.")) {
+      return fail("PLAYER_NOT_FOUND", "Player not found.");
+    }
 
     emitRoomUpdate(room);
   });
 
-  socket.on("room:ready", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
+  onRoomRequest(socket, "host:ban", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can ban players.");
     }
 
-    const player = getPlayerBySocket(room, socket.id);
-    if (!player) {
-      emitError(socket, "You are not joined to this room.");
-      return;
+    const targetId = payload.playerId;
+    if (targetId === actingPlayer.id) {
+      return fail("CANNOT_TARGET_SELF", "The host cannot ban themselves.");
     }
 
-    player.ready = !player.ready;
+    const target = getPlayerById(room, targetId) || getSpectatorById(room, targetId);
+    if (!target) {
+      return fail("PLAYER_NOT_FOUND", "Player not found.");
+    }
+
+    const banToken = makeSessionToken();
+    kickFromRoom(room, targetId, "You were banned from the room by the host.", banToken);
+    room.bannedPlayerIds.push(targetId);
+    room.banTokens.push(banToken);
+    if (target.profileId) {
+      room.bannedProfileIds.push(target.profileId);
+    }
+    if (target.address) {
+      room.bannedAddresses.push(target.address);
+    }
     emitRoomUpdate(room);
   });
 
-  socket.on("game:start", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
+  onRoomRequest(socket, "host:transfer", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can transfer host.");
+    }
+
+    const target = getPlayerById(room, payload.playerId);
+    if (!target || !target.connected || target.isBot) {
+      return fail("INVALID_HOST", "New host must be a connected human player.");
+    }
+
+    room.hostPlayerId = target.id;
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "host:lock", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can lock the room.");
+    }
+
+    room.locked = payload.locked ?? !room.locked;
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "bot:add", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can add bots.");
+    }
+
+    if (room.phase !== "lobby") {
+      return fail("WRONG_PHASE", "Bots can only be added in the lobby.");
+    }
+
+    if (room.players.length >= room.settings.maxPlayers) {
+      return fail("ROOM_FULL", "Room is full.");
+    }
+
+    room.players.push(createBot(room, payload));
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "bot:remove", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
+      return fail("NOT_HOST", "Only the host can remove bots.");
     }
 
+    if (room.phase !== "lobby") {
+      return fail("WRONG_PHASE", "Bots can only be removed in the lobby.");
+    }
+
+    const bot = getPlayerById(room, payload.playerId);
+    if (!bot || !bot.isBot) {
+      return fail("BOT_NOT_FOUND", "Bot not found.");
+    }
+
+    removePlayer(room, bot.id);
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "game:start", (room, payload) => {
     const player = getPlayerBySocket(room, socket.id);
     if (!player) {
-      emitError(socket, "You are not joined to this room.");
-      return;
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
     }
     if (player.id !== room.hostPlayerId) {
-      emitError(socket, "Only the host can start the game.");
-      return;
+      return fail("NOT_HOST", "Only the host can start the game.");
     }
 
     const connectedPlayers = getConnectedPlayers(room);
     if (connectedPlayers.length < 2) {
-      emitError(socket, "At least 2 connected players are required to start.");
-      return;
+      return fail("NOT_ENOUGH_PLAYERS", "At least 2 connected players are required to start.");
+    }
+    const deckError = getDeckTooSmallError(room, room.settings, room.players.length);
+    if (deckError) {
+      return fail("DECK_TOO_SMALL", deckError);
     }
 
-    room.round = 1;
-    room.phase = "next_round";
-    room.judgeIndex = 0;
-    room.submissions.clear();
-    room.lastWinnerId = null;
-    room.winningSubmissionId = null;
-    room.privateHands.clear();
     room.players.forEach((entry) => {
-      entry.score = 0;
       entry.ready = false;
-      ensurePlayerHand(room, entry.id);
     });
-    initDecks(room);
-    dealToHandSize(room);
+    startGame(room, getRoomRedPools(room), getRoomGreenPools(room), room.settings.seed);
 
     emitRoomUpdate(room);
     beginSubmitPhase(room);
   });
 
-  socket.on("round:submit", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
+  onRoomRequest(socket, "round:submit", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || !player.connected) {
+      return fail("NOT_ACTIVE_PLAYER", "You are not an active player in this room.");
     }
 
-    if (room.phase !== "submit") {
-      emitError(socket, "Submissions are not open.");
-      return;
+    const error = submitCard(room, player.id, payload.cardId, createSubmissionId(room.random));
+    if (error) {
+      return failRule(error);
     }
 
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "round:mulligan", (room, payload) => {
     const player = getPlayerBySocket(room, socket.id);
     if (!player || !player.connected) {
-      emitError(socket, "You are not an active player in this room.");
-      return;
+      return fail("NOT_ACTIVE_PLAYER", "You are not an active player in this room.");
     }
 
-    const judge = getJudge(room);
-    if (!judge) {
-      emitError(socket, "No active judge available.");
-      return;
-    }
-
-    if (player.id === judge.id) {
-      emitError(socket, "The judge cannot submit a card.");
-      return;
+    const error = takeMulligan(room, player.id, payload.cardIds);
+    if (error) {
+      return failRule(error);
     }
 
-    if (room.submissions.has(player.id)) {
-      emitError(socket, "You already submitted this round.");
-      return;
-    }
+    emitRoomUpdate(room);
+  });
 
-    const cardId = String(payload.cardId || "").trim();
-    if (!cardId) {
-      emitError(socket, "Card id is required.");
-      return;
+  onRoomRequest(socket, "round:bad_harvest", (room, payload) => {
+    const player = getPlayerBySocket(room, socket.id);
+    if (!player || !player.connected) {
+      return fail("NOT_ACTIVE_PLAYER", "You are not an active player in this room.");
     }
 
-    const card = removeCardFromHand(room, player.id, cardId);
-    if (!card) {
-      emitError(socket, "Card must be in your hand.");
-      return;
+    const error = callBadHarvest(room, player.id, payload.support !== false);
+    if (error) {
+      return failRule(error);
     }
 
-    const submissionId = nanoid(10);
-    room.submissions.set(submissionId, { id: submissionId, playerId: player.id, card });
-
-    resolveSubmitPhaseCompletion(room);
-
     emitRoomUpdate(room);
   });
 
-  socket.on("round:judge_pick", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
+  onRoomRequest(socket, "round:choose_green", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
     }
 
-    if (room.phase !== "judge_pick") {
-      emitError(socket, "The room is not in judge pick phase.");
-      return;
+    const error = chooseGreenCard(room, actingPlayer.id, payload.cardId);
+    if (error) {
+      return failRule(error);
     }
 
-    const judge = getJudge(room);
+    emitRoomUpdate(room);
+  });
+
+  onRoomRequest(socket, "round:judge_pick", (room, payload) => {
     const actingPlayer = getPlayerBySocket(room, socket.id);
-    if (!judge || !actingPlayer || judge.id !== actingPlayer.id) {
-      emitError(socket, "Only the active judge can pick the winner.");
-      return;
+    if (!actingPlayer) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
     }
 
-    const submissionId = String(payload.submissionId || "").trim();
-    const winningSubmission = room.submissions.get(submissionId) || null;
-    if (!winningSubmission) {
-      emitError(socket, "Winner must be one of the submitted cards.");
-      return;
+    const error = judgePick(room, actingPlayer.id, payload.submissionId);
+    if (error) {
+      return failRule(error);
     }
 
-    const winnerPlayerId = winningSubmission.playerId;
-    const winner = getPlayerById(room, winnerPlayerId);
-    if (!winner) {
-      emitError(socket, "Winner not found.");
-      return;
-    }
+    emitRoomUpdate(room);
+  });
 
-    room.submissions.forEach((submission) => {
-      room.redDiscard.push(submission.card);
-    });
-    room.winningSubmissionId = submissionId;
-    winner.score += 1;
-    room.lastWinnerId = winner.id;
-
-    if (winner.score >= WIN_SCORE) {
-      room.phase = "game_over";
-      room.submissions.clear();
-      room.winningSubmissionId = null;
-      room.currentGreenCard = null;
-      emitRoomUpdate(room);
-      return;
+  onRoomRequest(socket, "round:vote", (room, payload) => {
+    const actingPlayer = getPlayerBySocket(room, socket.id);
+    if (!actingPlayer) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
     }
 
-    room.phase = "score";
-    dealToHandSize(room);
+    const error = castVote(room, actingPlayer.id, payload.submissionId);
+    if (error) {
+      return failRule(error);
+    }
 
     emitRoomUpdate(room);
   });
 
-  socket.on("round:next", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
-    }
-
+  onRoomRequest(socket, "round:next", (room, payload) => {
     if (room.phase !== "score") {
-      emitError(socket, "The room is not ready for the next round.");
-      return;
+      return fail("WRONG_PHASE", "The room is not ready for the next round.");
     }
 
     const actingPlayer = getPlayerBySocket(room, socket.id);
     if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
-      emitError(socket, "Only the host can advance to the next round.");
-      return;
+      return fail("NOT_HOST", "Only the host can advance to the next round.");
     }
 
-    room.judgeIndex = getNextJudgeIndex(room);
-    room.round += 1;
-    room.phase = "next_round";
-    emitRoomUpdate(room);
-
-    beginSubmitPhase(room);
+    advanceToNextRound(room);
   });
 
-  socket.on("game:rematch", (payload = {}) => {
-    const roomCode = String(payload.roomCode || socket.data.roomCode || "").toUpperCase();
-    const room = rooms.get(roomCode);
-    if (!room) {
-      emitError(socket, "Room not found.");
-      return;
-    }
-
+  onRoomRequest(socket, "game:rematch", (room, payload) => {
     if (room.phase !== "game_over") {
-      emitError(socket, "Rematch is only available after game over.");
-      return;
+      return fail("WRONG_PHASE", "Rematch is only available after game over.");
     }
 
     const actingPlayer = getPlayerBySocket(room, socket.id);
     if (!actingPlayer || actingPlayer.id !== room.hostPlayerId) {
-      emitError(socket, "Only the host can start a rematch.");
-      return;
+      return fail("NOT_HOST", "Only the host can start a rematch.");
     }
 
     const connectedPlayers = getConnectedPlayers(room);
     if (connectedPlayers.length < 2) {
-      emitError(socket, "At least 2 connected players are required to rematch.");
-      return;
+      return fail("NOT_ENOUGH_PLAYERS", "At least 2 connected players are required to rematch.");
+    }
+    const deckError = getDeckTooSmallError(room, room.settings, room.players.length);
+    if (deckError) {
+      return fail("DECK_TOO_SMALL", deckError);
     }
 
-    room.round = 1;
-    room.phase = "next_round";
-    room.judgeIndex = 0;
-    room.submissions.clear();
-    room.lastWinnerId = null;
-    room.winningSubmissionId = null;
-    room.privateHands.clear();
+    seatWaitingSpectators(room);
     room.players.forEach((entry) => {
-      entry.score = 0;
       entry.ready = false;
-      ensurePlayerHand(room, entry.id);
     });
-    initDecks(room);
-    dealToHandSize(room);
+    startGame(room, getRoomRedPools(room), getRoomGreenPools(room), room.settings.seed);
 
     emitRoomUpdate(room);
     beginSubmitPhase(room);
   });
 
-  socket.on("disconnect", () => {
-    const roomCode = socket.data.roomCode;
-    const playerId = socket.data.playerId;
-    if (!roomCode || !playerId) {
-      return;
+  onRoomRequest(socket, "chat:send", (room, payload) => {
+    const spectator = getSpectatorBySocket(room, socket.id);
+    const sender = getPlayerBySocket(room, socket.id) || spectator;
+    if (!sender) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
     }
 
-    const room = rooms.get(String(roomCode).toUpperCase());
-    if (!room) {
-      return;
+    const text = sanitizeChatText(payload.text);
+    if (!text) {
+      return fail("EMPTY_MESSAGE", "Chat messages cannot be empty.");
     }
 
-    const player = getPlayerById(room, playerId);
-    if (!player) {
-      return;
+    if (!allowChatAction(socket, "message")) {
+      return fail("CHAT_TOO_FAST", "You are sending messages too quickly.");
     }
 
-    player.connected = false;
-    player.socketId = null;
-    player.ready = false;
+    const message = {
+      id: nanoid(10),
+      senderId: sender.id,
+      name: sender.name,
+      spectator: Boolean(spectator),
+      text,
+      at: Date.now()
+    };
+    appendChatMessage(room.chat, message);
+    io.to(room.code).emit("chat:message", { roomCode: room.code, message });
+    return succeed({ messageId: message.id });
+  });
 
-    if (room.hostPlayerId === player.id) {
-      const nextHost = room.players.find((entry) => entry.connected) || room.players[0] || null;
-      if (nextHost) {
-        room.hostPlayerId = nextHost.id;
-      }
+  onRoomRequest(socket, "chat:react", (room, payload) => {
+    const reactor = getPlayerBySocket(room, socket.id) || getSpectatorBySocket(room, socket.id);
+    if (!reactor) {
+      return fail("NOT_IN_ROOM", "You are not joined to this room.");
+    }
+
+    if (!REACTION_PHASES.includes(room.phase)) {
+      return fail("WRONG_PHASE", "Reactions open once the cards are revealed.");
+    }
+
+    const submissionId = payload.submissionId;
+    if (!room.submissions.has(submissionId)) {
+      return fail("SUBMISSION_NOT_FOUND", "Submission not found.");
+    }
+
+    const emoji = payload.emoji;
+    if (!REACTION_EMOJIS.includes(emoji)) {
+      return fail("UNKNOWN_REACTION", "Unknown reaction.");
+    }
+
+    if (!allowChatAction(socket, "reaction")) {
+      return fail("CHAT_TOO_FAST", "You are reacting too quickly.");
     }
 
-    resolveSubmitPhaseCompletion(room);
+    // Reactions to earlier rounds' submissions are dropped along the way.
+    room.reactions = toggleReaction(
+      room.reactions.filter((entry) => room.submissions.has(entry.submissionId)),
+      { submissionId, reactorId: reactor.id, emoji }
+    );
     emitRoomUpdate(room);
-    ensureHostRoomNotEmpty(room.code);
   });
-});
 
-server.listen(PORT, () => {
-  console.log(`Multiplayer server listening on http://localhost:${PORT}`);
+  socket.on("disconnect", () => {
+    socketLimiter.forget(socket.id);
+    const roomCode = socket.data.roomCode;
+    const playerId = socket.data.playerId;
+    if (!roomCode || !playerId) {
+      return;
+    }
+
+    updateRoomLater(String(roomCode).toUpperCase(), (room) => {
+      // A seat that has already reconnected on a newer socket is left alone.
+      const spectator = getSpectatorById(room, playerId);
+      if (spectator) {
+        if (spectator.socketId === socket.id) {
+          spectator.connected = false;
+          spectator.socketId = null;
+          emitRoomUpdate(room);
+        }
+        return;
+      }
+
+      const player = getPlayerById(room, playerId);
+      if (player && player.socketId === socket.id) {
+        holdSeat(room, player);
+      }
+    });
+  });
 });
+
+// Under `server/cluster.js` the primary owns the port and hands each connection to a worker.
+if (cluster.isWorker) {
+  io.adapter(createAdapter());
+  setupWorker(io);
+} else {
+  server.listen(PORT, () => {
+    console.log(`Multiplayer server listening on http://localhost:${PORT}`);
+  });
+}
@@ -0,0 +1,47 @@
+// Invite links (`/r/ABC123`) and their QR codes, so players at the table can join from their phones.
+
+import { networkInterfaces } from "node:os";
+import QRCode from "qrcode";
+
+// Where players reach the server when it cannot tell from the request, e.g. behind a tunnel.
+const PUBLIC_URL = (process.env.PUBLIC_URL || "").replace(/\/+$/, "");
+const LOOPBACK_HOSTS = ["localhost", "127.0.0.1", "[::1]"];
+export const INVITE_CODE_PATTERN = /^[A-Za-z0-9]{1,16}$/;
+
+/** @returns {string|null} this machine's first IPv4 address that other devices on the network can reach */
+function findNetworkAddress() {
+  const addresses = Object.values(networkInterfaces()).flat();
+  return addresses.find((entry) => entry?.family === "IPv4" && !entry.internal)?.address ?? null;
+}
+
+/**
+ * The origin invite links point at: `PUBLIC_URL` when set, otherwise the one the request came in on.
+ * A loopback host becomes this machine's network address, since a phone cannot reach the host's localhost.
+ * @param {string|undefined} host the request's `Host`
+ * @param {boolean} secure whether the request came in over HTTPS
+ */
+export function getPublicOrigin(host, secure) {
+  if (PUBLIC_URL) {
+    return PUBLIC_URL;
+  }
+  let url;
+  try {
+    url = new URL(`${secure ? "https" : "http"}://${host || "localhost"}`);
+  } catch {
+    url = new URL("http://localhost");
+  }
+  const networkAddress = LOOPBACK_HOSTS.includes(url.hostname) ? findNetworkAddress() : null;
+  if (networkAddress) {
+    url.hostname = networkAddress;
+  }
+  return url.origin;
+}
+
+export function getInviteUrl(origin, roomCode) {
+  return `${origin}/r/${roomCode}`;
+}
+
+/** @returns {Promise<string>} an SVG QR code for `url` */
+export function renderInviteQr(url) {
+  return QRCode.toString(url, { type: "svg", margin: 2, errorCorrectionLevel: "M" });
+}
@@ -0,0 +1,156 @@
+// Prometheus metrics in the text exposition format. Values are kept as plain data, so under `server/cluster.js`
+// the copies held by each worker process can be merged before they are rendered.
+
+/**
+ * @typedef {Object} MetricSeries
+ * @property {Record<string, string>} labels
+ * @property {number} value counter or gauge value; for histograms, the sum of every observation
+ * @property {number[]} [buckets] histograms only: observations per bound in `MetricFamily.bounds`, not cumulative
+ * @property {number} [count] histograms only: every observation, including those above the last bound
+ */
+
+/**
+ * @typedef {Object} MetricFamily
+ * @property {string} name
+ * @property {"counter"|"gauge"|"histogram"} type
+ * @property {string} help
+ * @property {number[]} [bounds] histograms only: bucket upper bounds in ascending order; `+Inf` is implied
+ * @property {MetricSeries[]} series
+ */
+
+const labelKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => (a < b ? -1 : 1)));
+
+const escapeLabelValue = (value) => String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function copySeries(series) {
+  return { ...series, labels: { ...series.labels }, ...(series.buckets ? { buckets: [...series.buckets] } : {}) };
+}
+
+/**
+ * Counters, gauges, and histograms for one process. Series are created on first use for each label set.
+ */
+export function createMetricsRegistry() {
+  /** @type {Map<string, { family: Omit<MetricFamily, "series">, series: Map<string, MetricSeries> }>} */
+  const entries = new Map();
+
+  const register = (family) => {
+    const entry = { family, series: new Map() };
+    entries.set(family.name, entry);
+    return entry;
+  };
+
+  const seriesFor = (entry, labels) => {
+    const key = labelKey(labels);
+    if (!entry.series.has(key)) {
+      const { bounds } = entry.family;
+      const histogram = bounds ? { buckets: bounds.map(() => 0), count: 0 } : {};
+      entry.series.set(key, { labels: { ...labels }, value: 0, ...histogram });
+    }
+    return entry.series.get(key);
+  };
+
+  return {
+    counter(name, help) {
+      const entry = register({ name, type: "counter", help });
+      return {
+        inc(labels = {}, amount = 1) {
+          seriesFor(entry, labels).value += amount;
+        }
+      };
+    },
+
+    gauge(name, help) {
+      const entry = register({ name, type: "gauge", help });
+      return {
+        set(labels, value) {
+          seriesFor(entry, labels).value = value;
+        }
+      };
+    },
+
+    /** @param {number[]} bounds */
+    histogram(name, help, bounds) {
+      const entry = register({ name, type: "histogram", help, bounds });
+      return {
+        observe(labels, value) {
+          const series = seriesFor(entry, labels);
+          const index = bounds.findIndex((bound) => value <= bound);
+          if (index !== -1) {
+            series.buckets[index] += 1;
+          }
+          series.count += 1;
+          series.value += value;
+        }
+      };
+    },
+
+    /** @returns {MetricFamily[]} a copy that later updates do not touch */
+    snapshot() {
+      return [...entries.values()].map(({ family, series }) => ({
+        ...family,
+        series: [...series.values()].map(copySeries)
+      }));
+    }
+  };
+}
+
+/**
+ * Adds up several processes' snapshots series by series. Gauges are summed too, so only merge gauges that
+ * count something each process holds separately, such as its own sockets.
+ * @param {MetricFamily[][]} snapshots
+ * @returns {MetricFamily[]}
+ */
+export function mergeMetricSnapshots(snapshots) {
+  /** @type {Map<string, { family: MetricFamily, series: Map<string, MetricSeries> }>} */
+  const merged = new Map();
+  snapshots.flat().forEach((family) => {
+    if (!merged.has(family.name)) {
+      merged.set(family.name, { family, series: new Map() });
+    }
+    const { series } = merged.get(family.name);
+    family.series.forEach((entry) => {
+      const key = labelKey(entry.labels);
+      const total = series.get(key);
+      if (!total) {
+        series.set(key, copySeries(entry));
+        return;
+      }
+      total.value += entry.value;
+      if (total.buckets) {
+        total.count += entry.count;
+        entry.buckets.forEach((observations, index) => (total.buckets[index] += observations));
+      }
+    });
+  });
+  return [...merged.values()].map(({ family, series }) => ({ ...family, series: [...series.values()] }));
+}
+
+/**
+ * @param {MetricFamily[]} families
+ * @returns {string} the Prometheus text exposition format, version 0.0.4
+ */
+export function renderMetrics(families) {
+  const lines = [];
+  families.forEach(({ name, type, help, bounds, series }) => {
+    lines.push(`# HELP ${name} ${help.replace(/\\/g, "\\\\").replace(/\n/g, "\\n")}`, `# TYPE ${name} ${type}`);
+    series.forEach(({ labels, value, buckets, count }) => {
+      if (type !== "histogram") {
+        lines.push(`${name}${formatLabels(labels)} ${value}`);
+        return;
+      }
+      let cumulative = 0;
+      bounds.forEach((bound, index) => {
+        cumulative += buckets[index];
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: String(bound) })} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${value}`, `${name}_count${formatLabels(labels)} ${count}`);
+    });
+  });
+  return `${lines.join("\n")}\n`;
+}
@@ -0,0 +1,110 @@
+import { mkdirSync, readFileSync, renameSync, writeFileSync } from "node:fs";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { mergeProfileStats } from "../js/profiles.js";
+
+const PROFILE_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+const PROFILE_STORE = process.env.PROFILE_STORE || "file";
+const PROFILE_STORE_DIR =
+  process.env.PROFILE_STORE_DIR || fileURLToPath(new URL("../.data/profiles", import.meta.url));
+
+/**
+ * A profile plus its secret `token`, which only ever leaves the server in `profile:created`.
+ * @typedef {import("../js/profiles.js").Profile & { token: string }} StoredProfile
+ */
+
+/**
+ * Where profiles are kept. Worker processes reach the primary's store through `createClusterProfileStore`,
+ * so a profile is only ever read, changed, and written back in one process.
+ * @typedef {Object} ProfileStore
+ * @property {(profileId: string) => Promise<StoredProfile|null>} get
+ * @property {(profile: StoredProfile) => Promise<void>} save
+ * @property {(profileId: string, name: string, summary: import("../js/profiles.js").ProfileStats) => Promise<void>}
+ *   recordMatch adds a `summarizeMatch` delta to the profile's stats and renames it to the seat's name
+ */
+
+/**
+ * Builds the `recordMatch` of a store from its own `get` and `save`. Nothing is awaited in between, so
+ * two games ending at once cannot drop each other's stats.
+ * @param {(profileId: string) => StoredProfile|null} get
+ * @param {(profile: StoredProfile) => void} save
+ */
+function recordMatchWith(get, save) {
+  return async (profileId, name, summary) => {
+    const profile = get(profileId);
+    if (profile) {
+      save({ ...profile, name, updatedAt: Date.now(), stats: mergeProfileStats(profile.stats, summary) });
+    }
+  };
+}
+
+/** @returns {ProfileStore} */
+export function createMemoryProfileStore() {
+  const profiles = new Map();
+  const get = (profileId) => profiles.get(profileId) || null;
+  const save = (profile) => profiles.set(profile.id, profile);
+  return {
+    async get(profileId) {
+      return get(profileId);
+    },
+    async save(profile) {
+      save(profile);
+    },
+    recordMatch: recordMatchWith(get, save)
+  };
+}
+
+/**
+ * Stores one JSON file per profile; profiles are small, so every `get` reads the file. Writes go through
+ * a temp file like the room store. Only one process may write to a directory: worker processes go through
+ * the primary's store instead of opening their own.
+ * @param {string} directory
+ * @returns {ProfileStore}
+ */
+export function createFileProfileStore(directory) {
+  mkdirSync(directory, { recursive: true });
+
+  const profilePath = (profileId) => join(directory, `${profileId}.json`);
+
+  const get = (profileId) => {
+    // Ids come from clients, so anything that isn't a plain file name is never looked up.
+    if (typeof profileId !== "string" || !PROFILE_ID_PATTERN.test(profileId)) {
+      return null;
+    }
+    try {
+      const profile = JSON.parse(readFileSync(profilePath(profileId), "utf8"));
+      return profile?.id === profileId && profile.token ? profile : null;
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        console.error(`Skipping unreadable profile ${profileId}:`, error);
+      }
+      return null;
+    }
+  };
+
+  const save = (profile) => {
+    const target = profilePath(profile.id);
+    const temp = `${target}.tmp`;
+    try {
+      writeFileSync(temp, JSON.stringify(profile));
+      renameSync(temp, target);
+    } catch (error) {
+      console.error(`Failed to persist profile ${profile.id}:`, error);
+    }
+  };
+
+  return {
+    async get(profileId) {
+      return get(profileId);
+    },
+    async save(profile) {
+      save(profile);
+    },
+    recordMatch: recordMatchWith(get, save)
+  };
+}
+
+/** The store picked by `PROFILE_STORE` (`file` or `memory`) and `PROFILE_STORE_DIR`. */
+export function openProfileStore() {
+  return PROFILE_STORE === "memory" ? createMemoryProfileStore() : createFileProfileStore(PROFILE_STORE_DIR);
+}
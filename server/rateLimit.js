@@ -0,0 +1,57 @@
+/**
+ * @typedef {Object} RateLimitOptions
+ * @property {number} burst bucket size; 0 disables the limiter
+ * @property {number} perSecond tokens refilled per second, above 0
+ */
+
+/**
+ * @typedef {Object} RateLimiter
+ * @property {(key: string, cost?: number) => { ok: boolean, retryAfterMs: number }} take
+ *   spends `cost` tokens from `key`'s bucket, or reports how long until they are available
+ * @property {(key: string) => void} forget
+ * @property {() => void} sweep drops buckets that have refilled, since a full bucket behaves like a new one
+ */
+
+/**
+ * Token buckets keyed by an arbitrary string (socket id, client address). Buckets start full.
+ * @param {RateLimitOptions} options
+ * @returns {RateLimiter}
+ */
+export function createTokenBucketLimiter({ burst, perSecond }) {
+  /** @type {Map<string, { tokens: number, updatedAt: number }>} */
+  const buckets = new Map();
+
+  const refill = (bucket, now) => Math.min(burst, bucket.tokens + ((now - bucket.updatedAt) / 1000) * perSecond);
+
+  return {
+    take(key, cost = 1) {
+      if (burst <= 0) {
+        return { ok: true, retryAfterMs: 0 };
+      }
+      // A cost above the burst could never be paid, so it empties a full bucket instead.
+      const needed = Math.min(cost, burst);
+      const now = Date.now();
+      const bucket = buckets.get(key);
+      const tokens = bucket ? refill(bucket, now) : burst;
+      if (tokens < needed) {
+        buckets.set(key, { tokens, updatedAt: now });
+        return { ok: false, retryAfterMs: Math.ceil(((needed - tokens) / perSecond) * 1000) };
+      }
+      buckets.set(key, { tokens: tokens - needed, updatedAt: now });
+      return { ok: true, retryAfterMs: 0 };
+    },
+
+    forget(key) {
+      buckets.delete(key);
+    },
+
+    sweep() {
+      const now = Date.now();
+      buckets.forEach((bucket, key) => {
+        if (refill(bucket, now) >= burst) {
+          buckets.delete(key);
+        }
+      });
+    }
+  };
+}
@@ -0,0 +1,331 @@
+import { mkdirSync, readdirSync, readFileSync } from "node:fs";
+import { rename, rm, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { createRandom } from "../js/random.js";
+import { sanitizeSettings } from "./settings.js";
+
+const SNAPSHOT_VERSION = 1;
+const ROOM_FILE_PATTERN = /^[A-Z0-9]+\.json$/;
+const ROOM_STORE = process.env.ROOM_STORE || "file";
+const ROOM_STORE_DIR = process.env.ROOM_STORE_DIR || fileURLToPath(new URL("../.data/rooms", import.meta.url));
+// Changes to a room within this long of each other are written to disk together.
+const SAVE_DELAY_MS = 1_000;
+
+/**
+ * Where live rooms are kept between requests. Every change to a room goes through `withRoom`, which holds
+ * that room's lock, so two requests for the same room never interleave, even from different worker processes.
+ * @typedef {Object} RoomStore
+ * @property {(roomCode: string) => Promise<object|null>} get latest saved state, for read-only use without the lock
+ * @property {(room: object) => Promise<boolean>} add stores a new room; false if its code is already taken
+ * @property {<T>(roomCode: string, update: (room: object|null) => T|Promise<T>) => Promise<T>} withRoom
+ *   runs `update` on the latest state (null for an unknown code) while holding the room's lock, then saves
+ *   the room. If `update` throws, what it changed may not be saved. In worker processes the room's archived
+ *   `matches` come without their `events`; read those through `get`.
+ * @property {(roomCode: string) => void} remove deletes the room; only call it from that room's `withRoom`
+ * @property {() => Promise<string[]>} listCodes
+ */
+
+/**
+ * Snapshots that let rooms survive a restart.
+ * @typedef {Object} RoomPersistence
+ * @property {(room: object) => void} save persists a snapshot of the room shortly. The room is serialized when
+ *   it is written, so changes made to it until then are included
+ * @property {(roomCode: string) => void} remove drops the room's snapshot
+ * @property {() => object[]} loadAll restores every saved room
+ * @property {() => Promise<void>} flush writes every snapshot still waiting to be saved
+ */
+
+/** Converts a live room into plain JSON without losing anything. Maps become entry arrays. */
+export function encodeRoom(room) {
+  return {
+    ...room,
+    submissions: [...room.submissions.entries()],
+    votes: [...room.votes.entries()],
+    privateHands: [...room.privateHands.entries()]
+  };
+}
+
+/** Reverses `encodeRoom`. */
+export function decodeRoom(data) {
+  return {
+    ...data,
+    submissions: new Map(data.submissions),
+    votes: new Map(data.votes),
+    privateHands: new Map(data.privateHands)
+  };
+}
+
+/**
+ * Converts a live room into a snapshot. Socket bindings are dropped, since sockets never survive a restart,
+ * and so is the state last sent to clients, which every client gets afresh when it rejoins.
+ */
+export function serializeRoom(room) {
+  const data = encodeRoom(room);
+  return {
+    version: SNAPSHOT_VERSION,
+    room: {
+      ...data,
+      publicState: null,
+      players: data.players.map((player) => ({ ...player, connected: false, socketId: null, sentPlayerState: null })),
+      spectators: data.spectators.map((spectator) => ({ ...spectator, connected: false, socketId: null }))
+    }
+  };
+}
+
+/**
+ * Rebuilds a room from a snapshot as it should look after a restart: every human is disconnected, fields
+ * added since the snapshot was written get their defaults, and the room starts out idle. Phase deadlines
+ * restart with a full window once the first player is back, instead of expiring on an empty room.
+ */
+export function deserializeRoom(snapshot) {
+  if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !snapshot.room?.code) {
+    return null;
+  }
+  const { room } = snapshot;
+  return {
+    ...room,
+    submissions: new Map(room.submissions || []),
+    votes: new Map(room.votes || []),
+    greenChoices: room.greenChoices || [],
+    mulligans: room.mulligans || [],
+    harvestVotes: room.harvestVotes || [],
+    lastHarvestRound: room.lastHarvestRound || 0,
+    history: room.history || [],
+    matches: room.matches || [],
+    chat: room.chat || [],
+    reactions: room.reactions || [],
+    bannedProfileIds: room.bannedProfileIds || [],
+    banTokens: room.banTokens || [],
+    bannedAddresses: room.bannedAddresses || [],
+    privateHands: new Map(room.privateHands || []),
+    random: room.random || createRandom(),
+    settings: sanitizeSettings(room.settings),
+    customDeck: { red: room.customDeck?.red || null, green: room.customDeck?.green || null },
+    phaseDeadline: null,
+    phaseDeadlineKey: null,
+    idleSince: Date.now(),
+    stateSeq: room.stateSeq || 0,
+    publicState: null,
+    players: (room.players || []).map((player) => ({
+      ...player,
+      connected: Boolean(player.isBot),
+      ready: false,
+      socketId: null,
+      graceUntil: null,
+      sentPlayerState: null
+    })),
+    spectators: (room.spectators || []).map((spectator) => ({ ...spectator, connected: false, socketId: null }))
+  };
+}
+
+/** @returns {RoomPersistence} */
+export function createMemoryRoomPersistence() {
+  return {
+    save() {},
+    remove() {},
+    loadAll() {
+      return [];
+    },
+    async flush() {}
+  };
+}
+
+/**
+ * Stores one JSON file per room. Saves wait `SAVE_DELAY_MS`, so a burst of changes to a room is written once,
+ * and are written without blocking the event loop. A snapshot that matches the last one written is skipped,
+ * as after a `room:sync`. Writes go to a temp file first and are renamed into place, so a crash mid-write
+ * leaves the previous snapshot intact.
+ * @param {string} directory
+ * @returns {RoomPersistence}
+ */
+export function createFileRoomPersistence(directory) {
+  mkdirSync(directory, { recursive: true });
+
+  const roomPath = (roomCode) => join(directory, `${roomCode}.json`);
+  /** @type {Map<string, { room: object, timer: NodeJS.Timeout }>} rooms waiting to be written */
+  const waiting = new Map();
+  /** @type {Map<string, string>} the last snapshot written per room, as JSON */
+  const written = new Map();
+  /** @type {Map<string, Promise<void>>} each room's latest disk operation, so they land in order */
+  const operations = new Map();
+
+  const enqueue = (roomCode, operation) => {
+    const next = (operations.get(roomCode) || Promise.resolve()).then(operation);
+    operations.set(roomCode, next);
+    next.then(() => {
+      if (operations.get(roomCode) === next) {
+        operations.delete(roomCode);
+      }
+    });
+    return next;
+  };
+
+  const write = (roomCode) => {
+    const entry = waiting.get(roomCode);
+    if (!entry) {
+      return Promise.resolve();
+    }
+    waiting.delete(roomCode);
+    clearTimeout(entry.timer);
+    const json = JSON.stringify(serializeRoom(entry.room));
+    if (written.get(roomCode) === json) {
+      return Promise.resolve();
+    }
+    written.set(roomCode, json);
+    return enqueue(roomCode, async () => {
+      const target = roomPath(roomCode);
+      const temp = `${target}.tmp`;
+      try {
+        await writeFile(temp, json);
+        await rename(temp, target);
+      } catch (error) {
+        // Forgotten so the next save writes it again, even if nothing else changed.
+        if (written.get(roomCode) === json) {
+          written.delete(roomCode);
+        }
+        console.error(`Failed to persist room ${roomCode}:`, error);
+      }
+    });
+  };
+
+  return {
+    save(room) {
+      const timer = waiting.get(room.code)?.timer ?? setTimeout(() => write(room.code), SAVE_DELAY_MS).unref();
+      waiting.set(room.code, { room, timer });
+    },
+
+    remove(roomCode) {
+      clearTimeout(waiting.get(roomCode)?.timer);
+      waiting.delete(roomCode);
+      written.delete(roomCode);
+      enqueue(roomCode, () =>
+        rm(roomPath(roomCode), { force: true }).catch((error) =>
+          console.error(`Failed to remove room snapshot ${roomCode}:`, error)
+        )
+      );
+    },
+
+    loadAll() {
+      return readdirSync(directory)
+        .filter((file) => ROOM_FILE_PATTERN.test(file))
+        .map((file) => {
+          try {
+            return deserializeRoom(JSON.parse(readFileSync(join(directory, file), "utf8")));
+          } catch (error) {
+            console.error(`Skipping unreadable room snapshot ${file}:`, error);
+            return null;
+          }
+        })
+        .filter(Boolean);
+    },
+
+    async flush() {
+      await Promise.all([...waiting.keys()].map(write));
+      await Promise.all(operations.values());
+    }
+  };
+}
+
+/**
+ * The snapshot store picked by `ROOM_STORE` (`file` or `memory`) and `ROOM_STORE_DIR`. Rooms it already holds
+ * are loaded straight away and counted in the log.
+ * @returns {{ persistence: RoomPersistence, restored: object[] }}
+ */
+export function openRoomPersistence() {
+  const persistence =
+    ROOM_STORE === "memory" ? createMemoryRoomPersistence() : createFileRoomPersistence(ROOM_STORE_DIR);
+  const restored = persistence.loadAll();
+  if (restored.length > 0) {
+    console.log(`Restored ${restored.length} room(s) from ${ROOM_STORE} store.`);
+  }
+  // Snapshots wait a moment before they are written, so write what is left before the process stops.
+  ["SIGINT", "SIGTERM"].forEach((signal) =>
+    process.once(signal, () => {
+      persistence.flush().finally(() => process.exit(0));
+    })
+  );
+  return { persistence, restored };
+}
+
+/**
+ * One lock per key. `acquire` resolves with a release function once every earlier holder of that key has
+ * released; releasing twice is harmless.
+ * @returns {{ acquire: (key: string) => Promise<() => void> }}
+ */
+export function createKeyedMutex() {
+  /** @type {Map<string, Promise<void>>} */
+  const tails = new Map();
+
+  return {
+    acquire(key) {
+      const previous = tails.get(key) || Promise.resolve();
+      let unlock;
+      const tail = previous.then(() => new Promise((resolve) => (unlock = resolve)));
+      tails.set(key, tail);
+
+      return previous.then(() => {
+        let released = false;
+        return () => {
+          if (released) {
+            return;
+          }
+          released = true;
+          if (tails.get(key) === tail) {
+            tails.delete(key);
+          }
+          unlock();
+        };
+      });
+    }
+  };
+}
+
+/**
+ * Keeps live rooms in this process and saves a snapshot after every `withRoom`. This is the store for a
+ * single server process; `createClusterRoomStore` is the one for worker processes.
+ * @param {{ persistence: RoomPersistence, restored: object[] }} options
+ * @returns {RoomStore}
+ */
+export function createLocalRoomStore({ persistence, restored }) {
+  const rooms = new Map(restored.map((room) => [room.code, room]));
+  const mutex = createKeyedMutex();
+
+  return {
+    async get(roomCode) {
+      return rooms.get(roomCode) || null;
+    },
+
+    async add(room) {
+      if (rooms.has(room.code)) {
+        return false;
+      }
+      rooms.set(room.code, room);
+      persistence.save(room);
+      return true;
+    },
+
+    async withRoom(roomCode, update) {
+      const release = await mutex.acquire(roomCode);
+      try {
+        const room = rooms.get(roomCode) || null;
+        const result = await update(room);
+        if (room && rooms.get(roomCode) === room) {
+          persistence.save(room);
+        }
+        return result;
+      } finally {
+        release();
+      }
+    },
+
+    remove(roomCode) {
+      rooms.delete(roomCode);
+      persistence.remove(roomCode);
+    },
+
+    async listCodes() {
+      return [...rooms.keys()];
+    }
+  };
+}
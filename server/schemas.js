@@ -0,0 +1,189 @@
+// Payload schemas for every client -> server Socket.IO event, matching the contract in the README.
+// Checked once per packet before any handler runs, so handlers only ever see the declared fields
+// with the declared types. Range checks and clamping stay with the handlers and `sanitizeSettings`.
+
+const MAX_ID_LENGTH = 64;
+const MAX_NAME_LENGTH = 64;
+const MAX_CHAT_INPUT_LENGTH = 2_000;
+const MAX_DECK_CONTENT_LENGTH = 100_000;
+const MAX_LIST_ITEMS = 20;
+
+/**
+ * @typedef {Object} FieldSchema
+ * @property {"string"|"number"|"boolean"|"array"|"object"} type
+ * @property {boolean} [optional] the field may be missing or `undefined`
+ * @property {number} [maxLength] strings only
+ * @property {string[]} [values] allowed string values
+ * @property {FieldSchema} [items] arrays only
+ * @property {number} [maxItems] arrays only
+ * @property {Record<string, FieldSchema>} [fields] objects only; other keys are dropped
+ */
+
+const string = (maxLength = MAX_ID_LENGTH) => ({ type: "string", maxLength });
+const number = () => ({ type: "number" });
+const boolean = () => ({ type: "boolean" });
+const oneOf = (values) => ({ type: "string", values });
+const arrayOf = (items, maxItems = MAX_LIST_ITEMS) => ({ type: "array", items, maxItems });
+const object = (fields) => ({ type: "object", fields });
+const optional = (schema) => ({ ...schema, optional: true });
+
+const roomCode = optional(string(16));
+const roomOnly = object({ roomCode });
+const targetPlayer = object({ roomCode, playerId: string() });
+const deckFile = optional(object({ format: oneOf(["json", "csv"]), content: string(MAX_DECK_CONTENT_LENGTH) }));
+const profileCredentials = { profileId: optional(string()), profileToken: optional(string()) };
+
+const settings = object({
+  winScore: optional(number()),
+  handSize: optional(number()),
+  maxPlayers: optional(number()),
+  roundLimit: optional(number()),
+  mode: optional(string()),
+  tieBreak: optional(string()),
+  variants: optional(arrayOf(string())),
+  pickinCount: optional(number()),
+  mulliganCost: optional(string()),
+  phaseSeconds: optional(
+    object({
+      green_pick: optional(number()),
+      submit: optional(number()),
+      judge_pick: optional(number()),
+      vote: optional(number()),
+      score: optional(number())
+    })
+  ),
+  packIds: optional(arrayOf(string())),
+  seed: optional(string())
+});
+
+/** @type {Record<string, FieldSchema>} */
+export const EVENT_SCHEMAS = {
+  "profile:create": object({ name: string(MAX_NAME_LENGTH) }),
+  "room:create": object({ playerName: string(MAX_NAME_LENGTH), settings: optional(settings), ...profileCredentials }),
+  "room:settings": object({ roomCode, settings }),
+  "room:join": object({
+    roomCode: string(16),
+    playerName: string(MAX_NAME_LENGTH),
+    playerId: optional(string()),
+    sessionToken: optional(string()),
+    spectate: optional(boolean()),
+    banToken: optional(string()),
+    ...profileCredentials
+  }),
+  "room:sync": roomOnly,
+  "spectator:deal_in": object({ roomCode, dealIn: optional(boolean()) }),
+  "deck:upload": object({ roomCode, red: deckFile, green: deckFile }),
+  "deck:reset": roomOnly,
+  "bot:add": object({
+    roomCode,
+    name: optional(string(MAX_NAME_LENGTH)),
+    difficulty: optional(string()),
+    thinkSeconds: optional(number())
+  }),
+  "bot:remove": targetPlayer,
+  "host:kick": targetPlayer,
+  "host:ban": targetPlayer,
+  "host:transfer": targetPlayer,
+  "host:lock": object({ roomCode, locked: optional(boolean()) }),
+  "room:ready": object({ roomCode, ready: optional(boolean()) }),
+  "game:start": roomOnly,
+  "game:rematch": roomOnly,
+  "round:submit": object({ roomCode, cardId: string() }),
+  "round:mulligan": object({ roomCode, cardIds: arrayOf(string()) }),
+  "round:bad_harvest": object({ roomCode, support: optional(boolean()) }),
+  "round:choose_green": object({ roomCode, cardId: string() }),
+  "round:judge_pick": object({ roomCode, submissionId: string() }),
+  "round:vote": object({ roomCode, submissionId: string() }),
+  "round:next": roomOnly,
+  "chat:send": object({ roomCode, text: string(MAX_CHAT_INPUT_LENGTH) }),
+  "chat:react": object({ roomCode, submissionId: string(), emoji: string(16) })
+};
+
+function describeType(schema) {
+  if (schema.values) {
+    return `one of ${schema.values.map((value) => `"${value}"`).join(", ")}`;
+  }
+  if (schema.type === "string") {
+    return `a string of at most ${schema.maxLength} characters`;
+  }
+  if (schema.type === "array") {
+    return `a list of at most ${schema.maxItems} items`;
+  }
+  return schema.type === "object" ? "an object" : `a ${schema.type}`;
+}
+
+function isPlainObject(value) {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {FieldSchema} schema
+ * @param {unknown} value
+ * @param {string} path
+ * @returns {{ value: unknown } | { error: string }}
+ */
+function check(schema, value, path) {
+  const invalid = { error: `${path || "payload"} must be ${describeType(schema)}.` };
+
+  if (schema.type === "string") {
+    if (typeof value !== "string") {
+      return invalid;
+    }
+    return (schema.values ? schema.values.includes(value) : value.length <= schema.maxLength) ? { value } : invalid;
+  }
+  if (schema.type === "number") {
+    return typeof value === "number" && Number.isFinite(value) ? { value } : invalid;
+  }
+  if (schema.type === "boolean") {
+    return typeof value === "boolean" ? { value } : invalid;
+  }
+  if (schema.type === "array") {
+    if (!Array.isArray(value) || value.length > schema.maxItems) {
+      return invalid;
+    }
+    const items = [];
+    for (const [index, item] of value.entries()) {
+      const result = check(schema.items, item, `${path}[${index}]`);
+      if ("error" in result) {
+        return result;
+      }
+      items.push(result.value);
+    }
+    return { value: items };
+  }
+
+  if (!isPlainObject(value)) {
+    return invalid;
+  }
+  const fields = {};
+  for (const [key, fieldSchema] of Object.entries(schema.fields)) {
+    const fieldPath = path ? `${path}.${key}` : key;
+    if (value[key] === undefined) {
+      if (!fieldSchema.optional) {
+        return { error: `${fieldPath} is required.` };
+      }
+      continue;
+    }
+    const result = check(fieldSchema, value[key], fieldPath);
+    if ("error" in result) {
+      return result;
+    }
+    fields[key] = result.value;
+  }
+  return { value: fields };
+}
+
+/**
+ * Validates a client payload for `eventName`. A missing payload counts as `{}`, so events whose fields
+ * are all optional can be sent bare.
+ * @returns {{ value: object } | { error: string }} the payload with undeclared keys dropped, or why it was rejected
+ */
+export function validatePayload(eventName, payload) {
+  // Own keys only, so event names such as "constructor" are unknown rather than inherited.
+  const schema = Object.hasOwn(EVENT_SCHEMAS, eventName) ? EVENT_SCHEMAS[eventName] : null;
+  if (!schema) {
+    return { error: `Unknown event "${eventName}".` };
+  }
+  const result = check(schema, payload === undefined || payload === null ? {} : payload, "");
+  return "error" in result ? { error: `Invalid ${eventName} payload: ${result.error}` } : result;
+}
@@ -0,0 +1,135 @@
+// Room settings as the host adjusts them through `room:settings`, with the bounds every value is clamped into.
+// Also used to bring settings saved by older servers up to date when rooms are restored.
+
+import { DEFAULT_PACK_IDS, PACKS } from "../data/packs/index.js";
+import { DEFAULT_RULES, GAME_MODES, MULLIGAN_COSTS, TIE_BREAKS, VARIANT_IDS } from "../js/rules.js";
+
+export const TIMED_PHASES = ["green_pick", "submit", "judge_pick", "vote", "score"];
+const DEFAULT_PHASE_SECONDS = { green_pick: 30, submit: 60, judge_pick: 45, vote: 45, score: 15 };
+const MIN_PHASE_SECONDS = 10;
+const MAX_PHASE_SECONDS = 600;
+const MAX_SEED_LENGTH = 64;
+// A roundLimit of 0 means the game only ends on win score.
+const SETTING_BOUNDS = {
+  winScore: { min: 3, max: 25 },
+  handSize: { min: 3, max: 10 },
+  maxPlayers: { min: 2, max: 12 },
+  roundLimit: { min: 0, max: 100 },
+  pickinCount: { min: 1, max: 11 }
+};
+const SETTING_CHOICES = {
+  mode: GAME_MODES,
+  tieBreak: TIE_BREAKS,
+  mulliganCost: MULLIGAN_COSTS
+};
+const DEFAULT_SETTINGS = {
+  ...DEFAULT_RULES,
+  maxPlayers: 8,
+  phaseSeconds: DEFAULT_PHASE_SECONDS,
+  packIds: DEFAULT_PACK_IDS,
+  seed: ""
+};
+const PACK_IDS = new Set(PACKS.map((pack) => pack.id));
+
+/**
+ * Host-chosen rules for a room. Adjustable in the lobby through `room:settings`.
+ * @typedef {Object} RoomSettings
+ * @property {number} winScore
+ * @property {number} handSize
+ * @property {number} maxPlayers
+ * @property {number} roundLimit 0 means no limit
+ * @property {"judge"|"vote"} mode
+ * @property {"random"|"earliest"|"underdog"} tieBreak
+ * @property {string[]} variants house rules from `VARIANTS` in `js/rules.js`
+ * @property {number} pickinCount cards judged under Apple Pickin'
+ * @property {"skip"|"point"} mulliganCost
+ * @property {PhaseSeconds} phaseSeconds
+ * @property {string[]} packIds card packs merged into the decks, see `data/packs/index.js`
+ * @property {string} seed deals every game from this seed; empty for a fresh one each game.
+ *   Only the host is sent it, since knowing it gives away the deck order.
+ */
+
+/**
+ * Seconds allowed per timed phase. 0 disables the deadline for that phase.
+ * @typedef {Object} PhaseSeconds
+ * @property {number} green_pick
+ * @property {number} submit
+ * @property {number} judge_pick
+ * @property {number} vote
+ * @property {number} score
+ */
+
+function sanitizePhaseSeconds(input, base = DEFAULT_PHASE_SECONDS) {
+  const source = input && typeof input === "object" ? input : {};
+  const result = { ...base };
+  TIMED_PHASES.forEach((phase) => {
+    if (source[phase] === undefined) {
+      return;
+    }
+    const seconds = Math.floor(Number(source[phase]));
+    if (!Number.isFinite(seconds) || seconds <= 0) {
+      result[phase] = 0;
+      return;
+    }
+    result[phase] = Math.min(MAX_PHASE_SECONDS, Math.max(MIN_PHASE_SECONDS, seconds));
+  });
+  return result;
+}
+
+/** Keeps known, unique pack ids in order. An empty or invalid selection keeps `base`. */
+function sanitizePackIds(input, base = DEFAULT_PACK_IDS) {
+  if (!Array.isArray(input)) {
+    return [...base];
+  }
+  const packIds = [...new Set(input.map((id) => String(id)))].filter((id) => PACK_IDS.has(id));
+  return packIds.length > 0 ? packIds : [...base];
+}
+
+function sanitizeVariants(input) {
+  return Array.isArray(input) ? VARIANT_IDS.filter((variantId) => input.includes(variantId)) : [];
+}
+
+/**
+ * Merges a partial settings payload over `base`, clamping every value into its bounds.
+ * Unknown keys and non-numeric values are ignored.
+ */
+export function sanitizeSettings(input, base = DEFAULT_SETTINGS) {
+  const source = input && typeof input === "object" ? input : {};
+  const result = {
+    ...base,
+    phaseSeconds: { ...base.phaseSeconds },
+    packIds: sanitizePackIds(base.packIds),
+    variants: sanitizeVariants(base.variants)
+  };
+
+  Object.entries(SETTING_BOUNDS).forEach(([key, { min, max }]) => {
+    if (source[key] === undefined) {
+      return;
+    }
+    const value = Math.floor(Number(source[key]));
+    if (!Number.isFinite(value)) {
+      return;
+    }
+    result[key] = Math.min(max, Math.max(min, value));
+  });
+
+  Object.entries(SETTING_CHOICES).forEach(([key, choices]) => {
+    if (choices.includes(source[key])) {
+      result[key] = source[key];
+    }
+  });
+
+  if (source.phaseSeconds !== undefined) {
+    result.phaseSeconds = sanitizePhaseSeconds(source.phaseSeconds, result.phaseSeconds);
+  }
+  if (source.packIds !== undefined) {
+    result.packIds = sanitizePackIds(source.packIds, result.packIds);
+  }
+  if (source.variants !== undefined) {
+    result.variants = sanitizeVariants(source.variants);
+  }
+  if (typeof source.seed === "string") {
+    result.seed = source.seed.trim().slice(0, MAX_SEED_LENGTH);
+  }
+  return result;
+}
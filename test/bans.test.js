@@ -0,0 +1,28 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { nextEvent, useServer } from "./support/server.js";
+
+const server = useServer();
+
+test("a banned player cannot come back on a fresh socket without a token or profile", async () => {
+  const host = await server.connect();
+  const created = await host.emitWithAck("room:create", { playerName: "Host" });
+  const { roomCode, sessionToken } = created.data;
+
+  const banned = await server.connect();
+  const joined = await banned.emitWithAck("room:join", { roomCode, playerName: "Banned" });
+  const kicked = nextEvent(banned, "room:kicked");
+  assert.equal((await host.emitWithAck("host:ban", { roomCode, playerId: joined.data.playerId })).ok, true);
+  await kicked;
+
+  const fresh = await server.connect();
+  const rejoined = await fresh.emitWithAck("room:join", { roomCode, playerName: "Someone new" });
+  assert.equal(rejoined.ok, false);
+  assert.equal(rejoined.code, "BANNED");
+
+  // Every socket in this test shares one address, and seats that are already held still reconnect.
+  const hostAgain = await server.connect();
+  const hostRejoined = await hostAgain.emitWithAck("room:join", { roomCode, playerName: "Host", sessionToken });
+  assert.equal(hostRejoined.ok, true);
+});
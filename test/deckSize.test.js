@@ -0,0 +1,52 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { getRedCardsNeeded } from "../js/rules.js";
+import { useServer } from "./support/server.js";
+
+describe("getRedCardsNeeded", () => {
+  test("counts every hand plus one for mulligan replacements", () => {
+    assert.equal(getRedCardsNeeded({ handSize: 7, variants: [] }, 3), 28);
+  });
+
+  test("adds the Apple Potpourri house card", () => {
+    assert.equal(getRedCardsNeeded({ handSize: 7, variants: ["apple_potpourri"] }, 3), 29);
+  });
+});
+
+describe("red deck size", () => {
+  const server = useServer();
+
+  /** A room on the 30-card office pack with `guests` players besides the host. */
+  async function createRoom(guests) {
+    const host = await server.connect();
+    const settings = { packIds: ["office"], handSize: 7 };
+    const { roomCode } = (await host.emitWithAck("room:create", { playerName: "Host", settings })).data;
+    for (let index = 0; index < guests; index += 1) {
+      const guest = await server.connect();
+      assert.equal((await guest.emitWithAck("room:join", { roomCode, playerName: `Guest ${index}` })).ok, true);
+    }
+    return { host, roomCode };
+  }
+
+  test("rejects settings whose red cards cannot deal the current players", async () => {
+    const { host, roomCode } = await createRoom(2);
+    const larger = await host.emitWithAck("room:settings", { roomCode, settings: { handSize: 8 } });
+    assert.equal(larger.ok, false);
+    assert.equal(larger.code, "DECK_TOO_SMALL");
+
+    const variants = ["apple_potpourri"];
+    assert.equal((await host.emitWithAck("room:settings", { roomCode, settings: { variants } })).ok, true);
+  });
+
+  test("rejects a start once the players outgrow the red cards", async () => {
+    const { host, roomCode } = await createRoom(3);
+    const started = await host.emitWithAck("game:start", { roomCode });
+    assert.equal(started.ok, false);
+    assert.equal(started.code, "DECK_TOO_SMALL");
+
+    const packs = { packIds: ["office", "scifi"] };
+    assert.equal((await host.emitWithAck("room:settings", { roomCode, settings: packs })).ok, true);
+    assert.equal((await host.emitWithAck("game:start", { roomCode })).ok, true);
+  });
+});
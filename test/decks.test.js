@@ -0,0 +1,93 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { CUSTOM_DECK_LIMITS, CUSTOM_DECK_MINIMUMS, parseDeckContent, validateDeck } from "../js/decks.js";
+
+/** `count` distinct cards as CSV rows. */
+function csvRows(count, prefix = "Card") {
+  return Array.from({ length: count }, (_, index) => `${prefix} ${index},tag`);
+}
+
+describe("parseDeckContent", () => {
+  test("reads quoted CSV fields with commas, quotes, and tag lists", () => {
+    const content = ["text,tags", '"Salt, pepper, and ""spice""","food; Funny;"', "Plain,one"].join("\n");
+    assert.deepEqual(parseDeckContent(content, "csv"), {
+      cards: [
+        { text: 'Salt, pepper, and "spice"', tags: ["food", "funny"] },
+        { text: "Plain", tags: ["one"] }
+      ],
+      error: null
+    });
+  });
+
+  test("skips blank lines, including Windows line endings and whitespace-only rows", () => {
+    const content = "\r\nFirst,a\r\n\r\n   \r\nSecond,b\r\n";
+    assert.deepEqual(parseDeckContent(content, "csv").cards.map((card) => card.text), ["First", "Second"]);
+  });
+
+  test("reads JSON cards and trims and truncates them", () => {
+    const long = "x".repeat(CUSTOM_DECK_LIMITS.maxTextLength + 10);
+    const content = JSON.stringify([{ text: `  ${long}  `, tags: [" A ", "", 7] }, { tags: ["b"] }]);
+    assert.deepEqual(parseDeckContent(content, "json"), {
+      cards: [
+        { text: long.slice(0, CUSTOM_DECK_LIMITS.maxTextLength), tags: ["a", "7"] },
+        { text: "", tags: ["b"] }
+      ],
+      error: null
+    });
+  });
+
+  test("rejects empty, unparseable, and non-array input", () => {
+    assert.equal(parseDeckContent("", "csv").error, "Deck file is empty.");
+    assert.equal(parseDeckContent("[{", "json").error, "Deck JSON could not be parsed.");
+    assert.equal(parseDeckContent('{"text":"A"}', "json").error, "Deck JSON must be an array of { text, tags } cards.");
+  });
+
+  test("rejects oversize input before parsing it", () => {
+    const content = "x".repeat(CUSTOM_DECK_LIMITS.maxContentLength + 1);
+    assert.deepEqual(parseDeckContent(content, "csv"), {
+      cards: [],
+      error: `Deck file must be under ${CUSTOM_DECK_LIMITS.maxContentLength} characters.`
+    });
+  });
+
+  test("rejects more cards than the limit", () => {
+    const content = csvRows(CUSTOM_DECK_LIMITS.maxCards + 1).join("\n");
+    assert.equal(parseDeckContent(content, "csv").error, `Decks are limited to ${CUSTOM_DECK_LIMITS.maxCards} cards.`);
+    assert.equal(parseDeckContent(csvRows(CUSTOM_DECK_LIMITS.maxCards).join("\n"), "csv").error, null);
+  });
+});
+
+describe("validateDeck on parsed uploads", () => {
+  const validate = (content, color) => {
+    const { cards } = parseDeckContent(content, "csv");
+    return validateDeck(cards, { label: `${color} deck`, minCount: CUSTOM_DECK_MINIMUMS[color] });
+  };
+
+  test("accepts a deck at the minimum", () => {
+    assert.deepEqual(validate(csvRows(CUSTOM_DECK_MINIMUMS.red).join("\n"), "red"), []);
+    assert.deepEqual(validate(csvRows(CUSTOM_DECK_MINIMUMS.green).join("\n"), "green"), []);
+  });
+
+  test("rejects colors below the minimum", () => {
+    assert.deepEqual(validate(csvRows(CUSTOM_DECK_MINIMUMS.red - 1).join("\n"), "red"), [
+      `Expected at least ${CUSTOM_DECK_MINIMUMS.red} cards in red deck, found ${CUSTOM_DECK_MINIMUMS.red - 1}`
+    ]);
+    assert.deepEqual(validate(csvRows(CUSTOM_DECK_MINIMUMS.green - 1).join("\n"), "green"), [
+      `Expected at least ${CUSTOM_DECK_MINIMUMS.green} cards in green deck, found ${CUSTOM_DECK_MINIMUMS.green - 1}`
+    ]);
+  });
+
+  test("rejects duplicate cards, ignoring case and surrounding spaces", () => {
+    const rows = [...csvRows(CUSTOM_DECK_MINIMUMS.green), "  card 3 ,tag", "CARD 4,tag"];
+    assert.deepEqual(validate(rows.join("\n"), "green"), ["Duplicate texts in green deck: card 3, CARD 4"]);
+  });
+
+  test("rejects cards without text or tags", () => {
+    const rows = [...csvRows(CUSTOM_DECK_MINIMUMS.green), '"",tag', "No tags,;"];
+    assert.deepEqual(validate(rows.join("\n"), "green"), [
+      `green deck[${CUSTOM_DECK_MINIMUMS.green}] is missing text`,
+      `green deck[${CUSTOM_DECK_MINIMUMS.green + 1}] needs tags`
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { disconnectPlayer, getJudge } from "../js/rules.js";
+import { assertRedCardsConserved, createGame, submitFirstCard } from "./support/game.js";
+
+describe("disconnectPlayer", () => {
+  test("re-runs the round when the judge drops, returning every card", () => {
+    const game = createGame({ variants: ["apple_potpourri"] });
+    const cards = ["p1", "p2", "p3"].map((playerId) => [playerId, submitFirstCard(game, playerId)]);
+    assert.equal(game.phase, "judge_pick");
+    const greenCard = game.currentGreenCard;
+
+    assert.equal(disconnectPlayer(game, "p0"), true);
+    assert.equal(game.phase, "submit");
+    assert.equal(game.submissions.size, 0);
+    assert.equal(game.currentGreenCard, greenCard);
+    assert.equal(getJudge(game).id, "p1");
+    cards.forEach(([playerId, card]) => assert.ok(game.privateHands.get(playerId).includes(card)));
+    assert.equal(game.history.at(-1).type, "round_rerun");
+    assertRedCardsConserved(game);
+  });
+
+  test("returns a submitter's card while submissions are open", () => {
+    const game = createGame();
+    const card = submitFirstCard(game, "p1");
+    assert.equal(disconnectPlayer(game, "p1"), false);
+    assert.equal(game.submissions.size, 0);
+    assert.ok(game.privateHands.get("p1").includes(card));
+  });
+});
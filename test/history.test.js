@@ -0,0 +1,35 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { useServer } from "./support/server.js";
+
+const ADMIN_TOKEN = "history-test-admin";
+const server = useServer({ ADMIN_TOKEN });
+
+function fetchHistory(roomCode, token) {
+  return fetch(`${server.url}/rooms/${roomCode}/history`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {}
+  });
+}
+
+test("a room's history is only served to its seats and the admin token", async () => {
+  const host = await server.connect();
+  const { roomCode, sessionToken } = (await host.emitWithAck("room:create", { playerName: "Host" })).data;
+  const guest = await server.connect();
+  const spectator = await guest.emitWithAck("room:join", { roomCode, playerName: "Guest", spectate: true });
+  const outsider = await server.connect();
+  const otherRoom = (await outsider.emitWithAck("room:create", { playerName: "Outsider" })).data;
+
+  const anonymous = await fetchHistory(roomCode);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.headers.get("www-authenticate"), "Bearer");
+  assert.equal((await fetchHistory(roomCode, otherRoom.sessionToken)).status, 401);
+  assert.equal((await fetchHistory(roomCode, "not-a-token")).status, 401);
+
+  for (const token of [sessionToken, spectator.data.sessionToken, ADMIN_TOKEN]) {
+    const response = await fetchHistory(roomCode, token);
+    assert.equal(response.status, 200);
+    assert.deepEqual((await response.json()).matches, []);
+  }
+  assert.equal((await fetchHistory("NOROOM", sessionToken)).status, 404);
+});
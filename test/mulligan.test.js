@@ -0,0 +1,89 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { callBadHarvest, DEFAULT_RULES, RULE_ERRORS, submitCard, takeMulligan } from "../js/rules.js";
+import { assertRedCardsConserved, createGame, submitFirstCard } from "./support/game.js";
+
+describe("takeMulligan", () => {
+  test("skip: replaces the cards and sits the player out", () => {
+    const game = createGame();
+    const hand = game.privateHands.get("p1");
+    const discarded = hand.slice(0, 2);
+    assert.equal(takeMulligan(game, "p1", discarded.map((card) => card.id)), null);
+    assert.equal(hand.length, DEFAULT_RULES.handSize);
+    assert.ok(discarded.every((card) => !hand.includes(card) && game.redDiscard.includes(card)));
+    assert.equal(submitCard(game, "p1", hand[0].id, "s-p1"), RULE_ERRORS.sittingOut.message);
+    assertRedCardsConserved(game);
+
+    submitFirstCard(game, "p2");
+    submitFirstCard(game, "p3");
+    assert.equal(game.phase, "judge_pick");
+  });
+
+  test("skip: the last player who could still play cannot sit out", () => {
+    const game = createGame({ players: 2 });
+    const cardId = game.privateHands.get("p1")[0].id;
+    assert.equal(takeMulligan(game, "p1", [cardId]), RULE_ERRORS.lastSubmitter.message);
+  });
+
+  test("point: costs a point and the player still plays", () => {
+    const game = createGame({ mulliganCost: "point" });
+    const cardId = game.privateHands.get("p1")[0].id;
+    assert.equal(takeMulligan(game, "p1", [cardId]), RULE_ERRORS.mulliganUnaffordable.message);
+
+    game.players.find((player) => player.id === "p1").score = 2;
+    assert.equal(takeMulligan(game, "p1", [cardId]), null);
+    assert.equal(game.players.find((player) => player.id === "p1").score, 1);
+    assert.equal(takeMulligan(game, "p1", [game.privateHands.get("p1")[0].id]), RULE_ERRORS.alreadyMulliganed.message);
+    submitFirstCard(game, "p1");
+    assertRedCardsConserved(game);
+  });
+
+  test("is closed to the judge and to cards not in hand", () => {
+    const game = createGame();
+    const judgeCard = game.privateHands.get("p0")[0].id;
+    assert.equal(takeMulligan(game, "p0", [judgeCard]), RULE_ERRORS.judgeCannotMulligan.message);
+    assert.equal(takeMulligan(game, "p1", [judgeCard]), RULE_ERRORS.discardNotInHand.message);
+    assert.equal(takeMulligan(game, "p1", []), RULE_ERRORS.noDiscards.message);
+  });
+});
+
+describe("callBadHarvest", () => {
+  test("redeals every hand once a majority calls for it", () => {
+    const game = createGame({ players: 4 });
+    const played = submitFirstCard(game, "p1");
+    const before = new Map([...game.privateHands].map(([playerId, hand]) => [playerId, [...hand]]));
+
+    assert.equal(callBadHarvest(game, "p0"), null);
+    assert.equal(callBadHarvest(game, "p1"), null);
+    assert.deepEqual(game.harvestVotes, ["p0", "p1"]);
+    assert.equal(callBadHarvest(game, "p2"), null);
+
+    assert.equal(game.lastHarvestRound, game.round);
+    assert.deepEqual(game.harvestVotes, []);
+    assert.equal(game.submissions.get("s-p1").card, played);
+    before.forEach((hand, playerId) => assert.equal(game.privateHands.get(playerId).length, hand.length));
+    assert.ok([...before.values()].some((hand, index) => hand[0] !== [...game.privateHands.values()][index][0]));
+    assert.equal(game.history.filter((event) => event.type === "bad_harvest").length, 1);
+    assertRedCardsConserved(game);
+  });
+
+  test("withdrawn calls do not count, and it happens once per round", () => {
+    const game = createGame({ players: 4 });
+    callBadHarvest(game, "p0");
+    callBadHarvest(game, "p1");
+    callBadHarvest(game, "p1", false);
+    callBadHarvest(game, "p2");
+    assert.equal(game.lastHarvestRound, 0);
+
+    callBadHarvest(game, "p3");
+    assert.equal(game.lastHarvestRound, game.round);
+    assert.equal(callBadHarvest(game, "p0"), RULE_ERRORS.harvestUsed.message);
+  });
+
+  test("only counts while submissions are open", () => {
+    const game = createGame({ players: 2 });
+    submitFirstCard(game, "p1");
+    assert.equal(callBadHarvest(game, "p0"), RULE_ERRORS.harvestClosed.message);
+  });
+});
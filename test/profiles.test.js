@@ -0,0 +1,44 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { createProfileStats, getTopCards, mergeProfileStats, summarizeMatch } from "../js/profiles.js";
+
+const CARD_TEXTS = ["constructor", "toString", "__proto__", "hasOwnProperty"];
+
+/** A finished game in which p1 wins one round with each of `texts`, judged by p2. */
+function winRounds(texts) {
+  const players = [
+    { id: "p1", name: "Ann" },
+    { id: "p2", name: "Bo" }
+  ];
+  return [
+    { type: "game_start", at: 0, players },
+    ...texts.map((text, index) => ({
+      type: "round_end",
+      at: index + 1,
+      judgeId: "p2",
+      winnerId: "p1",
+      winningSubmissionId: `s${index}`,
+      submissions: [{ id: `s${index}`, playerId: "p1", card: { id: `r${index}`, text } }]
+    })),
+    { type: "game_end", at: texts.length + 1, leaderboard: players }
+  ];
+}
+
+describe("card win tallies", () => {
+  test("count cards named after Object.prototype members", () => {
+    const summary = summarizeMatch(winRounds([...CARD_TEXTS, "constructor"])).get("p1");
+    assert.equal(summary.roundWins, 5);
+    assert.deepEqual({ ...summary.cardWins }, { constructor: 2, toString: 1, ["__proto__"]: 1, hasOwnProperty: 1 });
+  });
+
+  test("merge into lifetime stats, including stats read back from JSON", () => {
+    const delta = summarizeMatch(winRounds(CARD_TEXTS)).get("p1");
+    const once = mergeProfileStats(createProfileStats(), delta);
+    const twice = mergeProfileStats(JSON.parse(JSON.stringify(once)), delta);
+    assert.deepEqual(
+      getTopCards(twice, CARD_TEXTS.length),
+      [...CARD_TEXTS].sort((a, b) => a.localeCompare(b)).map((text) => ({ text, wins: 2 }))
+    );
+  });
+});
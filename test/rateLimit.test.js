@@ -0,0 +1,100 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { createTokenBucketLimiter } from "../server/rateLimit.js";
+import { useServer } from "./support/server.js";
+
+/** Freezes `Date.now` for the test; returns a function that moves the clock on. */
+function useClock(t, start = 1_000_000) {
+  let now = start;
+  t.mock.method(Date, "now", () => now);
+  return (ms) => {
+    now += ms;
+  };
+}
+
+describe("createTokenBucketLimiter", () => {
+  test("starts full and refuses once the burst is spent", (t) => {
+    useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 3, perSecond: 1 });
+    assert.deepEqual(limiter.take("a", 2), { ok: true, retryAfterMs: 0 });
+    assert.deepEqual(limiter.take("a"), { ok: true, retryAfterMs: 0 });
+    assert.deepEqual(limiter.take("a"), { ok: false, retryAfterMs: 1000 });
+    assert.deepEqual(limiter.take("b", 3), { ok: true, retryAfterMs: 0 });
+  });
+
+  test("refills at the set rate, up to the burst", (t) => {
+    const advance = useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 4, perSecond: 2 });
+    limiter.take("a", 4);
+    advance(500);
+    assert.equal(limiter.take("a").ok, true);
+    assert.equal(limiter.take("a").ok, false);
+    advance(60_000);
+    assert.equal(limiter.take("a", 4).ok, true);
+    assert.equal(limiter.take("a").ok, false);
+  });
+
+  test("retryAfterMs is the time until the missing tokens refill, rounded up", (t) => {
+    const advance = useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 5, perSecond: 3 });
+    limiter.take("a", 5);
+    assert.equal(limiter.take("a", 2).retryAfterMs, 667);
+    advance(100);
+    // 0.3 tokens are back, so 1.7 are missing.
+    assert.equal(limiter.take("a", 2).retryAfterMs, 567);
+    advance(567);
+    assert.equal(limiter.take("a", 2).ok, true);
+  });
+
+  test("a cost above the burst empties a full bucket", (t) => {
+    useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 2, perSecond: 1 });
+    assert.equal(limiter.take("a", 5).ok, true);
+    assert.deepEqual(limiter.take("a"), { ok: false, retryAfterMs: 1000 });
+  });
+
+  test("a burst of 0 turns the limiter off", (t) => {
+    useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 0, perSecond: 1 });
+    for (let index = 0; index < 100; index += 1) {
+      assert.equal(limiter.take("a").ok, true);
+    }
+  });
+
+  test("forget drops a bucket so it starts full again", (t) => {
+    useClock(t);
+    const limiter = createTokenBucketLimiter({ burst: 2, perSecond: 1 });
+    limiter.take("a", 2);
+    limiter.forget("a");
+    assert.equal(limiter.take("a", 2).ok, true);
+  });
+});
+
+describe("RATE_LIMITED replies", () => {
+  const server = useServer({
+    RATE_LIMIT_SOCKET_BURST: "3",
+    RATE_LIMIT_SOCKET_PER_SECOND: "0.01",
+    RATE_LIMIT_IP_BURST: "5",
+    RATE_LIMIT_IP_PER_SECOND: "0.01"
+  });
+
+  test("say which limit ran out and how long until the event would be accepted", async () => {
+    const first = await server.connect();
+    for (let index = 0; index < 3; index += 1) {
+      assert.equal((await first.emitWithAck("room:sync", { roomCode: "NONE" })).code, "ROOM_NOT_FOUND");
+    }
+    const bySocket = await first.emitWithAck("room:sync", { roomCode: "NONE" });
+    assert.equal(bySocket.code, "RATE_LIMITED");
+    assert.equal(bySocket.data.limit, "socket");
+    assert.ok(bySocket.data.retryAfterMs > 90_000 && bySocket.data.retryAfterMs <= 100_000);
+
+    // The refused request took nothing from the address's bucket, so two of its five tokens are left.
+    const second = await server.connect();
+    await second.emitWithAck("room:sync", { roomCode: "NONE" });
+    await second.emitWithAck("room:sync", { roomCode: "NONE" });
+    const byAddress = await second.emitWithAck("room:sync", { roomCode: "NONE" });
+    assert.equal(byAddress.code, "RATE_LIMITED");
+    assert.equal(byAddress.data.limit, "address");
+  });
+});
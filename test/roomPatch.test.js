@@ -0,0 +1,99 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { applyRoomPatch, checkRoomPatch, diffRoomState } from "../js/roomPatch.js";
+
+/** Patches `previous` into `next` and checks the result, leaving `previous` untouched. */
+function assertRoundTrip(previous, next) {
+  const before = structuredClone(previous);
+  const patch = diffRoomState(previous, next);
+  assert.deepEqual(applyRoomPatch(previous, patch), next);
+  assert.deepEqual(previous, before);
+  return patch;
+}
+
+const ROOM = {
+  roomCode: "ABCD",
+  phase: "submit",
+  round: 2,
+  greenCard: { id: "g1", text: "Crunchy" },
+  settings: { winScore: 7, phaseSeconds: { submit: 60, judge_pick: 45 }, packIds: ["classic"] },
+  players: [
+    { id: "p1", name: "Ann", score: 1, connected: true },
+    { id: "p2", name: "Bo", score: 0, connected: true }
+  ],
+  submissions: []
+};
+
+describe("diffRoomState and applyRoomPatch", () => {
+  test("an unchanged state gives an empty patch", () => {
+    assert.deepEqual(assertRoundTrip(ROOM, structuredClone(ROOM)), []);
+  });
+
+  test("round-trips lists that grow and shrink", () => {
+    const joined = {
+      ...ROOM,
+      players: [...ROOM.players, { id: "p3", name: "Cy", score: 0, connected: true }],
+      submissions: [{ id: "s1", cardText: "Toast" }]
+    };
+    const patch = assertRoundTrip(ROOM, joined);
+    assert.ok(patch.some((operation) => operation.path.join(".") === "players"));
+    assertRoundTrip(joined, ROOM);
+    assertRoundTrip(ROOM, { ...ROOM, players: [] });
+  });
+
+  test("only sends the changed entries of a list that kept its length", () => {
+    const scored = { ...ROOM, players: [ROOM.players[0], { ...ROOM.players[1], score: 1 }] };
+    assert.deepEqual(assertRoundTrip(ROOM, scored), [{ path: ["players", 1, "score"], value: 1 }]);
+  });
+
+  test("round-trips deleted and added keys", () => {
+    const { greenCard, ...withoutGreen } = ROOM;
+    const patch = assertRoundTrip(ROOM, withoutGreen);
+    assert.deepEqual(patch, [{ path: ["greenCard"] }]);
+    assertRoundTrip(withoutGreen, { ...ROOM, greenCard });
+  });
+
+  test("round-trips changes deep in nested objects", () => {
+    const next = {
+      ...ROOM,
+      settings: { ...ROOM.settings, phaseSeconds: { submit: 30, vote: 40 }, packIds: ["classic", "spicy"] }
+    };
+    assertRoundTrip(ROOM, next);
+  });
+
+  test("round-trips values that change type", () => {
+    assertRoundTrip(ROOM, { ...ROOM, greenCard: null, submissions: { hidden: true }, round: "2" });
+    assertRoundTrip({ ...ROOM, greenCard: null }, ROOM);
+  });
+});
+
+describe("checkRoomPatch", () => {
+  const held = { roomCode: "ABCD", seq: 5 };
+
+  test("applies the next patch in sequence", () => {
+    assert.equal(checkRoomPatch(held, { roomCode: "ABCD", seq: 6 }), "apply");
+  });
+
+  test("ignores duplicates and patches it already has", () => {
+    assert.equal(checkRoomPatch(held, { roomCode: "ABCD", seq: 5 }), "ignore");
+    assert.equal(checkRoomPatch(held, { roomCode: "ABCD", seq: 3 }), "ignore");
+  });
+
+  test("asks for a resync after a gap", () => {
+    assert.equal(checkRoomPatch(held, { roomCode: "ABCD", seq: 7 }), "resync");
+  });
+
+  test("ignores patches for another room or with no state to patch", () => {
+    assert.equal(checkRoomPatch(held, { roomCode: "WXYZ", seq: 6 }), "ignore");
+    assert.equal(checkRoomPatch(null, { roomCode: "ABCD", seq: 1 }), "ignore");
+  });
+
+  test("ignores a patch once it has been applied", () => {
+    const next = { ...ROOM, round: 3, seq: 6 };
+    const patch = diffRoomState({ ...ROOM, seq: 5 }, next);
+    const patched = applyRoomPatch({ ...ROOM, seq: 5 }, patch);
+    assert.deepEqual(patched, next);
+    assert.equal(checkRoomPatch(patched, { roomCode: "ABCD", seq: 6 }), "ignore");
+  });
+});
@@ -0,0 +1,68 @@
+import assert from "node:assert/strict";
+import { existsSync, mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { after, describe, test } from "node:test";
+
+import { createFileRoomPersistence } from "../server/roomStore.js";
+
+const directory = mkdtempSync(join(tmpdir(), "pearstopears-rooms-"));
+
+after(() => rmSync(directory, { recursive: true, force: true }));
+
+function createRoom(code) {
+  return {
+    code,
+    round: 1,
+    submissions: new Map(),
+    votes: new Map(),
+    privateHands: new Map([["p1", [{ id: "r1", text: "Toast", tags: [] }]]]),
+    players: [{ id: "p1", name: "Ann", score: 0, connected: true, socketId: "socket-1" }],
+    spectators: []
+  };
+}
+
+const readSnapshot = (code) => JSON.parse(readFileSync(join(directory, `${code}.json`), "utf8"));
+
+describe("createFileRoomPersistence", () => {
+  test("writes a room's latest state once, after a delay", async () => {
+    const persistence = createFileRoomPersistence(directory);
+    const room = createRoom("SAVE");
+    persistence.save(room);
+    room.round = 2;
+    persistence.save(room);
+    assert.equal(existsSync(join(directory, "SAVE.json")), false);
+
+    await persistence.flush();
+    assert.equal(readSnapshot("SAVE").room.round, 2);
+    assert.equal(readSnapshot("SAVE").room.players[0].socketId, null);
+    assert.equal(persistence.loadAll().find((restored) => restored.code === "SAVE").round, 2);
+  });
+
+  test("skips a snapshot that matches the last one written", async () => {
+    const persistence = createFileRoomPersistence(directory);
+    const room = createRoom("SAME");
+    persistence.save(room);
+    await persistence.flush();
+
+    rmSync(join(directory, "SAME.json"));
+    persistence.save(room);
+    await persistence.flush();
+    assert.equal(existsSync(join(directory, "SAME.json")), false);
+    room.round = 3;
+    persistence.save(room);
+    await persistence.flush();
+    assert.equal(readSnapshot("SAME").room.round, 3);
+  });
+
+  test("remove drops the snapshot and any save still waiting", async () => {
+    const persistence = createFileRoomPersistence(directory);
+    const room = createRoom("GONE");
+    persistence.save(room);
+    await persistence.flush();
+    persistence.save({ ...room, round: 4 });
+    persistence.remove("GONE");
+    await persistence.flush();
+    assert.equal(existsSync(join(directory, "GONE.json")), false);
+  });
+});
@@ -0,0 +1,51 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { DEFAULT_RULES, getJudge, removePlayer } from "../js/rules.js";
+import { assertRedCardsConserved, createGame, submitFirstCard } from "./support/game.js";
+
+describe("closeSubmissions", () => {
+  test("moves to judge_pick once every submitter has played", () => {
+    const game = createGame();
+    submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    assert.equal(game.phase, "submit");
+    submitFirstCard(game, "p3");
+    assert.equal(game.phase, "judge_pick");
+    assert.equal(game.submissions.size, 3);
+    assertRedCardsConserved(game);
+  });
+});
+
+describe("removePlayer", () => {
+  test("drops a submitter's hand and card into the discard pile", () => {
+    const game = createGame();
+    submitFirstCard(game, "p1");
+    removePlayer(game, "p1");
+    assert.equal(game.submissions.size, 0);
+    assert.equal(game.privateHands.has("p1"), false);
+    assert.equal(game.redDiscard.length, DEFAULT_RULES.handSize);
+    assertRedCardsConserved(game);
+  });
+
+  test("hands the judge's seat on, and the new judge takes back their card", () => {
+    const game = createGame();
+    const card = submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    removePlayer(game, "p0");
+    assert.equal(getJudge(game).id, "p1");
+    assert.equal(game.phase, "submit");
+    assert.equal(game.submissions.size, 1);
+    assert.ok(game.privateHands.get("p1").includes(card));
+    assertRedCardsConserved(game);
+  });
+
+  test("closes submissions when the last missing submitter leaves", () => {
+    const game = createGame();
+    submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    removePlayer(game, "p3");
+    assert.equal(game.phase, "judge_pick");
+    assertRedCardsConserved(game);
+  });
+});
@@ -0,0 +1,63 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { EVENT_SCHEMAS, validatePayload } from "../server/schemas.js";
+
+describe("validatePayload", () => {
+  test("every event has a schema for its whole payload", () => {
+    Object.values(EVENT_SCHEMAS).forEach((schema) => assert.equal(schema.type, "object"));
+  });
+
+  test("passes a valid payload and drops undeclared keys", () => {
+    const result = validatePayload("room:join", { roomCode: "ABCD", playerName: "Ann", admin: true });
+    assert.deepEqual(result, { value: { roomCode: "ABCD", playerName: "Ann" } });
+  });
+
+  test("checks nested objects and lists", () => {
+    const settings = { winScore: 5, phaseSeconds: { submit: 30 }, packIds: ["classic"], extra: 1 };
+    assert.deepEqual(validatePayload("room:settings", { roomCode: "ABCD", settings }), {
+      value: { roomCode: "ABCD", settings: { winScore: 5, phaseSeconds: { submit: 30 }, packIds: ["classic"] } }
+    });
+    assert.deepEqual(validatePayload("room:settings", { settings: { packIds: ["classic", 7] } }), {
+      error: "Invalid room:settings payload: settings.packIds[1] must be a string of at most 64 characters."
+    });
+  });
+
+  test("rejects missing required fields", () => {
+    assert.deepEqual(validatePayload("round:submit", { roomCode: "ABCD" }), {
+      error: "Invalid round:submit payload: cardId is required."
+    });
+  });
+
+  test("rejects wrong types, overlong strings, and values outside a list", () => {
+    assert.match(validatePayload("host:lock", { locked: "yes" }).error, /locked must be a boolean/);
+    assert.match(validatePayload("round:bad_harvest", { support: 1 }).error, /support must be a boolean/);
+    assert.match(validatePayload("bot:add", { thinkSeconds: Number.NaN }).error, /thinkSeconds must be a number/);
+    assert.match(validatePayload("chat:send", { text: "x".repeat(2_001) }).error, /at most 2000 characters/);
+    const deck = { format: "xml", content: "" };
+    assert.match(validatePayload("deck:upload", { red: deck }).error, /red.format must be one of "json", "csv"/);
+  });
+
+  test("rejects lists with too many items", () => {
+    const cardIds = Array.from({ length: 21 }, (_, index) => `c${index}`);
+    assert.match(validatePayload("round:mulligan", { cardIds }).error, /cardIds must be a list of at most 20 items/);
+  });
+
+  test("treats a missing payload as empty", () => {
+    assert.deepEqual(validatePayload("room:sync", undefined), { value: {} });
+    assert.deepEqual(validatePayload("host:lock", null), { value: {} });
+    assert.match(validatePayload("room:join", undefined).error, /roomCode is required/);
+  });
+
+  test("rejects payloads that are not objects", () => {
+    assert.deepEqual(validatePayload("room:sync", "ABCD"), {
+      error: "Invalid room:sync payload: payload must be an object."
+    });
+    assert.match(validatePayload("room:sync", ["ABCD"]).error, /payload must be an object/);
+  });
+
+  test("rejects unknown events, including inherited property names", () => {
+    assert.deepEqual(validatePayload("room:destroy", {}), { error: 'Unknown event "room:destroy".' });
+    assert.deepEqual(validatePayload("constructor", {}), { error: 'Unknown event "constructor".' });
+  });
+});
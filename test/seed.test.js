@@ -0,0 +1,26 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+
+import { nextEvent, useServer } from "./support/server.js";
+
+const server = useServer();
+
+test("only the host is sent the room's seed", async () => {
+  const host = await server.connect();
+  const hostState = nextEvent(host, "player:state");
+  const created = await host.emitWithAck("room:create", { playerName: "Host", settings: { seed: "deck-order" } });
+  const { roomCode } = created.data;
+  assert.equal((await hostState).seed, "deck-order");
+
+  const guest = await server.connect();
+  const snapshot = nextEvent(guest, "room:update");
+  const guestState = nextEvent(guest, "player:state");
+  assert.equal((await guest.emitWithAck("room:join", { roomCode, playerName: "Guest" })).ok, true);
+  assert.equal("seed" in (await snapshot).settings, false);
+  assert.equal((await guestState).seed, null);
+
+  const patch = nextEvent(guest, "room:patch");
+  const settings = { seed: "another-order", winScore: 5 };
+  assert.equal((await host.emitWithAck("room:settings", { roomCode, settings })).ok, true);
+  assert.equal(JSON.stringify(await patch).includes("another-order"), false);
+});
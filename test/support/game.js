@@ -0,0 +1,36 @@
+import assert from "node:assert/strict";
+
+import { beginRound, createCardPool, createGameState, DEFAULT_RULES, startGame, submitCard } from "../../js/rules.js";
+
+const RED_CARDS = Array.from({ length: 60 }, (_, index) => ({ text: `Red ${index}` }));
+const GREEN_CARDS = Array.from({ length: 10 }, (_, index) => ({ text: `Green ${index}` }));
+const RED_CARD_COUNT = RED_CARDS.length;
+
+/** A game in round 1's `submit` phase. The first player judges unless `mode` is `vote`. */
+export function createGame({ players = 4, seed = "rules-test", ...rules } = {}) {
+  const game = createGameState({ ...DEFAULT_RULES, ...rules });
+  for (let index = 0; index < players; index += 1) {
+    game.players.push({ id: `p${index}`, name: `Player ${index}`, score: 0, connected: true });
+  }
+  startGame(game, [createCardPool(RED_CARDS, "red")], [createCardPool(GREEN_CARDS, "green")], seed);
+  beginRound(game);
+  return game;
+}
+
+/** Every red card sits in exactly one place: the deck, the discard pile, a hand, or the submissions. */
+export function assertRedCardsConserved(game) {
+  const ids = [
+    ...game.redDeck,
+    ...game.redDiscard,
+    ...[...game.privateHands.values()].flat(),
+    ...[...game.submissions.values()].map((submission) => submission.card)
+  ].map((card) => card.id);
+  assert.equal(ids.length, RED_CARD_COUNT);
+  assert.equal(new Set(ids).size, RED_CARD_COUNT);
+}
+
+export function submitFirstCard(game, playerId, submissionId = `s-${playerId}`) {
+  const card = game.privateHands.get(playerId)[0];
+  assert.equal(submitCard(game, playerId, card.id, submissionId), null);
+  return card;
+}
@@ -0,0 +1,86 @@
+import { spawn } from "node:child_process";
+import { once } from "node:events";
+import { createServer } from "node:net";
+import { after, before } from "node:test";
+import { io } from "socket.io-client";
+
+const SERVER_ENTRY = new URL("../../server/index.js", import.meta.url);
+
+/** A free local port, found by letting the OS pick one and releasing it again. */
+async function findFreePort() {
+  const probe = createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  probe.close();
+  await once(probe, "close");
+  return port;
+}
+
+/**
+ * Runs `server/index.js` in a child process with in-memory stores until `stop` is called.
+ * @param {Record<string, string>} [env] extra environment, such as rate limits
+ */
+export async function startServer(env = {}) {
+  const port = await findFreePort();
+  const child = spawn(process.execPath, [SERVER_ENTRY.pathname], {
+    env: { ...process.env, PORT: String(port), ROOM_STORE: "memory", PROFILE_STORE: "memory", ...env },
+    stdio: ["ignore", "pipe", "inherit"]
+  });
+  child.stdout.setEncoding("utf8");
+  await new Promise((resolve, reject) => {
+    child.once("exit", (code) => reject(new Error(`Server exited with code ${code} before listening.`)));
+    child.stdout.on("data", (chunk) => {
+      if (chunk.includes("listening")) {
+        resolve();
+      }
+    });
+  });
+  return {
+    url: `http://localhost:${port}`,
+    async stop() {
+      if (child.exitCode === null) {
+        child.kill();
+        await once(child, "exit");
+      }
+    }
+  };
+}
+
+/** A connected Socket.IO client. Close it when done, or the test run stays open. */
+export async function connect(url) {
+  const socket = io(url, { transports: ["websocket"], forceNew: true, reconnection: false });
+  await once(socket, "connect");
+  return socket;
+}
+
+/** Resolves with the next `eventName` payload `socket` receives. */
+export function nextEvent(socket, eventName) {
+  return new Promise((resolve) => socket.once(eventName, resolve));
+}
+
+/**
+ * Starts a server before the file's tests and stops it, with every client it handed out, after them.
+ * @param {Record<string, string>} [env]
+ * @returns {{ url: string, connect: () => Promise<import("socket.io-client").Socket> }}
+ */
+export function useServer(env = {}) {
+  let server;
+  const sockets = [];
+  before(async () => {
+    server = await startServer(env);
+  });
+  after(async () => {
+    sockets.forEach((socket) => socket.close());
+    await server.stop();
+  });
+  return {
+    get url() {
+      return server.url;
+    },
+    async connect() {
+      const socket = await connect(server.url);
+      sockets.push(socket);
+      return socket;
+    }
+  };
+}
@@ -0,0 +1,85 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { castVote, closeSubmissions, removePlayer, RULE_ERRORS, submitCard } from "../js/rules.js";
+import { assertRedCardsConserved, createGame, submitFirstCard } from "./support/game.js";
+
+function houseCards(game) {
+  return [...game.submissions.values()].filter((submission) => submission.playerId === null);
+}
+
+describe("closeSubmissions", () => {
+  test("Apple Potpourri adds one anonymous card from the red deck", () => {
+    const game = createGame({ variants: ["apple_potpourri"] });
+    const deckSize = game.redDeck.length;
+    submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    submitFirstCard(game, "p3");
+    assert.equal(game.phase, "judge_pick");
+    assert.equal(game.submissions.size, 4);
+    assert.equal(houseCards(game).length, 1);
+    assert.equal(game.redDeck.length, deckSize - 1);
+    assertRedCardsConserved(game);
+  });
+
+  test("Apple Potpourri adds nothing when nobody played", () => {
+    const game = createGame({ variants: ["apple_potpourri"] });
+    closeSubmissions(game);
+    assert.equal(game.submissions.size, 0);
+  });
+
+  test("does nothing once submissions are closed", () => {
+    // A submit deadline closes submissions after auto-playing the last missing card, which already closed them.
+    const game = createGame({ variants: ["apple_potpourri"] });
+    ["p1", "p2", "p3"].forEach((playerId) => submitFirstCard(game, playerId));
+    assert.equal(game.phase, "judge_pick");
+    closeSubmissions(game);
+    assert.equal(game.phase, "judge_pick");
+    assert.equal(game.submissions.size, 4);
+    assert.equal(houseCards(game).length, 1);
+    assertRedCardsConserved(game);
+  });
+
+  test("does not tally a vote again once submissions are closed", () => {
+    const game = createGame({ players: 3, mode: "vote" });
+    ["p0", "p1", "p2"].forEach((playerId) => submitFirstCard(game, playerId));
+    castVote(game, "p0", "s-p1");
+    castVote(game, "p1", "s-p2");
+    castVote(game, "p2", "s-p1");
+    assert.equal(game.phase, "score");
+    closeSubmissions(game);
+    assert.equal(game.phase, "score");
+    assert.equal(game.players.find((player) => player.id === "p1").score, 1);
+    assert.equal(game.history.filter((event) => event.type === "round_end").length, 1);
+  });
+
+  test("Apple Pickin' closes once the first cards are in", () => {
+    const game = createGame({ players: 5, variants: ["apple_pickin"], pickinCount: 2 });
+    submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    assert.equal(game.phase, "judge_pick");
+    const lateCard = game.privateHands.get("p3")[0];
+    assert.equal(submitCard(game, "p3", lateCard.id, "late"), RULE_ERRORS.submissionsClosed.message);
+  });
+
+  test("Judge's Choice waits in green_pick with three choices", () => {
+    const game = createGame({ variants: ["green_choice"] });
+    assert.equal(game.phase, "green_pick");
+    assert.equal(game.currentGreenCard, null);
+    assert.equal(game.greenChoices.length, 3);
+  });
+});
+
+describe("removePlayer", () => {
+  test("reopens submissions when only the house card is left to judge", () => {
+    const game = createGame({ players: 3, variants: ["apple_potpourri"] });
+    submitFirstCard(game, "p1");
+    submitFirstCard(game, "p2");
+    assert.equal(game.phase, "judge_pick");
+    removePlayer(game, "p1");
+    removePlayer(game, "p2");
+    assert.equal(game.phase, "submit");
+    assert.equal(game.submissions.size, 0);
+    assertRedCardsConserved(game);
+  });
+});
@@ -0,0 +1,84 @@
+import assert from "node:assert/strict";
+import { describe, test } from "node:test";
+
+import { castVote, removePlayer, tallyVotes } from "../js/rules.js";
+import { assertRedCardsConserved, createGame, submitFirstCard } from "./support/game.js";
+
+describe("closeSubmissions", () => {
+  test("moves to vote in vote mode", () => {
+    const game = createGame({ players: 3, mode: "vote" });
+    ["p0", "p1", "p2"].forEach((playerId) => submitFirstCard(game, playerId));
+    assert.equal(game.phase, "vote");
+  });
+});
+
+describe("removePlayer", () => {
+  test("lets voters for the leaving player's card vote again", () => {
+    const game = createGame({ players: 4, mode: "vote" });
+    ["p0", "p1", "p2", "p3"].forEach((playerId) => submitFirstCard(game, playerId));
+    assert.equal(castVote(game, "p0", "s-p1"), null);
+    assert.equal(castVote(game, "p2", "s-p3"), null);
+    removePlayer(game, "p1");
+    assert.equal(game.votes.has("p0"), false);
+    assert.equal(game.votes.get("p2"), "s-p3");
+    assertRedCardsConserved(game);
+  });
+});
+
+describe("tallyVotes", () => {
+  function createTiedVote(tieBreak) {
+    const game = createGame({ players: 4, mode: "vote", tieBreak });
+    ["p0", "p1", "p2", "p3"].forEach((playerId) => submitFirstCard(game, playerId));
+    game.players.find((player) => player.id === "p1").score = 3;
+    game.players.find((player) => player.id === "p3").score = 1;
+    castVote(game, "p0", "s-p3");
+    castVote(game, "p2", "s-p1");
+    castVote(game, "p3", "s-p1");
+    // p1 holds off, so the vote is still open with s-p1 ahead.
+    return game;
+  }
+
+  test("scores the most-voted card", () => {
+    const game = createTiedVote("earliest");
+    assert.equal(tallyVotes(game), true);
+    assert.equal(game.lastWinnerId, "p1");
+    assert.equal(game.phase, "score");
+  });
+
+  test("earliest settles a tie with the first card played", () => {
+    const game = createTiedVote("earliest");
+    game.votes.set("p1", "s-p3");
+    assert.equal(tallyVotes(game), true);
+    assert.equal(game.winningSubmissionId, "s-p1");
+  });
+
+  test("underdog settles a tie with the lowest score", () => {
+    const game = createTiedVote("underdog");
+    game.votes.set("p1", "s-p3");
+    assert.equal(tallyVotes(game), true);
+    assert.equal(game.winningSubmissionId, "s-p3");
+  });
+
+  test("random settles a tie the same way for the same seed", () => {
+    const winners = [1, 2].map(() => {
+      const game = createTiedVote("random");
+      game.votes.set("p1", "s-p3");
+      tallyVotes(game);
+      return game.winningSubmissionId;
+    });
+    assert.ok(["s-p1", "s-p3"].includes(winners[0]));
+    assert.equal(winners[0], winners[1]);
+  });
+
+  test("with no votes every card ties", () => {
+    const game = createGame({ players: 3, mode: "vote", tieBreak: "earliest" });
+    ["p0", "p1", "p2"].forEach((playerId) => submitFirstCard(game, playerId));
+    assert.equal(tallyVotes(game), true);
+    assert.equal(game.winningSubmissionId, "s-p0");
+  });
+
+  test("has nothing to score without submissions", () => {
+    const game = createGame({ players: 3, mode: "vote" });
+    assert.equal(tallyVotes(game), false);
+  });
+});